@@ -199,9 +199,8 @@ const selectRole = async (req, res) => {
         website: profileData.website || ''
       };
     } else if (role === 'event_staff' && profileData) {
-      updateData.staffProfile = {
-        permissions: profileData.permissions || ['scan_ticket', 'check_in_attendee']
-      };
+      // Staff get the standard permissions; hosts grant more per event
+      updateData['staffProfile.isActive'] = true;
     }
 
     // Update user role
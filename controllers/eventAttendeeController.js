@@ -1,7 +1,46 @@
 const Event = require('../models/Event');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
-const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const { getBookingError, getCheckIn, getHolderName } = require('../services/ticketService');
+const { claimSeats, getAvailableSeats, releaseSeats } = require('../services/capacityService');
+const {
+  MAX_TICKETS_PER_ORDER,
+  cancelOrder: cancelOrderTickets,
+  cancelTicket: cancelSingleTicket,
+  orderTicketView,
+  parseOrderRequest,
+  placeOrder,
+  priceOrder
+} = require('../services/orderService');
+const { refundTickets } = require('../services/paymentService');
+const {
+  redeemPromoRedemption,
+  releasePromoRedemption,
+  reservePromoCode,
+  roundAmount
+} = require('../services/promoCodeService');
+const { calculateRefund } = require('../services/refundPolicyService');
+const { renderTicketPdf } = require('../services/ticketPdfService');
+const { HOLD_MINUTES, convertHoldForPayment } = require('../services/seatHoldService');
+const {
+  OFFER_MINUTES,
+  claimOffer,
+  findActiveOffer,
+  findMyWaitlistEntries,
+  includeOfferSeats,
+  joinWaitlist: joinEventWaitlist,
+  leaveWaitlist: leaveEventWaitlist
+} = require('../services/waitlistService');
+const {
+  cancelTransfer,
+  findTransfersForUser,
+  getPurchaserId,
+  getTransferError,
+  respondToTransfer,
+  startTransfer
+} = require('../services/ticketTransferService');
+const { describeTicketTypes, resolveTicketType } = require('../services/ticketTypeService');
 
 // @desc    Get all available events for attendees
 // @route   GET /api/attendee/events
@@ -45,11 +84,18 @@ const getAvailableEvents = async (req, res) => {
       ];
     }
 
-    // Price filter
+    // Price filter (matches the event price or any of its ticket types)
     if (priceMin || priceMax) {
-      filter['pricing.price'] = {};
-      if (priceMin) filter['pricing.price'].$gte = parseFloat(priceMin);
-      if (priceMax) filter['pricing.price'].$lte = parseFloat(priceMax);
+      const priceRange = {};
+      if (priceMin) priceRange.$gte = parseFloat(priceMin);
+      if (priceMax) priceRange.$lte = parseFloat(priceMax);
+
+      filter.$and = [{
+        $or: [
+          { 'pricing.price': priceRange },
+          { ticketTypes: { $elemMatch: { price: priceRange, isActive: true } } }
+        ]
+      }];
     }
 
     // Date range filter
@@ -74,8 +120,9 @@ const getAvailableEvents = async (req, res) => {
     const totalEvents = await Event.countDocuments(filter);
 
     // Add availability info to events
+    // Seats held by checkouts awaiting payment are not available
     const eventsWithAvailability = events.map(event => {
-      const availableTickets = event.capacity - event.ticketsSold;
+      const availableTickets = getAvailableSeats(event);
       const isAvailable = availableTickets > 0;
       const isSoldOut = availableTickets <= 0;
 
@@ -85,7 +132,9 @@ const getAvailableEvents = async (req, res) => {
           isAvailable,
           isSoldOut,
           availableTickets,
-          soldTickets: event.ticketsSold
+          soldTickets: event.ticketsSold,
+          heldTickets: event.ticketsHeld || 0,
+          ticketTypes: describeTicketTypes(event)
         }
       };
     });
@@ -145,29 +194,32 @@ const getEventDetails = async (req, res) => {
       console.log('Could not increment view count (stats field may not exist):', viewError.message);
     }
 
-    // Check if user already has a ticket (if authenticated)
-    let userHasTicket = false;
+    // Count tickets the user already holds (if authenticated)
+    let userTicketCount = 0;
     if (req.user) {
-      const existingTicket = await Ticket.findOne({ 
-        eventId, 
+      userTicketCount = await Ticket.countDocuments({
+        eventId,
         attendeeId: req.user._id,
         status: { $ne: 'cancelled' }
       });
-      userHasTicket = !!existingTicket;
     }
 
     // Calculate availability
-    const availableTickets = event.capacity - event.ticketsSold;
+    const availableTickets = getAvailableSeats(event);
     const isAvailable = availableTickets > 0 && new Date(event.startDateTime) > new Date();
 
     const eventWithDetails = {
       ...event.toObject(),
       availability: {
-        isAvailable: isAvailable && !userHasTicket,
+        isAvailable,
         availableTickets,
         soldTickets: event.ticketsSold,
+        heldTickets: event.ticketsHeld || 0,
         isSoldOut: availableTickets <= 0,
-        userHasTicket
+        userHasTicket: userTicketCount > 0,
+        userTicketCount,
+        maxTicketsPerOrder: Math.min(MAX_TICKETS_PER_ORDER, availableTickets),
+        ticketTypes: describeTicketTypes(event)
       }
     };
 
@@ -195,12 +247,27 @@ const getEventDetails = async (req, res) => {
   }
 };
 
-// @desc    Book ticket for event
+// Sold out events and ticket types take a waitlist instead
+const isSoldOut = (message) => /sold out$/.test(message);
+
+const waitlistHint = (event) => ({
+  canJoinWaitlist: true,
+  waitlistUrl: `/api/attendee/events/${event._id}/waitlist`
+});
+
+// @desc    Book one or more tickets for event
 // @route   POST /api/attendee/book-ticket
 // @access  Private (attendee only)
 const bookTicket = async (req, res) => {
   try {
-    const { eventId, attendeeInfo = {} } = req.body;
+    const {
+      eventId,
+      ticketTypeId,
+      quantity: requestedQuantity,
+      guests: requestedGuests,
+      promoCode: code,
+      attendeeInfo = {}
+    } = req.body;
     const attendeeId = req.user._id;
 
     // Validate event
@@ -212,92 +279,120 @@ const bookTicket = async (req, res) => {
       });
     }
 
-    // Check if event is available for booking
-    if (event.status !== 'published') {
+    // Seats a waitlist offer holds for this attendee are theirs to book
+    const offer = await findActiveOffer(event._id, attendeeId);
+    if (offer) includeOfferSeats(event, offer);
+
+    // Check the event is open for booking
+    const bookingError = getBookingError(event);
+    if (bookingError) {
       return res.status(400).json({
         success: false,
-        message: 'Event is not available for booking'
+        message: bookingError,
+        ...(isSoldOut(bookingError) && waitlistHint(event))
       });
     }
 
-    // Check if event hasn't started
-    if (new Date(event.startDateTime) <= new Date()) {
+    const { quantity, guests, error: orderError } = parseOrderRequest({
+      quantity: requestedQuantity,
+      guests: requestedGuests
+    });
+    if (orderError) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot book tickets for events that have already started'
+        message: orderError
       });
     }
 
-    // Check capacity
-    if (event.ticketsSold >= event.capacity) {
+    const { ticketType, error: ticketTypeError } = resolveTicketType(event, ticketTypeId);
+    if (ticketTypeError) {
       return res.status(400).json({
         success: false,
-        message: 'Event is sold out'
+        message: ticketTypeError,
+        ...(isSoldOut(ticketTypeError) && waitlistHint(event))
       });
     }
 
-    // Check if user already has a ticket
-    const existingTicket = await Ticket.findOne({ 
-      eventId, 
-      attendeeId,
-      status: { $ne: 'cancelled' }
-    });
-
-    if (existingTicket) {
+    const pricing = await priceOrder({ event, ticketType, quantity, code, userId: attendeeId });
+    if (pricing.error) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a ticket for this event'
+        message: pricing.error
       });
     }
 
-    // For free events, create ticket immediately
-    if (event.pricing.isFree) {
-      const crypto = require('crypto');
-      const QRCode = require('qrcode');
-
-      // Generate unique ticket number
-      const ticketNumber = `TCK${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const { unitPrice, subtotal, discountAmount, totalAmount, promoCode } = pricing;
 
-      // Generate QR code data
-      const qrCodeData = crypto.randomBytes(32).toString('hex');
-
-      // Generate QR code image
-      const qrCodeUrl = await QRCode.toDataURL(JSON.stringify({
-        ticketNumber,
-        eventId,
-        attendeeId,
-        validationCode: qrCodeData
-      }));
-
-      // Create free ticket
-      const ticket = new Ticket({
-        eventId,
-        attendeeId,
-        ticketNumber,
-        qrCodeUrl,
-        qrCodeData,
-        paymentId: 'FREE_TICKET',
-        pricePaid: 0,
-        paymentStatus: 'completed',
-        status: 'active',
-        attendeeInfo
+    // For free tickets (or orders fully covered by a promo code), create tickets immediately
+    if (totalAmount === 0) {
+      // Take the seats first; the conditional update fails once the event is
+      // full. Seats held by a waitlist offer are used before open ones.
+      const offerHold = offer && await claimOffer(offer, {
+        paymentId: `FREE_${offer._id}`,
+        ticketTypeId: ticketType?._id,
+        quantity
       });
+      const seatsTaken = offerHold
+        ? await convertHoldForPayment(offerHold.paymentId)
+        : await claimSeats(event._id, quantity, ticketType?._id);
+
+      if (!seatsTaken) {
+        return res.status(400).json({
+          success: false,
+          message: quantity > 1 ? `Not enough tickets left for ${quantity} seats` : 'Event is sold out',
+          ...waitlistHint(event)
+        });
+      }
 
-      await ticket.save();
+      let redemption = null;
+      let order;
+      try {
+        if (promoCode) {
+          const reservation = await reservePromoCode(promoCode, { userId: attendeeId, eventId: event._id, discountAmount });
+          if (reservation.error) {
+            await releaseSeats(event._id, quantity, ticketType?._id);
+            return res.status(400).json({
+              success: false,
+              message: reservation.error
+            });
+          }
+          redemption = reservation.redemption;
+        }
 
-      // Update event ticket count
-      await Event.findByIdAndUpdate(eventId, {
-        $inc: { ticketsSold: 1 }
-      });
+        ({ order } = await placeOrder({
+          eventId: event._id,
+          purchaserId: attendeeId,
+          paymentId: 'FREE_TICKET',
+          quantity,
+          guests,
+          unitPrice,
+          discountAmount,
+          promoCode: promoCode?.code,
+          currency: event.pricing?.currency,
+          paymentStatus: 'completed',
+          attendeeInfo,
+          ticketType
+        }));
+      } catch (error) {
+        await releaseSeats(event._id, quantity, ticketType?._id);
+        if (redemption) await releasePromoRedemption({ _id: redemption._id });
+        throw error;
+      }
+
+      if (redemption) {
+        await redeemPromoRedemption({ _id: redemption._id }, order._id);
+      }
 
-      const populatedTicket = await Ticket.findById(ticket._id)
+      const tickets = await Ticket.find({ orderId: order._id })
         .populate('eventId', 'title startDateTime location')
         .populate('attendeeId', 'firstName lastName email');
 
       res.status(201).json({
         success: true,
-        message: 'Free ticket booked successfully!',
-        ticket: populatedTicket
+        message: quantity > 1 ? `${quantity} free tickets booked successfully!` : 'Free ticket booked successfully!',
+        order,
+        tickets,
+        ticket: tickets[0]
       });
     } else {
       // For paid events, redirect to payment
@@ -308,9 +403,20 @@ const bookTicket = async (req, res) => {
         event: {
           id: event._id,
           title: event.title,
-          price: event.pricing.price,
+          price: unitPrice,
           currency: event.pricing.currency
         },
+        quantity,
+        subtotal,
+        discount: promoCode ? { code: promoCode.code, amount: discountAmount } : undefined,
+        totalAmount,
+        ticketType: ticketType && {
+          _id: ticketType._id,
+          name: ticketType.name,
+          price: ticketType.price
+        },
+        // Creating the payment holds the seats for this long
+        holdMinutes: HOLD_MINUTES,
         nextStep: 'create_payment'
       });
     }
@@ -341,7 +447,7 @@ const getMyTickets = async (req, res) => {
 
     // Get tickets
     let tickets = await Ticket.find(filter)
-      .populate('eventId', 'title description startDateTime endDateTime location bannerImageUrl category host')
+      .populate('eventId', 'title description startDateTime endDateTime location bannerImageUrl category host refundPolicy transferPolicy status')
       .populate({
         path: 'eventId',
         populate: {
@@ -381,12 +487,25 @@ const getMyTickets = async (req, res) => {
         }
       }
 
+      // What cancelling now would refund under the event's refund policy
+      const refund = ticket.status === 'active' && ticket.eventId
+        ? calculateRefund(ticket.eventId, ticket)
+        : null;
+      // Tickets transferred to the user are cancelled without a refund
+      const isPurchaser = getPurchaserId(ticket).toString() === req.user._id.toString();
+
       return {
         ...ticket.toObject(),
         eventStatus,
-        canCancel: ticket.status === 'active' && 
-                  ticket.eventId && 
-                  new Date(ticket.eventId.startDateTime) > new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours before
+        holderName: ticket.guest?.name || null,
+        checkIn: getCheckIn(ticket),
+        canCancel: !!refund?.allowed,
+        canTransfer: Boolean(ticket.eventId) && !getTransferError(ticket, ticket.eventId),
+        refundIfCancelled: refund?.allowed
+          ? isPurchaser
+            ? { amount: refund.refundAmount, percentage: refund.refundPercentage, fee: refund.fee }
+            : { amount: 0, percentage: 0, fee: 0 }
+          : null
       };
     });
 
@@ -429,51 +548,60 @@ const cancelTicket = async (req, res) => {
       });
     }
 
-    // Check if event is more than 24 hours away
-    const hoursUntilEvent = (new Date(ticket.eventId.startDateTime) - new Date()) / (1000 * 60 * 60);
-
-    if (hoursUntilEvent < 24) {
+    // The event's refund policy decides whether and how much is refunded
+    const refund = calculateRefund(ticket.eventId, ticket);
+    if (!refund.allowed) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel tickets less than 24 hours before the event'
+        message: refund.reason
       });
     }
 
-    // Update ticket status
-    ticket.status = 'cancelled';
-    ticket.cancellation = {
-      isCancelled: true,
-      cancellationDate: new Date(),
-      cancellationReason: reason || 'Cancelled by user',
-      refundAmount: ticket.pricePaid
-    };
-
-    await ticket.save();
-
-    // Update event ticket count
-    await Event.findByIdAndUpdate(ticket.eventId._id, {
-      $inc: { ticketsSold: -1 }
+    // Refunds go back to the card that paid, so someone who was given the
+    // ticket can cancel it but is not refunded
+    const purchaserId = getPurchaserId(ticket);
+    const isPurchaser = purchaserId.toString() === attendeeId.toString();
+    const refundAmount = isPurchaser ? refund.refundAmount : 0;
+
+    // Cancel the ticket and give its seat back; other tickets in the order stay valid
+    const cancelled = await cancelSingleTicket(ticket, {
+      reason: reason || 'Cancelled by user',
+      refundAmount,
+      refundedTo: purchaserId
     });
 
-    // Handle refund for paid tickets (in real app, process actual refund)
-    if (ticket.pricePaid > 0) {
-      // Update payment status if exists
-      await Payment.findOneAndUpdate(
-        { paymentId: ticket.paymentId },
-        { 
-          status: 'refunded',
-          'refund.isRefunded': true,
-          'refund.refundAmount': ticket.pricePaid,
-          'refund.refundDate': new Date(),
-          'refund.refundReason': reason || 'Ticket cancelled'
-        }
-      );
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket has already been cancelled'
+      });
+    }
+
+    if (!isPurchaser) {
+      return res.status(200).json({
+        success: true,
+        message: 'Ticket cancelled. Tickets transferred to you are not refunded; refunds only go to the person who paid.',
+        refundAmount: 0,
+        refundPercentage: 0,
+        nonRefundableFee: 0,
+        refundStatus: 'none'
+      });
     }
 
+    const { failed } = await refundTickets(
+      [{ ticket, amount: refundAmount }],
+      reason || 'Ticket cancelled'
+    );
+
     res.status(200).json({
       success: true,
-      message: 'Ticket cancelled successfully',
-      refundAmount: ticket.pricePaid
+      message: failed
+        ? 'Ticket cancelled. Your refund could not be processed automatically and will be handled by our team.'
+        : 'Ticket cancelled successfully',
+      refundAmount,
+      refundPercentage: refund.refundPercentage,
+      nonRefundableFee: refund.fee,
+      refundStatus: failed ? 'failed' : refundAmount > 0 ? 'processed' : 'none'
     });
   } catch (error) {
     console.error('Cancel ticket error:', error);
@@ -485,7 +613,7 @@ const cancelTicket = async (req, res) => {
   }
 };
 
-// @desc    Download ticket
+// @desc    Download ticket as JSON, or as a PDF with ?format=pdf
 // @route   GET /api/attendee/tickets/:ticketId/download
 // @access  Private (attendee only)
 const downloadTicket = async (req, res) => {
@@ -508,7 +636,18 @@ const downloadTicket = async (req, res) => {
       });
     }
 
-    // Return ticket data for frontend to generate PDF/image
+    if (req.query.format === 'pdf') {
+      const pdf = await renderTicketPdf(ticket, { holderName: getHolderName(ticket) });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="ticket-${ticket.ticketNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.status(200).send(pdf);
+    }
+
+    // Return ticket data for clients that render their own ticket
     res.status(200).json({
       success: true,
       ticket: {
@@ -522,12 +661,13 @@ const downloadTicket = async (req, res) => {
           bannerImageUrl: ticket.eventId.bannerImageUrl
         },
         attendee: {
-          name: `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`,
-          email: ticket.attendeeId.email
+          name: getHolderName(ticket),
+          email: ticket.guest?.email || ticket.attendeeId.email
         },
         bookingDate: ticket.bookingDate,
         pricePaid: ticket.pricePaid,
-        status: ticket.status
+        status: ticket.status,
+        checkIn: getCheckIn(ticket)
       }
     });
   } catch (error) {
@@ -540,11 +680,347 @@ const downloadTicket = async (req, res) => {
   }
 };
 
+// @desc    Get user's orders
+// @route   GET /api/attendee/my-orders
+// @access  Private (attendee only)
+const getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ purchaserId: req.user._id })
+      .populate('eventId', 'title startDateTime endDateTime location bannerImageUrl refundPolicy')
+      .populate('tickets', 'ticketNumber qrCodeUrl status guest ticketTypeName pricePaid attendeeId')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      orders: orders.map(order => ({
+        ...order.toObject(),
+        // Transferred tickets are listed without their QR code
+        tickets: order.tickets.map(ticket => orderTicketView(ticket, req.user._id)),
+        canCancel: order.status !== 'cancelled' && !!order.eventId && calculateRefund(order.eventId, {}).allowed
+      }))
+    });
+  } catch (error) {
+    console.error('Get my orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching orders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel all remaining tickets in an order
+// @route   DELETE /api/attendee/orders/:orderId
+// @access  Private (attendee only)
+const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      purchaserId: req.user._id,
+      status: { $ne: 'cancelled' }
+    }).populate('eventId', 'startDateTime refundPolicy');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or cannot be cancelled'
+      });
+    }
+
+    const { cancelled, error } = await cancelOrderTickets(order, order.eventId, {
+      reason: reason || 'Order cancelled by user'
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (cancelled.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no active tickets to cancel'
+      });
+    }
+
+    const refundAmount = roundAmount(cancelled.reduce((sum, entry) => sum + entry.amount, 0));
+    const { failed } = await refundTickets(cancelled, reason || 'Order cancelled');
+
+    res.status(200).json({
+      success: true,
+      message: failed
+        ? `${cancelled.length} ticket(s) cancelled. Your refund could not be processed automatically and will be handled by our team.`
+        : `${cancelled.length} ticket(s) cancelled successfully`,
+      cancelledCount: cancelled.length,
+      refundAmount,
+      refundStatus: failed ? 'failed' : refundAmount > 0 ? 'processed' : 'none'
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling order',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start transferring a ticket to someone else by email
+// @route   POST /api/attendee/tickets/:ticketId/transfer
+// @access  Private (attendee only)
+const transferTicket = async (req, res) => {
+  try {
+    const { email, message } = req.body;
+
+    const ticket = await Ticket.findOne({ _id: req.params.ticketId, attendeeId: req.user._id })
+      .populate('eventId', 'title status startDateTime transferPolicy');
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    const { transfer, error, statusCode } = await startTransfer(ticket, req.user, { email, message });
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer sent to ${transfer.toEmail}. The ticket stays yours until they accept.`,
+      transfer
+    });
+  } catch (error) {
+    console.error('Transfer ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error transferring ticket',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw a pending ticket transfer
+// @route   DELETE /api/attendee/tickets/:ticketId/transfer
+// @access  Private (attendee only)
+const cancelTicketTransfer = async (req, res) => {
+  try {
+    const transfer = await cancelTransfer(req.params.ticketId, req.user._id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer for this ticket'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer cancelled',
+      transfer
+    });
+  } catch (error) {
+    console.error('Cancel ticket transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling transfer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get tickets offered to the user and transfers they started
+// @route   GET /api/attendee/transfers
+// @access  Private (attendee only)
+const getMyTransfers = async (req, res) => {
+  try {
+    const { incoming, outgoing } = await findTransfersForUser(req.user);
+
+    res.status(200).json({
+      success: true,
+      incoming,
+      outgoing
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching transfers',
+      error: error.message
+    });
+  }
+};
+
+// Shared by accept and decline
+const sendTransferResponse = async (req, res, accept) => {
+  try {
+    const { transfer, ticket, error, statusCode } = await respondToTransfer(req.params.transferId, req.user, accept);
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: accept ? 'Ticket accepted. It now has a new QR code.' : 'Transfer declined',
+      transfer,
+      ticket: ticket || undefined
+    });
+  } catch (error) {
+    console.error('Respond to transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error responding to transfer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept a ticket transferred to the user
+// @route   POST /api/attendee/transfers/:transferId/accept
+// @access  Private (attendee only)
+const acceptTransfer = (req, res) => sendTransferResponse(req, res, true);
+
+// @desc    Decline a ticket transferred to the user
+// @route   POST /api/attendee/transfers/:transferId/decline
+// @access  Private (attendee only)
+const declineTransfer = (req, res) => sendTransferResponse(req, res, false);
+
+// @desc    Join the waitlist for a sold out event or ticket type
+// @route   POST /api/attendee/events/:eventId/waitlist
+// @access  Private (attendee only)
+const joinWaitlist = async (req, res) => {
+  try {
+    const { ticketTypeId, quantity: requestedQuantity } = req.body;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { quantity, error: orderError } = parseOrderRequest({ quantity: requestedQuantity });
+    if (orderError) {
+      return res.status(400).json({
+        success: false,
+        message: orderError
+      });
+    }
+
+    const { entry, position, error, statusCode } = await joinEventWaitlist(event, req.user._id, {
+      ticketTypeId,
+      quantity
+    });
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist. If seats come up they are held for you for ${OFFER_MINUTES} minutes.`,
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining waitlist',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the user's waitlist entries and any seats offered to them
+// @route   GET /api/attendee/waitlist
+// @access  Private (attendee only)
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await findMyWaitlistEntries(req.user._id);
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      // Offered seats are booked through the normal booking flow before
+      // offer.expiresAt
+      offers: entries.filter(entry => entry.status === 'offered' && entry.offer.expiresAt > now).length,
+      entries
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching waitlist',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Leave a waitlist, giving up any seats offered
+// @route   DELETE /api/attendee/waitlist/:entryId
+// @access  Private (attendee only)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const left = await leaveEventWaitlist(req.params.entryId, req.user._id);
+
+    if (!left) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found or already closed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error leaving waitlist',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAvailableEvents,
   getEventDetails,
   bookTicket,
   getMyTickets,
+  getMyOrders,
   cancelTicket,
-  downloadTicket
+  cancelOrder,
+  downloadTicket,
+  transferTicket,
+  cancelTicketTransfer,
+  getMyTransfers,
+  acceptTransfer,
+  declineTransfer,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist
 };
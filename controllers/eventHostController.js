@@ -1,9 +1,42 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
+const StaffInvitation = require('../models/StaffInvitation');
+const Incident = require('../models/Incident');
 const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const { cloudinary } = require('../cloudConfig');
+const { mergeTicketTypes, parseTicketTypes } = require('../services/ticketTypeService');
+const {
+  ATTENDING_STATUSES,
+  CHECKED_IN_FILTER,
+  getCheckIn,
+  getHolderName,
+  isCheckedIn
+} = require('../services/ticketService');
+const { parseRefundPolicy } = require('../services/refundPolicyService');
+const { parseEntryPolicy } = require('../services/entryPolicyService');
+const { BADGE_FORMATS, getBadgeLayout, parseBadgeLayout, sendBadges } = require('../services/badgeService');
+const { findEventTransfers, getTransferPolicy, parseTransferPolicy } = require('../services/ticketTransferService');
+const { getStaffGates, parseAccessLayout, withAssignedStaff } = require('../services/accessZoneService');
+const { findRepeatedEntries, findScanEvents, getGateThroughput } = require('../services/scanEventService');
+const {
+  getStaffIdsError,
+  inviteStaff,
+  parseStaffIds,
+  releaseEventStaff,
+  removeStaff,
+  revokeInvitation,
+  setStaffPermissions,
+  syncAssignedEvents
+} = require('../services/staffAssignmentService');
+const { getStaffPermissions, parseStaffPermissions } = require('../services/staffPermissionService');
+const { summarizeBoxOfficeSales } = require('../services/boxOfficeService');
+const { exportIncidentsCsv, findIncidents, updateIncident } = require('../services/incidentService');
+const { countWaitlists, promoteWaitlistQuietly } = require('../services/waitlistService');
+const { openAttendanceStream } = require('../services/attendanceStreamService');
+const { signStreamToken } = require('../middleware/authMiddleware');
 
 // @desc    Get all events created by the host
 // @route   GET /api/host/my-events
@@ -38,17 +71,22 @@ const getMyEvents = async (req, res) => {
     // Calculate statistics for each event
     const eventsWithStats = await Promise.all(events.map(async (event) => {
       const totalTickets = await Ticket.countDocuments({ eventId: event._id });
-      const checkedInTickets = await Ticket.countDocuments({ 
-        eventId: event._id, 
-        'checkInStatus.isCheckedIn': true 
+      const checkedInTickets = await Ticket.countDocuments({
+        eventId: event._id,
+        status: { $in: ATTENDING_STATUSES },
+        ...CHECKED_IN_FILTER
       });
+      const [revenue] = await Ticket.aggregate([
+        { $match: { eventId: event._id, status: { $ne: 'cancelled' } } },
+        { $group: { _id: null, total: { $sum: '$pricePaid' } } }
+      ]);
 
       return {
         ...event.toObject(),
         statistics: {
           totalTicketsSold: totalTickets,
           checkedInAttendees: checkedInTickets,
-          revenue: totalTickets * (event.pricing.isFree ? 0 : event.pricing.price),
+          revenue: revenue?.total || 0,
           availableTickets: event.capacity - totalTickets
         }
       };
@@ -89,6 +127,14 @@ const createEvent = async (req, res) => {
       pricing,
       capacity,
       features,
+      ticketTypes,
+      refundPolicy,
+      entryPolicy,
+      badgeLayout,
+      transferPolicy,
+      zones,
+      gates,
+      staffAssignments,
       assignedStaff = []
     } = req.body;
 
@@ -132,6 +178,98 @@ const createEvent = async (req, res) => {
       }
     }
 
+    // Parse ticket types (General, VIP, ...) if the event sells them
+    let parsedTicketTypes = [];
+    if (ticketTypes) {
+      const parsed = parseTicketTypes(ticketTypes);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedTicketTypes = parsed.ticketTypes;
+    }
+
+    // Parse the refund policy; events without one get the default
+    let parsedRefundPolicy;
+    if (refundPolicy) {
+      const parsed = parseRefundPolicy(refundPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedRefundPolicy = parsed.refundPolicy;
+    }
+
+    // Parse the entry policy; events without one allow a single entry
+    let parsedEntryPolicy;
+    if (entryPolicy) {
+      const parsed = parseEntryPolicy(entryPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedEntryPolicy = parsed.entryPolicy;
+    }
+
+    // Events without a badge layout print the default badge
+    let parsedBadgeLayout;
+    if (badgeLayout) {
+      const parsed = parseBadgeLayout(badgeLayout);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedBadgeLayout = parsed.badgeLayout;
+    }
+
+    // Events without a transfer policy let attendees transfer tickets
+    let parsedTransferPolicy;
+    if (transferPolicy) {
+      const parsed = parseTransferPolicy(transferPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedTransferPolicy = parsed.transferPolicy;
+    }
+
+    // Zones, gates and staff gate assignments, checked against the ticket types
+    const layout = parseAccessLayout({ zones, gates, staffAssignments, ticketTypes: parsedTicketTypes });
+    if (layout.error) {
+      return res.status(400).json({
+        success: false,
+        message: layout.error
+      });
+    }
+
+    // Staff given gates are assigned to the event too; all must be staff accounts
+    const parsedStaff = parseStaffIds(assignedStaff);
+    if (parsedStaff.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStaff.error
+      });
+    }
+
+    const eventStaff = withAssignedStaff(parsedStaff.staffIds, layout.staffAssignments);
+    const staffError = await getStaffIdsError(eventStaff);
+    if (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError
+      });
+    }
+
     // Parse location if it's a string
     let parsedLocation = location;
     if (typeof location === 'string') {
@@ -158,10 +296,18 @@ const createEvent = async (req, res) => {
       startDateTime: start,
       endDateTime: end,
       pricing: parsedPricing,
+      ticketTypes: layout.ticketTypes,
+      refundPolicy: parsedRefundPolicy,
+      entryPolicy: parsedEntryPolicy,
+      badgeLayout: parsedBadgeLayout,
+      transferPolicy: parsedTransferPolicy,
+      zones: layout.zones,
+      gates: layout.gates,
+      staffAssignments: layout.staffAssignments,
       capacity: parseInt(capacity),
       host: hostId,
       features: features || {},
-      assignedStaff: assignedStaff.filter(staffId => staffId) // Remove empty values
+      assignedStaff: eventStaff
     };
 
     // Handle banner image upload
@@ -172,6 +318,7 @@ const createEvent = async (req, res) => {
     // Create event
     const event = new Event(eventData);
     await event.save();
+    await syncAssignedEvents(event._id, [], event.assignedStaff);
 
     // Populate host and staff information
     const populatedEvent = await Event.findById(event._id)
@@ -225,6 +372,10 @@ const updateEvent = async (req, res) => {
 
     const updateData = { ...req.body };
 
+    // Booking counters are only changed by bookings
+    delete updateData.ticketsSold;
+    delete updateData.ticketsHeld;
+
     // Validate dates if provided
     if (updateData.startDateTime || updateData.endDateTime) {
       const start = new Date(updateData.startDateTime || event.startDateTime);
@@ -262,6 +413,107 @@ const updateEvent = async (req, res) => {
       }
     });
 
+    // Merge edited ticket types, keeping the counters of existing ones
+    if (updateData.ticketTypes) {
+      const parsed = parseTicketTypes(updateData.ticketTypes);
+      const merged = parsed.error ? parsed : mergeTicketTypes(event.ticketTypes, parsed.ticketTypes);
+
+      if (merged.error) {
+        return res.status(400).json({
+          success: false,
+          message: merged.error
+        });
+      }
+      updateData.ticketTypes = merged.ticketTypes;
+    }
+
+    if (updateData.refundPolicy) {
+      const parsed = parseRefundPolicy(updateData.refundPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      updateData.refundPolicy = parsed.refundPolicy;
+    }
+
+    if (updateData.entryPolicy) {
+      const parsed = parseEntryPolicy(updateData.entryPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      updateData.entryPolicy = parsed.entryPolicy;
+    }
+
+    if (updateData.badgeLayout) {
+      const parsed = parseBadgeLayout(updateData.badgeLayout);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      updateData.badgeLayout = parsed.badgeLayout;
+    }
+
+    if (updateData.transferPolicy) {
+      const parsed = parseTransferPolicy(updateData.transferPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      updateData.transferPolicy = parsed.transferPolicy;
+    }
+
+    // Zones, gates and gate assignments must stay consistent with each other
+    // and with the ticket types, whichever of them changed
+    const layout = parseAccessLayout({
+      zones: updateData.zones,
+      gates: updateData.gates,
+      staffAssignments: updateData.staffAssignments,
+      ticketTypes: updateData.ticketTypes
+    }, event);
+
+    if (layout.error) {
+      return res.status(400).json({
+        success: false,
+        message: layout.error
+      });
+    }
+    Object.assign(updateData, layout);
+
+    // Staff given gates are assigned to the event too; all must be staff accounts
+    if (updateData.assignedStaff !== undefined || layout.staffAssignments) {
+      let staffIds = event.assignedStaff;
+
+      if (updateData.assignedStaff !== undefined) {
+        const parsed = parseStaffIds(updateData.assignedStaff);
+        if (parsed.error) {
+          return res.status(400).json({
+            success: false,
+            message: parsed.error
+          });
+        }
+        staffIds = parsed.staffIds;
+      }
+
+      updateData.assignedStaff = withAssignedStaff(staffIds, layout.staffAssignments || event.staffAssignments);
+
+      const staffError = await getStaffIdsError(updateData.assignedStaff);
+      if (staffError) {
+        return res.status(400).json({
+          success: false,
+          message: staffError
+        });
+      }
+    }
+
     // Update event
     const updatedEvent = await Event.findByIdAndUpdate(
       eventId,
@@ -270,6 +522,16 @@ const updateEvent = async (req, res) => {
     ).populate('host', 'firstName lastName email')
      .populate('assignedStaff', 'firstName lastName email');
 
+    if (updateData.assignedStaff) {
+      await syncAssignedEvents(event._id, event.assignedStaff, updatedEvent.assignedStaff);
+    }
+
+    // More seats, or an event that was republished, cancelled or moved,
+    // changes what the waitlist can be offered
+    if (['capacity', 'ticketTypes', 'status', 'startDateTime'].some(field => updateData[field] !== undefined)) {
+      await promoteWaitlistQuietly(event._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Event updated successfully',
@@ -312,6 +574,7 @@ const deleteEvent = async (req, res) => {
     }
 
     await Event.findByIdAndDelete(eventId);
+    await releaseEventStaff(event);
 
     res.status(200).json({
       success: true,
@@ -348,16 +611,20 @@ const getEventAttendees = async (req, res) => {
     const tickets = await Ticket.find({ eventId })
       .populate('attendeeId', 'firstName lastName email phone')
       .populate('eventId', 'title startDateTime location')
+      .populate('verification.scannedBy', 'firstName lastName')
       .sort({ bookingDate: -1 });
 
-    // Group attendees by check-in status
+    // Group attendees by check-in status; cancelled tickets are not expected
+    const attending = tickets.filter(t => ATTENDING_STATUSES.includes(t.status));
     const attendeesStats = {
       total: tickets.length,
-      checkedIn: tickets.filter(t => t.checkInStatus.isCheckedIn).length,
-      notCheckedIn: tickets.filter(t => !t.checkInStatus.isCheckedIn).length,
+      checkedIn: attending.filter(isCheckedIn).length,
+      notCheckedIn: attending.filter(t => !isCheckedIn(t)).length,
       cancelled: tickets.filter(t => t.status === 'cancelled').length
     };
 
+    const gateThroughput = await getGateThroughput(eventId);
+
     res.status(200).json({
       success: true,
       event: {
@@ -367,19 +634,23 @@ const getEventAttendees = async (req, res) => {
         capacity: event.capacity
       },
       stats: attendeesStats,
+      gateThroughput,
+      // Badges for the whole list; add ticketIds to print a selection
+      badgesUrl: `/api/host/events/${event._id}/badges`,
       attendees: tickets.map(ticket => ({
         ticketId: ticket._id,
         ticketNumber: ticket.ticketNumber,
+        ticketType: ticket.ticketTypeName,
         attendee: ticket.attendeeId,
+        guest: ticket.guest?.name || ticket.guest?.email ? ticket.guest : undefined,
+        holderName: getHolderName(ticket),
+        orderId: ticket.orderId,
         bookingDate: ticket.bookingDate,
         pricePaid: ticket.pricePaid,
         status: ticket.status,
         paymentStatus: ticket.paymentStatus,
-        checkIn: {
-          isCheckedIn: ticket.checkInStatus.isCheckedIn,
-          checkInTime: ticket.checkInStatus.checkInTime,
-          checkedInBy: ticket.checkInStatus.checkedInBy
-        },
+        checkIn: getCheckIn(ticket),
+        organization: ticket.attendeeInfo?.organization,
         specialRequirements: ticket.attendeeInfo?.specialRequirements
       }))
     });
@@ -393,6 +664,592 @@ const getEventAttendees = async (req, res) => {
   }
 };
 
+// Most badges rendered in one download
+const MAX_BADGES_PER_BATCH = 500;
+
+// @desc    Download name badges for an event's attendees, as PDF or ZPL
+// @route   GET /api/host/events/:id/badges?format=pdf|zpl&ticketIds=&checkedIn=
+// @access  Private (host only)
+const getEventBadges = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const { format = 'pdf', ticketIds, checkedIn } = req.query;
+
+    if (!BADGE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${BADGE_FORMATS.join(', ')}`
+      });
+    }
+
+    const event = await Event.findOne({ _id: eventId, host: req.user._id }).select('title badgeLayout');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    // Without ticketIds every attending ticket gets a badge, optionally only
+    // those already checked in (or not yet)
+    const filter = { eventId, status: { $in: ATTENDING_STATUSES } };
+
+    if (ticketIds) {
+      const ids = String(ticketIds).split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'ticketIds must be a comma separated list of ticket IDs'
+        });
+      }
+      filter._id = { $in: ids };
+    }
+
+    if (checkedIn === 'true') {
+      Object.assign(filter, CHECKED_IN_FILTER);
+    } else if (checkedIn === 'false') {
+      filter['verification.isScanned'] = { $ne: true };
+    }
+
+    const count = await Ticket.countDocuments(filter);
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No tickets to print badges for'
+      });
+    }
+
+    if (count > MAX_BADGES_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BADGES_PER_BATCH} badges can be printed at once; pick tickets with ticketIds`
+      });
+    }
+
+    const tickets = await Ticket.find(filter)
+      .populate('eventId', 'title')
+      .populate('attendeeId', 'firstName lastName')
+      .sort({ bookingDate: 1 });
+
+    await sendBadges(res, tickets, getBadgeLayout(event), {
+      format,
+      filename: `badges-${event._id}`
+    });
+  } catch (error) {
+    console.error('Get event badges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating badges',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an event's incident reports
+// @route   GET /api/host/events/:id/incidents
+// @access  Private (host only)
+const getEventIncidents = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('title');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const { incidents, pagination, statuses } = await findIncidents(event._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title
+      },
+      statuses,
+      incidents,
+      pagination,
+      exportUrl: `/api/host/events/${event._id}/incidents/export`
+    });
+  } catch (error) {
+    console.error('Get event incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching incidents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download an event's incident reports as CSV
+// @route   GET /api/host/events/:id/incidents/export
+// @access  Private (host only)
+const exportEventIncidents = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('title');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const { csv } = await exportIncidentsCsv(event._id, req.query);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="incidents-${event._id}.csv"`
+    });
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Export event incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting incidents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an incident's status or severity
+// @route   PUT /api/host/events/:id/incidents/:incidentId
+// @access  Private (host only)
+const updateEventIncident = async (req, res) => {
+  try {
+    const { id, incidentId } = req.params;
+
+    const event = await Event.findOne({ _id: id, host: req.user._id }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const incident = mongoose.Types.ObjectId.isValid(incidentId)
+      ? await Incident.findOne({ _id: incidentId, eventId: event._id })
+      : null;
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const { status, severity, note } = req.body;
+    const updated = await updateIncident(incident, req.user._id, { status, severity, note });
+
+    if (updated.error) {
+      return res.status(updated.statusCode).json({
+        success: false,
+        message: updated.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident updated',
+      incident: updated.incident
+    });
+  } catch (error) {
+    console.error('Update event incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating incident',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get ticket transfers between attendees for an event
+// @route   GET /api/host/events/:id/transfers
+// @access  Private (host only)
+const getEventTransfers = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('title transferPolicy');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const transfers = await findEventTransfers(event._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title,
+        transferPolicy: getTransferPolicy(event)
+      },
+      count: transfers.length,
+      transfers
+    });
+  } catch (error) {
+    console.error('Get event transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching transfers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the scan audit log for an event
+// @route   GET /api/host/events/:id/scan-events
+// @access  Private (host only)
+const getEventScanEvents = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const hostId = req.user._id;
+
+    // Verify event ownership
+    const event = await Event.findOne({ _id: eventId, host: hostId }).select('title');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const [{ scanEvents, pagination, outcomes }, repeatedEntries] = await Promise.all([
+      findScanEvents(eventId, req.query),
+      findRepeatedEntries(eventId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title
+      },
+      outcomes,
+      repeatedEntries,
+      scanEvents,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get event scan events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching scan events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an event's staff and the invitations sent for it
+// @route   GET /api/host/events/:id/staff
+// @access  Private (host only)
+const getEventStaff = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id })
+      .select('title assignedStaff staffAssignments gates')
+      .populate('assignedStaff', 'firstName lastName email phone staffProfile.department staffProfile.permissions');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const invitations = await StaffInvitation.find({ eventId: event._id })
+      .populate('staffId', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title
+      },
+      staff: event.assignedStaff.filter(Boolean).map(staff => ({
+        ...staff.toObject(),
+        gates: getStaffGates(event, staff._id).map(gate => gate.name),
+        permissions: getStaffPermissions(event, staff)
+      })),
+      invitations
+    });
+  } catch (error) {
+    console.error('Get event staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching event staff',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Invite someone by email to work an event
+// @route   POST /api/host/events/:id/staff/invitations
+// @access  Private (host only)
+const inviteEventStaff = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('title assignedStaff');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const { invitation, error, statusCode } = await inviteStaff(event, req.user._id, {
+      email: req.body.email,
+      message: req.body.message,
+      permissions: req.body.permissions
+    });
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    console.error('Invite event staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error inviting staff',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw an invitation that has not been answered yet
+// @route   DELETE /api/host/events/:id/staff/invitations/:invitationId
+// @access  Private (host only)
+const revokeStaffInvitation = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const invitation = await revokeInvitation(event._id, req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open invitation found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation withdrawn',
+      invitation
+    });
+  } catch (error) {
+    console.error('Revoke staff invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set what a staff member may do at an event
+// @route   PUT /api/host/events/:id/staff/:staffId/permissions
+// @access  Private (host only)
+const updateEventStaffPermissions = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    // null puts the staff member back on their account permissions
+    let permissions = null;
+    if (req.body.permissions !== null) {
+      const parsed = parseStaffPermissions(req.body.permissions);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      permissions = parsed.permissions;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.staffId) ||
+        !await setStaffPermissions(event._id, req.params.staffId, permissions)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This staff member is not assigned to the event'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff permissions updated',
+      permissions
+    });
+  } catch (error) {
+    console.error('Update staff permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating staff permissions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Take a staff member off an event
+// @route   DELETE /api/host/events/:id/staff/:staffId
+// @access  Private (host only)
+const removeEventStaff = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('assignedStaff');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    if (!await removeStaff(event, req.params.staffId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This staff member is not assigned to the event'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member removed from the event'
+    });
+  } catch (error) {
+    console.error('Remove event staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing staff',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a short-lived token for opening the live attendance stream
+// @route   POST /api/host/events/:id/live/token
+// @access  Private (host only)
+const getLiveAttendanceToken = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: signStreamToken(req.user._id, event._id),
+      streamUrl: `/api/host/events/${event._id}/live`
+    });
+  } catch (error) {
+    console.error('Get live attendance token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating stream token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stream check-ins, exits, bookings and attendance counters (SSE)
+// @route   GET /api/host/events/:id/live
+// @access  Private (host only)
+const streamEventAttendance = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    await openAttendanceStream(req, res, event._id);
+  } catch (error) {
+    console.error('Stream event attendance error:', error);
+    if (res.headersSent) return res.end();
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening attendance stream',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get box office takings for an event by payment method and seller
+// @route   GET /api/host/events/:id/box-office
+// @access  Private (host only)
+const getEventBoxOfficeSales = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, host: req.user._id }).select('title');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not authorized to access it'
+      });
+    }
+
+    const [{ bySeller, ...summary }, online] = await Promise.all([
+      summarizeBoxOfficeSales(event._id),
+      Ticket.aggregate([
+        { $match: { eventId: event._id, salesChannel: { $ne: 'box_office' }, status: { $ne: 'cancelled' } } },
+        { $group: { _id: null, tickets: { $sum: 1 }, revenue: { $sum: '$pricePaid' } } }
+      ])
+    ]);
+
+    const sellers = await User.find({ _id: { $in: Object.keys(bySeller) } }).select('firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title
+      },
+      boxOffice: {
+        ...summary,
+        sellers: sellers.map(seller => ({
+          staffId: seller._id,
+          name: `${seller.firstName} ${seller.lastName}`,
+          email: seller.email,
+          ...bySeller[seller._id.toString()]
+        }))
+      },
+      online: {
+        tickets: online[0]?.tickets || 0,
+        revenue: online[0]?.revenue || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get box office sales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching box office sales',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get host analytics
 // @route   GET /api/host/analytics
 // @access  Private (host only)
@@ -430,13 +1287,34 @@ const getHostAnalytics = async (req, res) => {
       createdAt: { $gte: startDate }
     });
 
+    // Tickets and revenue by where they were sold, so door takings can be
+    // reconciled against online sales
+    const bySalesChannel = (tickets) => tickets.reduce((acc, ticket) => {
+      const channel = ticket.salesChannel || 'online';
+      acc[channel].tickets += 1;
+      acc[channel].revenue += ticket.pricePaid;
+      return acc;
+    }, { online: { tickets: 0, revenue: 0 }, box_office: { tickets: 0, revenue: 0 } });
+
+    // People waiting for seats at sold out events
+    const waitlists = await countWaitlists(eventIds);
+    const emptyWaitlist = { waiting: 0, waitingSeats: 0, offered: 0 };
+
     // Calculate analytics
     const analytics = {
       overview: {
         totalEvents: events.length,
         totalTicketsSold: allTickets.length,
         totalRevenue: allTickets.reduce((sum, ticket) => sum + ticket.pricePaid, 0),
-        upcomingEvents: events.filter(e => new Date(e.startDateTime) > now).length
+        totalDiscounts: allTickets.reduce((sum, ticket) => sum + (ticket.discountAmount || 0), 0),
+        totalCheckedIn: allTickets.filter(t => ATTENDING_STATUSES.includes(t.status) && isCheckedIn(t)).length,
+        upcomingEvents: events.filter(e => new Date(e.startDateTime) > now).length,
+        salesChannels: bySalesChannel(allTickets),
+        waitlist: Object.values(waitlists).reduce((total, counts) => ({
+          waiting: total.waiting + counts.waiting,
+          waitingSeats: total.waitingSeats + counts.waitingSeats,
+          offered: total.offered + counts.offered
+        }), emptyWaitlist)
       },
       recent: {
         recentTicketsSold: recentTickets.length,
@@ -444,7 +1322,9 @@ const getHostAnalytics = async (req, res) => {
       },
       eventBreakdown: events.map(event => {
         const eventTickets = allTickets.filter(t => t.eventId.toString() === event._id.toString());
-        const checkedIn = eventTickets.filter(t => t.checkInStatus.isCheckedIn).length;
+        const checkedIn = eventTickets
+          .filter(t => ATTENDING_STATUSES.includes(t.status) && isCheckedIn(t))
+          .length;
 
         return {
           eventId: event._id,
@@ -454,6 +1334,9 @@ const getHostAnalytics = async (req, res) => {
           ticketsSold: eventTickets.length,
           checkedIn,
           revenue: eventTickets.reduce((sum, ticket) => sum + ticket.pricePaid, 0),
+          discounts: eventTickets.reduce((sum, ticket) => sum + (ticket.discountAmount || 0), 0),
+          salesChannels: bySalesChannel(eventTickets),
+          waitlist: waitlists[event._id.toString()] || emptyWaitlist,
           status: event.status
         };
       }),
@@ -506,7 +1389,7 @@ const getEventAnalytics = async (req, res) => {
     const totalTickets = allTickets.length;
     const activeTickets = allTickets.filter(t => t.status === 'active').length;
     const cancelledTickets = allTickets.filter(t => t.status === 'cancelled').length;
-    const scannedTickets = allTickets.filter(t => t.verification?.isScanned).length;
+    const scannedTickets = allTickets.filter(t => t.status === 'active' && isCheckedIn(t)).length;
     const unscannedTickets = activeTickets - scannedTickets;
 
     // Revenue calculation
@@ -548,11 +1431,11 @@ const getEventAnalytics = async (req, res) => {
         attendance: {
           scannedByHour,
           recentScans: allTickets
-            .filter(t => t.verification?.isScanned)
+            .filter(isCheckedIn)
             .sort((a, b) => new Date(b.verification.scannedAt) - new Date(a.verification.scannedAt))
             .slice(0, 10)
             .map(ticket => ({
-              attendee: `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`,
+              attendee: getHolderName(ticket),
               scannedAt: ticket.verification.scannedAt,
               scannedBy: ticket.verification.scannedBy 
                 ? `${ticket.verification.scannedBy.firstName} ${ticket.verification.scannedBy.lastName}`
@@ -563,7 +1446,7 @@ const getEventAnalytics = async (req, res) => {
           name: `${staff.firstName} ${staff.lastName}`,
           email: staff.email,
           scansPerformed: allTickets.filter(t => 
-            t.verification?.scannedBy?.toString() === staff._id.toString()
+            t.verification?.scannedBy?._id.toString() === staff._id.toString()
           ).length
         }))
       }
@@ -585,5 +1468,19 @@ module.exports = {
   updateEvent,
   deleteEvent,
   getEventAttendees,
+  getEventBadges,
+  getEventIncidents,
+  exportEventIncidents,
+  updateEventIncident,
+  getEventTransfers,
+  getEventScanEvents,
+  getEventStaff,
+  inviteEventStaff,
+  revokeStaffInvitation,
+  updateEventStaffPermissions,
+  removeEventStaff,
+  getLiveAttendanceToken,
+  streamEventAttendance,
+  getEventBoxOfficeSales,
   getHostAnalytics
 };
\ No newline at end of file
@@ -1,6 +1,42 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
+const Incident = require('../models/Incident');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const {
+  ATTENDING_STATUSES,
+  CHECKED_IN_FILTER,
+  getCheckIn,
+  getHolderName,
+  isCheckedIn
+} = require('../services/ticketService');
+const { TOKEN_PREFIX, getEventPublicKeys, getValidationPrefix } = require('../services/qrTokenService');
+const { getEntryPolicy } = require('../services/entryPolicyService');
+const { getStaffGates, getTicketZoneAccess } = require('../services/accessZoneService');
+const { MIN_SEARCH_LENGTH, searchEventTickets } = require('../services/attendeeSearchService');
+const {
+  SCAN_EVENT_FIELDS,
+  applyOfflineScan,
+  findScannedTicket,
+  isAssignedStaff,
+  processOnlineScan
+} = require('../services/scanService');
+const {
+  findRepeatedEntries,
+  findScanEvents,
+  getGateThroughput,
+  logScanEvent
+} = require('../services/scanEventService');
+const { openAttendanceStream } = require('../services/attendanceStreamService');
+const { findPendingInvitations, respondToInvitation } = require('../services/staffAssignmentService');
+const { getStaffPermissions } = require('../services/staffPermissionService');
+const { sellAtDoor, summarizeBoxOfficeSales } = require('../services/boxOfficeService');
+const { BADGE_FORMATS, getBadgeLayout, sendBadges } = require('../services/badgeService');
+const { findIncidents, reportIncident, updateIncident } = require('../services/incidentService');
+const { signStreamToken } = require('../middleware/authMiddleware');
+
+// Most scans accepted in one offline sync upload
+const MAX_SYNC_BATCH = 500;
 
 // @desc    Get assigned events for staff
 // @route   GET /api/staff/my-events
@@ -15,18 +51,25 @@ const getMyAssignedEvents = async (req, res) => {
       status: 'published'
     })
     .populate('host', 'firstName lastName email')
-    .select('title description startDateTime endDateTime location capacity ticketsSold status')
+    .select('title description startDateTime endDateTime location capacity ticketsSold status zones gates staffAssignments')
     .sort({ startDateTime: 1 });
 
     const eventsWithStats = await Promise.all(events.map(async (event) => {
-      const totalTickets = await Ticket.countDocuments({ eventId: event._id, status: 'active' });
-      const scannedTickets = await Ticket.countDocuments({ 
-        eventId: event._id, 
-        'verification.isScanned': true 
+      const totalTickets = await Ticket.countDocuments({ eventId: event._id, status: { $in: ATTENDING_STATUSES } });
+      const scannedTickets = await Ticket.countDocuments({
+        eventId: event._id,
+        status: { $in: ATTENDING_STATUSES },
+        ...CHECKED_IN_FILTER
       });
 
+      const { staffAssignments, ...eventData } = event.toObject();
+
       return {
-        ...event.toObject(),
+        ...eventData,
+        // Gates this staff member can scan at
+        myGates: getStaffGates(event, staffId).map(gate => ({ _id: gate._id, name: gate.name, zoneId: gate.zoneId })),
+        // What this staff member may do at the event
+        myPermissions: getStaffPermissions(event, req.user),
         stats: {
           totalTickets,
           scannedTickets,
@@ -51,36 +94,194 @@ const getMyAssignedEvents = async (req, res) => {
   }
 };
 
-// @desc    Scan/Verify ticket
+// Contact details are only shown to staff allowed to see them
+const canViewContact = (permissions = []) => permissions.includes('view_attendee_pii');
+
+// Link to print a ticket's badge, for staff allowed to print badges
+const getBadgeUrl = (ticket, permissions = []) => {
+  return permissions.includes('print_badges') ? `/api/staff/tickets/${ticket._id}/badge` : undefined;
+};
+
+// Reply to a scan or manual check-in with the outcome of processOnlineScan
+const sendScanResponse = (res, ticket, action, scan, permissions) => {
+  const attendee = {
+    name: getHolderName(ticket),
+    email: canViewContact(permissions) ? ticket.guest?.email || ticket.attendeeId?.email : undefined
+  };
+
+  if (!scan.allowed) {
+    return res.status(scan.statusCode).json({
+      success: false,
+      allowed: false,
+      message: scan.message,
+      // Denied by the event's entry policy or zone access
+      ...(scan.verification && {
+        entryPolicy: scan.entryPolicy,
+        data: {
+          ticketNumber: ticket.ticketNumber,
+          attendee: { name: attendee.name },
+          verification: scan.verification
+        }
+      })
+    });
+  }
+
+  const { verification, gate } = scan;
+
+  res.status(200).json({
+    success: true,
+    allowed: true,
+    message: `Ticket ${action} recorded successfully`,
+    data: {
+      ticketNumber: ticket.ticketNumber,
+      attendee,
+      event: {
+        title: ticket.eventId.title,
+        startDateTime: ticket.eventId.startDateTime
+      },
+      gate,
+      verification,
+      scanCount: verification.scanCount,
+      entryCount: verification.entryCount,
+      isFirstScan: action === 'entry' && verification.entryCount === 1,
+      // Add ?format=zpl for label printers
+      badgeUrl: action === 'entry' ? getBadgeUrl(ticket, permissions) : undefined
+    }
+  });
+};
+
+// @desc    Scan/Verify ticket by signed QR token, ticket number or legacy QR code data
 // @route   POST /api/staff/scan-ticket
 // @access  Private (staff only)
 const scanTicket = async (req, res) => {
   try {
-    const { ticketNumber, qrCodeData, eventId, action = 'entry' } = req.body;
+    const { ticketNumber, qrCodeData, qrToken, eventId, action = 'entry', deviceId, gateId, gate } = req.body;
     const staffId = req.user._id;
 
-    if (!ticketNumber && !qrCodeData) {
+    const { ticket, error, statusCode, reason } = await findScannedTicket({
+      qrToken,
+      qrCodeData,
+      ticketNumber,
+      eventId
+    });
+
+    if (error) {
+      // Scans that never reached a ticket are audited too
+      await logScanEvent({
+        eventId,
+        ticketNumber,
+        staffId,
+        deviceId,
+        gate,
+        action,
+        source: 'online',
+        outcome: 'rejected',
+        reason: reason ? `${error} (${reason})` : error,
+        scannedAt: new Date()
+      });
+
+      return res.status(statusCode).json({
+        success: false,
+        allowed: false,
+        message: error,
+        reason
+      });
+    }
+
+    const permissions = getStaffPermissions(ticket.eventId, req.user);
+    const scan = await processOnlineScan(ticket, { action, staffId, gateId, gate, deviceId, permissions });
+
+    sendScanResponse(res, ticket, action, scan, permissions);
+  } catch (error) {
+    console.error('Scan ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error scanning ticket',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search an event's tickets by attendee name, email or phone
+// @route   GET /api/staff/events/:eventId/attendees/search
+// @access  Private (staff only)
+const searchEventAttendees = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { q } = req.query;
+    const staffId = req.user._id;
+
+    if (q !== undefined && typeof q !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Ticket number or QR code data required'
+        message: 'Search with a single q value'
       });
     }
 
-    // Build search query
-    let query = {};
-    if (ticketNumber) {
-      query.ticketNumber = ticketNumber;
-    } else if (qrCodeData) {
-      query.qrCodeData = qrCodeData;
+    if (!q || q.trim().length < MIN_SEARCH_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Enter at least ${MIN_SEARCH_LENGTH} characters to search`
+      });
     }
 
-    // Add event filter if provided
-    if (eventId) {
-      query.eventId = eventId;
+    const event = await Event.findById(eventId).select('assignedStaff');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
     }
 
-    const ticket = await Ticket.findOne(query)
-      .populate('eventId', 'title startDateTime endDateTime location assignedStaff')
+    if (!isAssignedStaff(event, staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this event'
+      });
+    }
+
+    const tickets = await searchEventTickets(eventId, q.trim());
+    const showContact = canViewContact(req.staffPermissions);
+
+    res.status(200).json({
+      success: true,
+      count: tickets.length,
+      tickets: tickets.map(ticket => ({
+        _id: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        ticketType: ticket.ticketTypeName,
+        status: ticket.status,
+        holderName: getHolderName(ticket),
+        email: showContact ? ticket.guest?.email || ticket.attendeeId?.email : undefined,
+        phone: showContact && !ticket.guest?.name ? ticket.attendeeId?.phone : undefined,
+        bookedBy: ticket.guest?.name && ticket.attendeeId
+          ? `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`
+          : undefined,
+        checkIn: getCheckIn(ticket)
+      }))
+    });
+  } catch (error) {
+    console.error('Search event attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching attendees',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a ticket in or out by hand, without scanning its QR code
+// @route   POST /api/staff/tickets/:ticketId/check-in
+// @access  Private (staff only)
+const manualCheckIn = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { action = 'entry', deviceId, gateId, gate, idVerified = false } = req.body;
+    const staffId = req.user._id;
+
+    const ticket = await Ticket.findById(ticketId)
+      .populate('eventId', SCAN_EVENT_FIELDS)
       .populate('attendeeId', 'firstName lastName email');
 
     if (!ticket) {
@@ -90,98 +291,323 @@ const scanTicket = async (req, res) => {
       });
     }
 
-    // Verify staff is assigned to this event
-    const isAssigned = ticket.eventId.assignedStaff.some(
-      staffMemberId => staffMemberId.toString() === staffId.toString()
-    );
+    const scan = await processOnlineScan(ticket, {
+      action,
+      staffId,
+      gateId,
+      gate,
+      deviceId,
+      method: 'manual',
+      idVerified: idVerified === true || idVerified === 'true',
+      permissions: req.staffPermissions
+    });
 
-    if (!isAssigned) {
+    sendScanResponse(res, ticket, action, scan, req.staffPermissions);
+  } catch (error) {
+    console.error('Manual check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking in ticket',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download the list of valid tickets and signing keys for offline scanning
+// @route   GET /api/staff/events/:eventId/manifest
+// @access  Private (staff only)
+const getScanManifest = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { since } = req.query;
+    const staffId = req.user._id;
+
+    if (since && (typeof since !== 'string' || isNaN(new Date(since).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date'
+      });
+    }
+
+    const event = await Event.findById(eventId)
+      .select('title startDateTime endDateTime location assignedStaff entryPolicy zones gates staffAssignments ticketTypes');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!isAssignedStaff(event, staffId)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this event'
       });
     }
 
-    // Check ticket status
-    if (ticket.status !== 'active') {
+    // With ?since= only tickets changed after that time are sent, including
+    // cancellations, so a device can refresh its copy cheaply
+    const filter = { eventId };
+    if (since) {
+      filter.updatedAt = { $gt: new Date(since) };
+    } else {
+      filter.status = 'active';
+    }
+
+    const generatedAt = new Date();
+    const tickets = await Ticket.find(filter)
+      .select('ticketNumber qrCodeData status ticketTypeId ticketTypeName guest attendeeId verification.scannedAt verification.exitTime verification.entryCount verification.isInside verification.insideZones verification.lastScanAt')
+      .populate('attendeeId', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      manifest: {
+        event: {
+          id: event._id,
+          title: event.title,
+          startDateTime: event.startDateTime,
+          endDateTime: event.endDateTime,
+          location: event.location
+        },
+        generatedAt,
+        // Devices apply the same entry policy while offline
+        entryPolicy: getEntryPolicy(event),
+        zones: event.zones,
+        // Only the gates this staff member may scan at
+        gates: getStaffGates(event, staffId),
+        // Public keys for checking QR token signatures offline. They verify
+        // tokens but cannot sign them; the signing keys never leave the server.
+        verificationKeys: {
+          algorithm: 'Ed25519',
+          tokenPrefix: TOKEN_PREFIX,
+          keys: getEventPublicKeys(event._id)
+        },
+        count: tickets.length,
+        // A scanned token or legacy validation code must start with the
+        // ticket's validationPrefix, and the ticket must be valid
+        tickets: tickets.map(ticket => ({
+          ticketNumber: ticket.ticketNumber,
+          validationPrefix: getValidationPrefix(ticket.qrCodeData),
+          valid: ticket.status === 'active',
+          status: ticket.status,
+          holderName: getHolderName(ticket),
+          ticketType: ticket.ticketTypeName,
+          admittedAt: ticket.verification?.scannedAt,
+          exitedAt: ticket.verification?.exitTime,
+          entryCount: ticket.verification?.entryCount || 0,
+          isInside: !!ticket.verification?.isInside,
+          lastScanAt: ticket.verification?.lastScanAt,
+          insideZones: ticket.verification?.insideZones || [],
+          // Restricted zones the ticket may enter
+          zoneAccess: getTicketZoneAccess(event, ticket)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get scan manifest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building scan manifest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload a batch of scans made offline
+// @route   POST /api/staff/events/:eventId/scans/sync
+// @access  Private (staff only)
+const syncOfflineScans = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { deviceId, scans } = req.body;
+    const staffId = req.user._id;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
       return res.status(400).json({
         success: false,
-        message: `Ticket is ${ticket.status}. Cannot scan inactive tickets.`
+        message: 'Scans must be a non-empty list'
       });
     }
 
-    // Check if event has started (for entry)
-    const now = new Date();
-    const eventStart = new Date(ticket.eventId.startDateTime);
-    const eventEnd = new Date(ticket.eventId.endDateTime);
-
-    if (action === 'entry' && now < eventStart) {
+    if (scans.length > MAX_SYNC_BATCH) {
       return res.status(400).json({
         success: false,
-        message: 'Event has not started yet'
+        message: `Upload at most ${MAX_SYNC_BATCH} scans per batch`
       });
     }
 
-    if (now > eventEnd) {
-      return res.status(400).json({
+    const event = await Event.findById(eventId).select('assignedStaff');
+
+    if (!event) {
+      return res.status(404).json({
         success: false,
-        message: 'Event has already ended'
+        message: 'Event not found'
       });
     }
 
-    // Initialize verification if not exists
-    if (!ticket.verification) {
-      ticket.verification = {};
+    if (!isAssignedStaff(event, staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this event'
+      });
     }
 
-    // Handle different scan actions
-    if (action === 'entry') {
-      if (ticket.verification.isScanned) {
-        // Already scanned - show warning but allow re-scan
-        ticket.verification.scanCount = (ticket.verification.scanCount || 0) + 1;
-      } else {
-        // First time scan
-        ticket.verification.isScanned = true;
-        ticket.verification.scannedAt = now;
-        ticket.verification.scannedBy = staffId;
-        ticket.verification.entryTime = now;
-        ticket.verification.scanCount = 1;
-      }
-    } else if (action === 'exit') {
-      if (!ticket.verification.isScanned) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot record exit for unscanned ticket'
-        });
-      }
-      ticket.verification.exitTime = now;
+    // Apply scans oldest first; the outcome is the same in any order, but
+    // this makes the per-scan results within a batch read naturally
+    const order = scans
+      .map((scan, index) => ({ scan, index }))
+      .sort((a, b) => new Date(a.scan.scannedAt) - new Date(b.scan.scannedAt));
+
+    const results = new Array(scans.length);
+    const now = new Date();
+
+    for (const { scan, index } of order) {
+      results[index] = await applyOfflineScan(scan, { eventId, staffId, deviceId, now });
     }
 
-    await ticket.save();
+    const summary = results.reduce((acc, entry) => {
+      acc[entry.result] = (acc[entry.result] || 0) + 1;
+      return acc;
+    }, {});
+
+    console.log(`📶 Synced ${scans.length} offline scan(s) for event ${eventId} from device ${deviceId || 'unknown'}`);
 
     res.status(200).json({
       success: true,
-      message: `Ticket ${action} recorded successfully`,
-      data: {
-        ticketNumber: ticket.ticketNumber,
-        attendee: {
-          name: `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`,
-          email: ticket.attendeeId.email
-        },
-        event: {
-          title: ticket.eventId.title,
-          startDateTime: ticket.eventId.startDateTime
-        },
-        verification: ticket.verification,
-        scanCount: ticket.verification.scanCount,
-        isFirstScan: ticket.verification.scanCount === 1
-      }
+      message: 'Scans synced',
+      deviceId,
+      syncedAt: now,
+      summary,
+      results
     });
   } catch (error) {
-    console.error('Scan ticket error:', error);
+    console.error('Sync offline scans error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error scanning ticket',
+      message: 'Server error syncing scans',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the scan audit log for an event
+// @route   GET /api/staff/events/:eventId/scan-events
+// @access  Private (staff only)
+const getEventScanEvents = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const staffId = req.user._id;
+
+    const event = await Event.findById(eventId).select('title assignedStaff');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!isAssignedStaff(event, staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this event'
+      });
+    }
+
+    const [{ scanEvents, pagination, outcomes }, repeatedEntries] = await Promise.all([
+      findScanEvents(eventId, req.query),
+      findRepeatedEntries(eventId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      event: {
+        id: event._id,
+        title: event.title
+      },
+      outcomes,
+      repeatedEntries,
+      scanEvents,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get scan events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching scan events',
+      error: error.message
+    });
+  }
+};
+
+// Find an event the staff member is assigned to.
+// Returns { event } or { error, statusCode }.
+const findAssignedEvent = async (eventId, staffId) => {
+  const event = await Event.findById(eventId).select('title assignedStaff');
+
+  if (!event) {
+    return { error: 'Event not found', statusCode: 404 };
+  }
+
+  if (!isAssignedStaff(event, staffId)) {
+    return { error: 'You are not assigned to this event', statusCode: 403 };
+  }
+
+  return { event };
+};
+
+// @desc    Get a short-lived token for opening the live attendance stream
+// @route   POST /api/staff/events/:eventId/live/token
+// @access  Private (staff only)
+const getLiveAttendanceToken = async (req, res) => {
+  try {
+    const { event, error, statusCode } = await findAssignedEvent(req.params.eventId, req.user._id);
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: signStreamToken(req.user._id, event._id),
+      streamUrl: `/api/staff/events/${event._id}/live`
+    });
+  } catch (error) {
+    console.error('Get live attendance token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating stream token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stream check-ins, exits, bookings and attendance counters (SSE)
+// @route   GET /api/staff/events/:eventId/live
+// @access  Private (staff only)
+const streamEventAttendance = async (req, res) => {
+  try {
+    const { event, error, statusCode } = await findAssignedEvent(req.params.eventId, req.user._id);
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await openAttendanceStream(req, res, event._id);
+  } catch (error) {
+    console.error('Stream event attendance error:', error);
+    if (res.headersSent) return res.end();
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening attendance stream',
       error: error.message
     });
   }
@@ -218,24 +644,26 @@ const getEventAttendance = async (req, res) => {
     }
 
     // Get all tickets for this event
-    const tickets = await Ticket.find({ eventId, status: 'active' })
+    const tickets = await Ticket.find({ eventId, status: { $in: ATTENDING_STATUSES } })
       .populate('attendeeId', 'firstName lastName email')
       .populate('verification.scannedBy', 'firstName lastName')
       .sort({ 'verification.scannedAt': -1 });
 
     // Calculate statistics
     const totalTickets = tickets.length;
-    const scannedTickets = tickets.filter(t => t.verification?.isScanned).length;
+    const scannedTickets = tickets.filter(isCheckedIn).length;
     const unscannedTickets = totalTickets - scannedTickets;
     const attendanceRate = totalTickets > 0 ? ((scannedTickets / totalTickets) * 100).toFixed(2) : 0;
 
     // Group by scan status
-    const scannedList = tickets.filter(t => t.verification?.isScanned);
-    const unscannedList = tickets.filter(t => !t.verification?.isScanned);
+    const scannedList = tickets.filter(isCheckedIn);
+    const unscannedList = tickets.filter(t => !isCheckedIn(t));
 
     // Recent scans (last 10)
     const recentScans = scannedList.slice(0, 10);
 
+    const gateThroughput = await getGateThroughput(eventId);
+
     res.status(200).json({
       success: true,
       event: {
@@ -252,9 +680,10 @@ const getEventAttendance = async (req, res) => {
         unscannedTickets,
         attendanceRate: parseFloat(attendanceRate)
       },
+      gateThroughput,
       recentScans: recentScans.map(ticket => ({
         ticketNumber: ticket.ticketNumber,
-        attendee: `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`,
+        attendee: getHolderName(ticket),
         scannedAt: ticket.verification.scannedAt,
         scanCount: ticket.verification.scanCount
       })),
@@ -262,10 +691,11 @@ const getEventAttendance = async (req, res) => {
         _id: ticket._id,
         ticketNumber: ticket.ticketNumber,
         attendee: {
-          name: `${ticket.attendeeId.firstName} ${ticket.attendeeId.lastName}`,
-          email: ticket.attendeeId.email
+          name: getHolderName(ticket),
+          email: canViewContact(req.staffPermissions) ? ticket.guest?.email || ticket.attendeeId.email : undefined
         },
         verification: ticket.verification,
+        checkIn: getCheckIn(ticket),
         pricePaid: ticket.pricePaid,
         bookingDate: ticket.createdAt
       }))
@@ -345,6 +775,321 @@ const addTicketNote = async (req, res) => {
   }
 };
 
+// @desc    File an incident report for an event
+// @route   POST /api/staff/events/:eventId/incidents
+// @access  Private (staff with report_incidents)
+const reportEventIncident = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('title gates zones');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { category, severity, description, location, occurredAt, tickets } = req.body;
+
+    const { incident, error, statusCode } = await reportIncident(event, req.user._id, {
+      category,
+      severity,
+      description,
+      location,
+      occurredAt,
+      tickets
+    });
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    console.log(`🚨 ${incident.severity} ${incident.category} incident reported for event ${event._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident reported',
+      incident
+    });
+  } catch (error) {
+    console.error('Report incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting incident',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an event's incident reports
+// @route   GET /api/staff/events/:eventId/incidents
+// @access  Private (staff with report_incidents)
+const getEventIncidents = async (req, res) => {
+  try {
+    const { incidents, pagination, statuses } = await findIncidents(req.params.eventId, req.query);
+
+    res.status(200).json({
+      success: true,
+      statuses,
+      incidents,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching incidents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an incident's status or severity
+// @route   PUT /api/staff/events/:eventId/incidents/:incidentId
+// @access  Private (staff with report_incidents)
+const updateEventIncident = async (req, res) => {
+  try {
+    const { eventId, incidentId } = req.params;
+
+    const incident = mongoose.Types.ObjectId.isValid(incidentId)
+      ? await Incident.findOne({ _id: incidentId, eventId })
+      : null;
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const { status, severity, note } = req.body;
+    const updated = await updateIncident(incident, req.user._id, { status, severity, note });
+
+    if (updated.error) {
+      return res.status(updated.statusCode).json({
+        success: false,
+        message: updated.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident updated',
+      incident: updated.incident
+    });
+  } catch (error) {
+    console.error('Update incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating incident',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a ticket's name badge, as PDF or ZPL for label printers
+// @route   GET /api/staff/tickets/:ticketId/badge?format=pdf|zpl
+// @access  Private (staff with print_badges)
+const getTicketBadge = async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    if (!BADGE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${BADGE_FORMATS.join(', ')}`
+      });
+    }
+
+    const ticket = await Ticket.findById(req.params.ticketId)
+      .populate('eventId', 'title badgeLayout')
+      .populate('attendeeId', 'firstName lastName');
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!ATTENDING_STATUSES.includes(ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ticket is ${ticket.status}`
+      });
+    }
+
+    await sendBadges(res, [ticket], getBadgeLayout(ticket.eventId), {
+      format,
+      filename: `badge-${ticket.ticketNumber}`
+    });
+  } catch (error) {
+    console.error('Get ticket badge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating badge',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sell tickets at the door and check them in
+// @route   POST /api/staff/events/:eventId/box-office/sales
+// @access  Private (staff with sell_tickets)
+const sellBoxOfficeTickets = async (req, res) => {
+  try {
+    const {
+      ticketTypeId,
+      quantity,
+      guests,
+      buyer,
+      paymentMethod,
+      cashTendered,
+      terminalReference,
+      gateId,
+      gate,
+      deviceId
+    } = req.body;
+
+    const sale = await sellAtDoor({
+      eventId: req.params.eventId,
+      staff: req.user,
+      permissions: req.staffPermissions,
+      ticketTypeId,
+      quantity,
+      guests,
+      buyer,
+      paymentMethod,
+      cashTendered,
+      terminalReference,
+      gateId,
+      gate,
+      deviceId
+    });
+
+    if (sale.error) {
+      return res.status(sale.statusCode).json({
+        success: false,
+        message: sale.error
+      });
+    }
+
+    const { payment, order, tickets, checkIns, changeGiven } = sale;
+
+    res.status(201).json({
+      success: true,
+      message: `${tickets.length} ticket(s) sold`,
+      payment: {
+        paymentId: payment.paymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: payment.paymentMethod,
+        changeGiven
+      },
+      order,
+      tickets: tickets.map(ticket => ({
+        _id: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        ticketType: ticket.ticketTypeName,
+        holderName: getHolderName(ticket),
+        pricePaid: ticket.pricePaid,
+        qrCodeUrl: ticket.qrCodeUrl,
+        badgeUrl: getBadgeUrl(ticket, req.staffPermissions)
+      })),
+      checkIns
+    });
+  } catch (error) {
+    console.error('Box office sale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error selling tickets',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get this staff member's box office takings for an event
+// @route   GET /api/staff/events/:eventId/box-office/sales
+// @access  Private (staff with sell_tickets)
+const getMyBoxOfficeSales = async (req, res) => {
+  try {
+    const { bySeller, ...summary } = await summarizeBoxOfficeSales(req.params.eventId, { soldBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    console.error('Get box office sales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching box office sales',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get invitations to work events that are waiting for an answer
+// @route   GET /api/staff/invitations
+// @access  Private (staff only)
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await findPendingInvitations(req.user);
+
+    res.status(200).json({
+      success: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get staff invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitations',
+      error: error.message
+    });
+  }
+};
+
+const sendInvitationResponse = async (req, res, accept) => {
+  try {
+    const { invitation, event, error, statusCode } = await respondToInvitation(req.params.invitationId, req.user, accept);
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: accept ? `You are now assigned to ${event.title}` : 'Invitation declined',
+      invitation,
+      event
+    });
+  } catch (error) {
+    console.error('Respond to staff invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error answering invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation and join the event's staff
+// @route   POST /api/staff/invitations/:invitationId/accept
+// @access  Private (staff only)
+const acceptInvitation = (req, res) => sendInvitationResponse(req, res, true);
+
+// @desc    Decline an invitation
+// @route   POST /api/staff/invitations/:invitationId/decline
+// @access  Private (staff only)
+const declineInvitation = (req, res) => sendInvitationResponse(req, res, false);
+
 // @desc    Get staff dashboard data
 // @route   GET /api/staff/dashboard
 // @access  Private (staff only)
@@ -383,6 +1128,8 @@ const getStaffDashboard = async (req, res) => {
       'verification.scannedBy': staffId
     });
 
+    const pendingInvitations = await findPendingInvitations(req.user);
+
     res.status(200).json({
       success: true,
       dashboard: {
@@ -390,8 +1137,10 @@ const getStaffDashboard = async (req, res) => {
         todaysEventsCount: todaysEvents.length,
         upcomingEventsCount: upcomingEvents.length,
         totalScansPerformed: totalScans,
+        pendingInvitationsCount: pendingInvitations.length,
         todaysEvents: todaysEvents.slice(0, 3), // Show first 3
-        upcomingEvents: upcomingEvents.slice(0, 5) // Show first 5
+        upcomingEvents: upcomingEvents.slice(0, 5), // Show first 5
+        pendingInvitations
       }
     });
   } catch (error) {
@@ -407,7 +1156,23 @@ const getStaffDashboard = async (req, res) => {
 module.exports = {
   getMyAssignedEvents,
   scanTicket,
+  searchEventAttendees,
+  manualCheckIn,
+  getScanManifest,
+  syncOfflineScans,
+  getEventScanEvents,
+  getLiveAttendanceToken,
+  streamEventAttendance,
   getEventAttendance,
   addTicketNote,
+  getTicketBadge,
+  reportEventIncident,
+  getEventIncidents,
+  updateEventIncident,
+  sellBoxOfficeTickets,
+  getMyBoxOfficeSales,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
   getStaffDashboard
 };
\ No newline at end of file
@@ -1,4 +1,11 @@
 const Event = require('../models/Event');
+const { parseTicketTypes } = require('../services/ticketTypeService');
+const { parseRefundPolicy } = require('../services/refundPolicyService');
+const { parseEntryPolicy } = require('../services/entryPolicyService');
+const { parseBadgeLayout } = require('../services/badgeService');
+const { parseTransferPolicy } = require('../services/ticketTransferService');
+const { parseAccessLayout, withAssignedStaff } = require('../services/accessZoneService');
+const { getStaffIdsError, syncAssignedEvents } = require('../services/staffAssignmentService');
 
 // @desc    Get all events
 const getAllEvents = async (req, res) => {
@@ -129,7 +136,15 @@ const createEventPublic = async (req, res) => {
       startDateTime,
       endDateTime,
       capacity,
-      pricing
+      pricing,
+      ticketTypes,
+      refundPolicy,
+      entryPolicy,
+      badgeLayout,
+      transferPolicy,
+      zones,
+      gates,
+      staffAssignments
     } = req.body;
 
     // Basic validation
@@ -158,6 +173,83 @@ const createEventPublic = async (req, res) => {
       });
     }
 
+    let parsedTicketTypes = [];
+    if (ticketTypes) {
+      const parsed = parseTicketTypes(ticketTypes);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedTicketTypes = parsed.ticketTypes;
+    }
+
+    let parsedRefundPolicy;
+    if (refundPolicy) {
+      const parsed = parseRefundPolicy(refundPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedRefundPolicy = parsed.refundPolicy;
+    }
+
+    let parsedEntryPolicy;
+    if (entryPolicy) {
+      const parsed = parseEntryPolicy(entryPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedEntryPolicy = parsed.entryPolicy;
+    }
+
+    let parsedBadgeLayout;
+    if (badgeLayout) {
+      const parsed = parseBadgeLayout(badgeLayout);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedBadgeLayout = parsed.badgeLayout;
+    }
+
+    let parsedTransferPolicy;
+    if (transferPolicy) {
+      const parsed = parseTransferPolicy(transferPolicy);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      parsedTransferPolicy = parsed.transferPolicy;
+    }
+
+    const layout = parseAccessLayout({ zones, gates, staffAssignments, ticketTypes: parsedTicketTypes });
+    if (layout.error) {
+      return res.status(400).json({
+        success: false,
+        message: layout.error
+      });
+    }
+
+    const eventStaff = withAssignedStaff([], layout.staffAssignments);
+    const staffError = await getStaffIdsError(eventStaff);
+    if (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError
+      });
+    }
+
     const newEvent = new Event({
       title,
       description,
@@ -168,12 +260,23 @@ const createEventPublic = async (req, res) => {
       capacity: parseInt(capacity),
       pricing: {
         isFree: pricing?.isFree || false,
-        price: pricing?.isFree ? 0 : (pricing?.price || 0)
+        price: pricing?.isFree ? 0 : (pricing?.price || 0),
+        currency: pricing?.currency
       },
+      ticketTypes: layout.ticketTypes,
+      refundPolicy: parsedRefundPolicy,
+      entryPolicy: parsedEntryPolicy,
+      badgeLayout: parsedBadgeLayout,
+      transferPolicy: parsedTransferPolicy,
+      zones: layout.zones,
+      gates: layout.gates,
+      staffAssignments: layout.staffAssignments,
+      assignedStaff: eventStaff,
       host: req.user._id
     });
 
     const savedEvent = await newEvent.save();
+    await syncAssignedEvents(savedEvent._id, [], savedEvent.assignedStaff);
     const populatedEvent = await Event.findById(savedEvent._id)
       .populate('host', 'firstName lastName username');
 
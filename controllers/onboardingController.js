@@ -33,11 +33,9 @@ const completeOnboarding = async (req, res) => {
         verified: false // New hosts need verification
       };
     } else if (role === 'event_staff' && profileData) {
-      updateData.staffProfile = {
-        permissions: profileData.permissions || ['scan_ticket', 'check_in_attendee'],
-        assignedEvents: [],
-        isActive: true
-      };
+      // Staff get the standard permissions; hosts grant more per event.
+      // Assigned events are kept in sync by the events themselves.
+      updateData['staffProfile.isActive'] = true;
     } else if (role === 'event_attendee') {
       updateData.attendeeProfile = {
         preferences: profileData?.preferences || [],
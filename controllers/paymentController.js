@@ -1,16 +1,42 @@
 const crypto = require('crypto');
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const SeatHold = require('../models/SeatHold');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getBookingError } = require('../services/ticketService');
+const { parseOrderRequest, priceOrder } = require('../services/orderService');
+const { releasePromoRedemption, reservePromoCode } = require('../services/promoCodeService');
+const {
+  applyGatewayEvent,
+  completePayment,
+  failPayment,
+  startProcessing
+} = require('../services/paymentService');
+const { getPaymentGateway, PaymentGatewayError } = require('../services/paymentGateways');
+const { createHold, endHold } = require('../services/seatHoldService');
+const { claimOffer, findActiveOffer, includeOfferSeats } = require('../services/waitlistService');
+const { resolveTicketType } = require('../services/ticketTypeService');
 
-// Simple payment controller with demo functionality
+// Payment controller backed by the configured payment gateway
 console.log('💳 Loading payment controller...');
 
-// @desc    Create demo payment order
+// @desc    Create payment order with the configured gateway
+// @route   POST /api/payments/create-order
 // @route   POST /api/payments/create-demo-payment
 // @access  Private (attendee only)
-const createDemoPayment = async (req, res) => {
+const createPayment = async (req, res) => {
   try {
-    console.log('💳 Creating demo payment for user:', req.user._id);
+    console.log('💳 Creating payment for user:', req.user._id);
 
-    const { eventId, paymentMethod = 'credit_card' } = req.body;
+    const {
+      eventId,
+      ticketTypeId,
+      quantity: requestedQuantity,
+      guests: requestedGuests,
+      promoCode: code,
+      paymentMethod = 'credit_card',
+      attendeeInfo = {}
+    } = req.body;
     const userId = req.user._id;
 
     if (!eventId) {
@@ -20,49 +46,215 @@ const createDemoPayment = async (req, res) => {
       });
     }
 
-    // Generate demo payment identifiers
-    const paymentId = `DEMO_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Seats a waitlist offer holds for this attendee are theirs to book
+    const offer = await findActiveOffer(event._id, userId);
+    if (offer) includeOfferSeats(event, offer);
+
+    const bookingError = getBookingError(event);
+    if (bookingError) {
+      return res.status(400).json({
+        success: false,
+        message: bookingError
+      });
+    }
+
+    const { quantity, guests, error: orderError } = parseOrderRequest({
+      quantity: requestedQuantity,
+      guests: requestedGuests
+    });
+    if (orderError) {
+      return res.status(400).json({
+        success: false,
+        message: orderError
+      });
+    }
+
+    const { ticketType, error: ticketTypeError } = resolveTicketType(event, ticketTypeId);
+    if (ticketTypeError) {
+      return res.status(400).json({
+        success: false,
+        message: ticketTypeError
+      });
+    }
+
+    const pricing = await priceOrder({ event, ticketType, quantity, code, userId });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    const { unitPrice, subtotal, discountAmount, totalAmount: amount, promoCode } = pricing;
+
+    if (amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order is free. Book the tickets directly.'
+      });
+    }
+
+    const gateway = getPaymentGateway();
+
+    // Generate payment identifiers
+    const paymentId = `PAY_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
     const transactionId = `TXN_${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
-    const orderId = `ORD_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const currency = (event.pricing.currency || 'USD').toUpperCase();
+
+    // Reserve the seats while the attendee pays. A waitlist offer's seats
+    // move onto this checkout.
+    const hold = (offer && await claimOffer(offer, { paymentId, ticketTypeId: ticketType?._id, quantity })) ||
+      await createHold({
+        eventId: event._id,
+        userId,
+        paymentId,
+        ticketTypeId: ticketType?._id,
+        quantity
+      });
+    if (!hold) {
+      return res.status(400).json({
+        success: false,
+        message: quantity > 1
+          ? `Not enough tickets left for ${quantity} seats`
+          : ticketType ? `${ticketType.name} tickets are sold out` : 'Event is sold out'
+      });
+    }
 
-    // Demo amount (in real app, get from event)
-    const amount = 50.00;
+    let gatewayOrder;
+    let payment;
 
-    console.log('✅ Demo payment created:', paymentId);
+    try {
+      const reservation = promoCode &&
+        await reservePromoCode(promoCode, { userId, eventId: event._id, paymentId, discountAmount });
 
-    res.status(201).json({
-      success: true,
-      message: 'Demo payment order created successfully',
-      payment: {
+      if (reservation?.error) {
+        await endHold(hold);
+        return res.status(400).json({
+          success: false,
+          message: reservation.error
+        });
+      }
+
+      gatewayOrder = await gateway.createOrder({
+        amount,
+        currency,
+        receipt: paymentId,
+        notes: {
+          eventId: event._id.toString(),
+          userId: userId.toString(),
+          quantity: String(quantity)
+        }
+      });
+
+      payment = await Payment.create({
         paymentId,
-        orderId,
         transactionId,
+        orderId: gatewayOrder.orderId,
+        eventId: event._id,
+        userId,
         amount,
-        currency: 'USD',
+        currency,
         status: 'pending',
+        gateway: {
+          name: gateway.name,
+          gatewayResponse: gatewayOrder.raw
+        },
         paymentMethod,
-        eventId,
+        discount: promoCode ? {
+          promoCodeId: promoCode._id,
+          code: promoCode.code,
+          subtotal,
+          amount: discountAmount
+        } : undefined,
+        booking: {
+          ticketTypeId: ticketType?._id,
+          ticketTypeName: ticketType?.name,
+          unitPrice,
+          quantity,
+          guests,
+          attendeeInfo
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+    } catch (error) {
+      await endHold(hold);
+      await releasePromoRedemption({ paymentId });
+      throw error;
+    }
+
+    console.log('✅ Payment created:', paymentId, 'via', gateway.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created successfully',
+      payment: {
+        paymentId: payment.paymentId,
+        orderId: payment.orderId,
+        transactionId: payment.transactionId,
+        amount: payment.amount,
+        unitPrice,
+        quantity,
+        subtotal,
+        discount: promoCode ? { code: promoCode.code, amount: discountAmount } : undefined,
+        currency: payment.currency,
+        status: payment.status,
+        paymentMethod: payment.paymentMethod,
+        eventId: event._id,
+        ticketType: ticketType && {
+          _id: ticketType._id,
+          name: ticketType.name
+        },
         userId: userId.toString()
+      },
+      hold: {
+        quantity: hold.quantity,
+        expiresAt: hold.expiresAt
+      },
+      gateway: {
+        name: gateway.name,
+        orderId: gatewayOrder.orderId,
+        ...gateway.getCheckoutConfig()
       }
     });
   } catch (error) {
-    console.error('❌ Create demo payment error:', error);
+    console.error('❌ Create payment error:', error);
+
+    if (error instanceof PaymentGatewayError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Payment gateway could not create the order',
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error creating demo payment',
+      message: 'Server error creating payment',
       error: error.message
     });
   }
 };
 
-// @desc    Process demo payment verification
+// @desc    Verify and capture a payment, issuing the ticket on success
+// @route   POST /api/payments/verify
 // @route   POST /api/payments/verify-demo-payment
 // @access  Private (attendee only)
-const verifyDemoPayment = async (req, res) => {
+const verifyPayment = async (req, res) => {
   try {
-    console.log('🔍 Verifying demo payment...');
+    console.log('🔍 Verifying payment...');
 
-    const { paymentId, cardDetails } = req.body;
+    const { paymentId, gatewayPaymentId, signature, cardDetails } = req.body;
     const userId = req.user._id;
 
     if (!paymentId) {
@@ -72,50 +264,174 @@ const verifyDemoPayment = async (req, res) => {
       });
     }
 
-    // Simulate payment processing delay
-    const processingTime = Math.floor(Math.random() * 2000) + 1000; // 1-3 seconds
+    // Claim the payment so it can only be processed once
+    const payment = await startProcessing(paymentId, userId);
 
-    await new Promise(resolve => setTimeout(resolve, processingTime));
+    if (!payment) {
+      const existingPayment = await Payment.findOne({ paymentId, userId });
 
-    // Demo success rate (95% success)
-    const isSuccessful = Math.random() > 0.05;
+      if (!existingPayment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
 
-    if (isSuccessful) {
-      console.log('✅ Demo payment successful:', paymentId);
+      return res.status(400).json({
+        success: false,
+        message: existingPayment.status === 'cancelled' && existingPayment.error?.message
+          ? existingPayment.error.message
+          : `Payment is already ${existingPayment.status}`
+      });
+    }
 
-      // Generate demo ticket number
-      const ticketNumber = `TCK${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    // The seat hold must still be valid when payment is confirmed
+    const hold = await SeatHold.findOne({ paymentId });
+    if (hold && (hold.status !== 'active' || hold.expiresAt <= new Date())) {
+      await failPayment(payment, {
+        code: 'HOLD_EXPIRED',
+        message: 'Your seat hold expired before payment was completed. Please start checkout again.'
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Your seat hold expired before payment was completed. Please start checkout again.'
+      });
+    }
+
+    if (cardDetails) {
+      const cardNumber = String(cardDetails.cardNumber || cardDetails.last4Digits || '');
+      const cardTypes = Payment.schema.path('cardDetails.cardType').enumValues;
+      payment.cardDetails = {
+        last4Digits: cardNumber.slice(-4) || undefined,
+        cardType: cardTypes.includes(cardDetails.cardType) ? cardDetails.cardType : undefined
+      };
+    }
+
+    const gateway = getPaymentGateway(payment.gateway.name);
+
+    const isSignatureValid = gateway.verifySignature({
+      orderId: payment.orderId,
+      paymentId: gatewayPaymentId,
+      signature
+    });
+
+    if (!isSignatureValid) {
+      await failPayment(payment, {
+        code: 'SIGNATURE_MISMATCH',
+        message: 'Payment signature verification failed'
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Payment signature verification failed'
+      });
+    }
+
+    let capture;
+    try {
+      capture = await gateway.capturePayment({
+        paymentId: gatewayPaymentId,
+        amount: payment.amount,
+        currency: payment.currency
+      });
+    } catch (error) {
+      // Leave the payment processing; the payment reconciler settles it with
+      // the gateway later and releases its seats if it never went through
+      payment.gateway.gatewayTransactionId = gatewayPaymentId || payment.gateway.gatewayTransactionId;
+      await payment.save();
+      throw error;
+    }
+
+    if (capture.status === 'completed') {
+      const { payment: completedPayment, order, tickets, ticket } = await completePayment(payment, {
+        gatewayTransactionId: capture.paymentId,
+        gatewayResponse: capture.raw
+      });
+
+      if (completedPayment.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: completedPayment.status === 'refunded'
+            ? 'The event sold out before your payment completed. Your payment has been refunded.'
+            : completedPayment.error?.message || 'Payment could not be completed',
+          payment: {
+            paymentId: completedPayment.paymentId,
+            status: completedPayment.status
+          }
+        });
+      }
+
+      console.log('✅ Payment successful:', paymentId);
 
       res.status(200).json({
         success: true,
-        message: 'Demo payment verified successfully! Ticket created.',
+        message: tickets.length > 1
+          ? `Payment verified successfully! ${tickets.length} tickets created.`
+          : ticket
+            ? 'Payment verified successfully! Ticket created.'
+            : 'Payment verified successfully! Your ticket is being issued.',
         payment: {
-          paymentId,
-          transactionId: `TXN_${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
-          status: 'completed',
-          amount: 50.00,
-          completedAt: new Date()
+          paymentId: completedPayment.paymentId,
+          transactionId: completedPayment.transactionId,
+          status: completedPayment.status,
+          amount: completedPayment.amount,
+          currency: completedPayment.currency,
+          completedAt: completedPayment.completedAt
         },
-        ticket: {
-          ticketNumber,
-          qrCodeUrl: `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${ticketNumber}`,
-          status: 'active'
+        order: order && {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          quantity: order.quantity,
+          totalAmount: order.totalAmount,
+          status: order.status
+        },
+        tickets: tickets.map(issued => ({
+          _id: issued._id,
+          ticketNumber: issued.ticketNumber,
+          qrCodeUrl: issued.qrCodeUrl,
+          guest: issued.guest,
+          status: issued.status
+        })),
+        ticket: ticket && {
+          _id: ticket._id,
+          ticketNumber: ticket.ticketNumber,
+          qrCodeUrl: ticket.qrCodeUrl,
+          status: ticket.status
         }
       });
     } else {
-      console.log('❌ Demo payment failed:', paymentId);
+      const failure = capture.error || {
+        code: 'PAYMENT_NOT_CAPTURED',
+        message: `Payment is ${capture.status} at the gateway`
+      };
+
+      payment.gateway.gatewayTransactionId = capture.paymentId;
+      payment.gateway.gatewayResponse = capture.raw;
+      await failPayment(payment, failure);
+
+      console.log('❌ Payment failed:', paymentId);
 
       res.status(400).json({
         success: false,
-        message: 'Demo payment failed - Please try again',
-        error: 'Insufficient funds (demo)'
+        message: 'Payment failed - Please try again',
+        error: failure.message
       });
     }
   } catch (error) {
-    console.error('❌ Verify demo payment error:', error);
+    console.error('❌ Verify payment error:', error);
+
+    if (error instanceof PaymentGatewayError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Payment gateway could not verify the payment',
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error verifying demo payment',
+      message: 'Server error verifying payment',
       error: error.message
     });
   }
@@ -138,19 +454,35 @@ const getPaymentStatus = async (req, res) => {
       });
     }
 
-    // Demo payment status response
+    const payment = await Payment.findOne({ paymentId, userId })
+      .populate('ticketId', 'ticketNumber status')
+      .populate('order', 'orderNumber quantity totalAmount status');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
     res.status(200).json({
       success: true,
       payment: {
-        paymentId,
-        transactionId: `TXN_${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
-        orderId: `ORD_${Date.now()}`,
-        amount: 50.00,
-        currency: 'USD',
-        status: 'completed',
-        paymentMethod: 'credit_card',
-        initiatedAt: new Date(Date.now() - 300000), // 5 minutes ago
-        completedAt: new Date(),
+        paymentId: payment.paymentId,
+        transactionId: payment.transactionId,
+        orderId: payment.orderId,
+        eventId: payment.eventId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        paymentMethod: payment.paymentMethod,
+        initiatedAt: payment.initiatedAt,
+        completedAt: payment.completedAt,
+        failedAt: payment.failedAt,
+        error: payment.error?.code ? payment.error : undefined,
+        discount: payment.discount?.code ? payment.discount : undefined,
+        ticket: payment.ticketId,
+        order: payment.order,
         userId: userId.toString()
       }
     });
@@ -164,11 +496,98 @@ const getPaymentStatus = async (req, res) => {
   }
 };
 
+// @desc    Receive payment gateway webhook
+// @route   POST /api/payments/webhook
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (authenticated by gateway signature)
+const handleWebhook = async (req, res) => {
+  let webhookEvent;
+
+  try {
+    let gateway;
+    try {
+      gateway = getPaymentGateway(req.params.gateway);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!gateway.verifyWebhookSignature({ rawBody: req.rawBody, headers: req.headers })) {
+      console.log('❌ Rejected webhook with invalid signature for', gateway.name);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = gateway.parseWebhookEvent({ body: req.body, headers: req.headers });
+
+    if (!event.eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook event ID is missing'
+      });
+    }
+
+    // Record the event first; a duplicate key means it was already handled
+    try {
+      webhookEvent = await WebhookEvent.create({
+        gateway: gateway.name,
+        eventId: event.eventId,
+        type: event.type,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log('🔁 Duplicate webhook ignored:', event.eventId);
+        return res.status(200).json({
+          success: true,
+          message: 'Event already processed',
+          duplicate: true
+        });
+      }
+      throw error;
+    }
+
+    const result = event.type
+      ? await applyGatewayEvent(gateway.name, event)
+      : 'ignored: unhandled event type';
+
+    webhookEvent.status = result.startsWith('ignored') ? 'ignored' : 'processed';
+    webhookEvent.result = result;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    console.log('📨 Webhook', event.eventId, '-', result);
+
+    res.status(200).json({
+      success: true,
+      message: result
+    });
+  } catch (error) {
+    console.error('❌ Webhook processing error:', error);
+
+    // Forget the event so the gateway's retry is processed again
+    if (webhookEvent) {
+      await WebhookEvent.deleteOne({ _id: webhookEvent._id }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook',
+      error: error.message
+    });
+  }
+};
+
 // CRITICAL: Export all functions
 module.exports = {
-  createDemoPayment,
-  verifyDemoPayment,
-  getPaymentStatus
+  createPayment,
+  verifyPayment,
+  getPaymentStatus,
+  handleWebhook
 };
 
 console.log('💳 Payment controller loaded with functions:', Object.keys(module.exports));
\ No newline at end of file
@@ -0,0 +1,220 @@
+const Event = require('../models/Event');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { parsePromoCode } = require('../services/promoCodeService');
+
+// Check every event a code is restricted to belongs to the host
+const ownsEvents = async (hostId, eventIds = []) => {
+  if (eventIds.length === 0) return true;
+
+  const owned = await Event.countDocuments({ _id: { $in: eventIds }, host: hostId });
+  return owned === new Set(eventIds.map(String)).size;
+};
+
+// @desc    Get host's promo codes with usage
+// @route   GET /api/host/promo-codes
+// @access  Private (host only)
+const getMyPromoCodes = async (req, res) => {
+  try {
+    const promoCodes = await PromoCode.find({ host: req.user._id })
+      .populate('events', 'title startDateTime')
+      .sort({ createdAt: -1 });
+
+    // Redeemed uses and total discount given, per code
+    const usage = await PromoRedemption.aggregate([
+      { $match: { promoCodeId: { $in: promoCodes.map(promo => promo._id) }, status: 'redeemed' } },
+      { $group: { _id: '$promoCodeId', redeemed: { $sum: 1 }, totalDiscount: { $sum: '$discountAmount' } } }
+    ]);
+    const usageById = new Map(usage.map(entry => [entry._id.toString(), entry]));
+
+    res.status(200).json({
+      success: true,
+      count: promoCodes.length,
+      promoCodes: promoCodes.map(promo => ({
+        ...promo.toObject(),
+        usage: {
+          reserved: promo.usedCount,
+          redeemed: usageById.get(promo._id.toString())?.redeemed || 0,
+          totalDiscount: usageById.get(promo._id.toString())?.totalDiscount || 0,
+          remaining: promo.maxUses ? Math.max(promo.maxUses - promo.usedCount, 0) : null
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching promo codes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create promo code
+// @route   POST /api/host/promo-codes
+// @access  Private (host only)
+const createPromoCode = async (req, res) => {
+  try {
+    const { promoCode, error } = parsePromoCode(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!(await ownsEvents(req.user._id, promoCode.events))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes can only be restricted to your own events'
+      });
+    }
+
+    const created = await PromoCode.create({
+      ...promoCode,
+      host: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      promoCode: created
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a promo code with this code'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating promo code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update promo code
+// @route   PUT /api/host/promo-codes/:id
+// @access  Private (host only)
+const updatePromoCode = async (req, res) => {
+  try {
+    const existing = await PromoCode.findOne({ _id: req.params.id, host: req.user._id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const { promoCode, error } = parsePromoCode({
+      discountType: existing.discountType,
+      ...req.body
+    }, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (promoCode.code && promoCode.code !== existing.code && existing.usedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The code cannot be changed once it has been used'
+      });
+    }
+
+    if (promoCode.maxUses && promoCode.maxUses < existing.usedCount) {
+      return res.status(400).json({
+        success: false,
+        message: `This code has already been used ${existing.usedCount} times`
+      });
+    }
+
+    if (!(await ownsEvents(req.user._id, promoCode.events))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes can only be restricted to your own events'
+      });
+    }
+
+    existing.set(promoCode);
+    await existing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      promoCode: existing
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a promo code with this code'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating promo code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete promo code (codes that have been used are deactivated instead)
+// @route   DELETE /api/host/promo-codes/:id
+// @access  Private (host only)
+const deletePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findOne({ _id: req.params.id, host: req.user._id });
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const hasRedemptions = await PromoRedemption.exists({ promoCodeId: promoCode._id });
+
+    if (hasRedemptions) {
+      promoCode.isActive = false;
+      await promoCode.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Promo code has been used, so it was deactivated instead of deleted'
+      });
+    }
+
+    await promoCode.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting promo code',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
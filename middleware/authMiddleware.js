@@ -1,8 +1,26 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const { getStaffPermissions } = require('../services/staffPermissionService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key';
 
+// Scope of the short-lived tokens used to open a live attendance stream.
+// EventSource cannot send an Authorization header, so these go in the URL
+// and only open the stream for the one event they were issued for.
+const STREAM_TOKEN_SCOPE = 'attendance_stream';
+const STREAM_TOKEN_EXPIRES_IN = '10m';
+
+const signStreamToken = (userId, eventId) => {
+  return jwt.sign(
+    { id: userId, scope: STREAM_TOKEN_SCOPE, eventId: eventId.toString() },
+    JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+  );
+};
+
 // Authentication middleware - verifies JWT token
 const authenticate = async (req, res, next) => {
   try {
@@ -27,6 +45,14 @@ const authenticate = async (req, res, next) => {
 
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // Stream tokens only open attendance streams
+    if (decoded.scope) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.',
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user || !user.isActive) {
@@ -48,6 +74,45 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for live attendance streams: a normal Authorization header,
+// or a stream token issued for this event in the `token` query parameter
+const authenticateStream = (eventIdParam = 'eventId') => {
+  return async (req, res, next) => {
+    if (!req.query.token) {
+      return authenticate(req, res, next);
+    }
+
+    try {
+      const decoded = jwt.verify(req.query.token, JWT_SECRET);
+
+      if (decoded.scope !== STREAM_TOKEN_SCOPE || decoded.eventId !== req.params[eventIdParam]) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid stream token for this event.',
+        });
+      }
+
+      const user = await User.findById(decoded.id).select('-password');
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token or user not active.',
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: 'Invalid token.',
+        error: error.message,
+      });
+    }
+  };
+};
+
 // Role-based authorization middleware
 const authorize = (...allowedRoles) => {
   return (req, res, next) => {
@@ -69,7 +134,61 @@ const authorize = (...allowedRoles) => {
   };
 };
 
-// Permission-based authorization middleware
+// Permissions that come with the host and attendee roles. Staff permissions
+// depend on the event (see staffPermissionService).
+const rolePermissions = {
+  event_host: [
+    'create_event',
+    'edit_event',
+    'delete_event',
+    'view_event_analytics',
+    'manage_event_capacity',
+    'view_attendees_list',
+    'export_attendee_data',
+  ],
+  event_attendee: [
+    'view_events',
+    'book_ticket',
+    'view_my_tickets',
+    'cancel_booking',
+    'download_ticket',
+  ],
+};
+
+// Event a staff request is about, from its :eventId or :ticketId parameter.
+// Returns { event } (null for routes without one) or { error, statusCode }.
+const findRequestEvent = async (params) => {
+  let eventId = params.eventId;
+
+  if (!eventId && params.ticketId) {
+    const ticket = mongoose.Types.ObjectId.isValid(params.ticketId)
+      ? await Ticket.findById(params.ticketId).select('eventId')
+      : null;
+
+    if (!ticket) {
+      return { error: 'Ticket not found', statusCode: 404 };
+    }
+    eventId = ticket.eventId;
+  }
+
+  if (!eventId) {
+    return { event: null };
+  }
+
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findById(eventId).select('assignedStaff staffAssignments')
+    : null;
+
+  if (!event) {
+    return { error: 'Event not found', statusCode: 404 };
+  }
+
+  return { event };
+};
+
+// Permission-based authorization middleware. Staff are checked against their
+// permissions at the event named in the route, and must be assigned to it;
+// the permissions found are left on req.staffPermissions.
 const requirePermissions = (...requiredPermissions) => {
   return async (req, res, next) => {
     if (!req.user) {
@@ -79,48 +198,51 @@ const requirePermissions = (...requiredPermissions) => {
       });
     }
 
-    // Define role permissions
-    const rolePermissions = {
-      event_host: [
-        'create_event',
-        'edit_event',
-        'delete_event',
-        'view_event_analytics',
-        'manage_event_capacity',
-        'view_attendees_list',
-        'export_attendee_data',
-      ],
-      event_attendee: [
-        'view_events',
-        'book_ticket',
-        'view_my_tickets',
-        'cancel_booking',
-        'download_ticket',
-      ],
-      event_staff: [
-        'scan_ticket',
-        'check_in_attendee',
-        'view_event_attendees',
-        'verify_ticket_validity',
-        'mark_attendance',
-      ],
-    };
-
-    const userPermissions = rolePermissions[req.user.selectedRole] || [];
-
-    // Check if all required permissions are present
-    const hasAllPermissions = requiredPermissions.every((perm) =>
-      userPermissions.includes(perm)
-    );
-
-    if (!hasAllPermissions) {
-      return res.status(403).json({
+    try {
+      let userPermissions = rolePermissions[req.user.selectedRole] || [];
+
+      if (req.user.selectedRole === 'event_staff') {
+        const { event, error, statusCode } = await findRequestEvent(req.params);
+
+        if (error) {
+          return res.status(statusCode).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        if (event && !event.assignedStaff.some(staffId => staffId.toString() === req.user._id.toString())) {
+          return res.status(403).json({
+            success: false,
+            message: 'You are not assigned to this event',
+          });
+        }
+
+        userPermissions = getStaffPermissions(event, req.user);
+        req.staffPermissions = userPermissions;
+      }
+
+      // Check if all required permissions are present
+      const hasAllPermissions = requiredPermissions.every((perm) =>
+        userPermissions.includes(perm)
+      );
+
+      if (!hasAllPermissions) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required permissions: ${requiredPermissions.join(', ')}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission Check Error:', error);
+      res.status(500).json({
         success: false,
-        message: `Access denied. Required permissions: ${requiredPermissions.join(', ')}`,
+        message: 'Error checking permissions.',
+        error: error.message,
       });
     }
-
-    next();
   };
 };
 
@@ -180,7 +302,7 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.slice(7).trim();
       const decoded = jwt.verify(token, JWT_SECRET);
 
-      const user = await User.findById(decoded.id).select('-password');
+      const user = decoded.scope ? null : await User.findById(decoded.id).select('-password');
 
       if (user && user.isActive) {
         req.user = user;
@@ -196,8 +318,10 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateStream,
   authorize,
   requirePermissions,
   requireOwnership,
   optionalAuth,
+  signStreamToken,
 };
@@ -4,6 +4,178 @@ const mongoose = require('mongoose');
 if (mongoose.models.Event) {
   module.exports = mongoose.models.Event;
 } else {
+  // A kind of ticket sold for the event (General, VIP, Student...), with its
+  // own price, quantity and sale window
+  const ticketTypeSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    sold: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    held: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    salesStart: Date,
+    salesEnd: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Restricted zones this type gets into; unrestricted zones are open to all
+    zoneAccess: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  });
+
+  // An area of the venue. Restricted zones (VIP, backstage) only admit
+  // ticket types that list them in zoneAccess.
+  const zoneSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    isRestricted: {
+      type: Boolean,
+      default: false
+    }
+  });
+
+  // An entrance where staff scan tickets into a zone
+  const gateSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  });
+
+  // How much of a ticket's price is returned when the attendee cancels.
+  // tiered: the first tier whose hoursBeforeStart the cancellation still meets
+  //   sets the refund percentage; cancelling later than every tier is not allowed.
+  // none: tickets can be cancelled until the event starts but are not refunded.
+  // nonRefundableFee is kept back from every refund, per ticket.
+  const refundPolicySchema = new mongoose.Schema({
+    type: {
+      type: String,
+      enum: ['tiered', 'none'],
+      default: 'tiered'
+    },
+    tiers: {
+      type: [{
+        hoursBeforeStart: {
+          type: Number,
+          required: true,
+          min: 0
+        },
+        refundPercentage: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        }
+      }],
+      default: () => [{ hoursBeforeStart: 24, refundPercentage: 100 }]
+    },
+    nonRefundableFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }, { _id: false });
+
+  // Who may come back in after their ticket has been scanned at the door.
+  // single_entry: a ticket admits once.
+  // reentry: a ticket can come back in after being scanned out, up to
+  //   maxEntries times if set.
+  // unlimited: a ticket can be scanned in any number of times.
+  // cooldownMinutes blocks a ticket from entering again that soon after its
+  // last scan, so it cannot be passed back through the fence.
+  const entryPolicySchema = new mongoose.Schema({
+    mode: {
+      type: String,
+      enum: ['single_entry', 'reentry', 'unlimited'],
+      default: 'single_entry'
+    },
+    maxEntries: {
+      type: Number,
+      min: 1
+    },
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }, { _id: false });
+
+  // Whether holders may pass tickets on to someone else; see
+  // services/ticketTransferService.js
+  const transferPolicySchema = new mongoose.Schema({
+    allowed: {
+      type: Boolean,
+      default: true
+    },
+    // Transfers close this many hours before the event starts
+    cutoffHours: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Most times one ticket may change hands; unset means no limit
+    maxTransfers: {
+      type: Number,
+      min: 1
+    }
+  }, { _id: false });
+
+  // What goes on the event's name badges; see services/badgeService.js
+  const badgeLayoutSchema = new mongoose.Schema({
+    size: {
+      type: String,
+      enum: ['4x3', '4x6', 'a6', 'cr80'],
+      default: '4x3'
+    },
+    fields: {
+      type: [String],
+      enum: ['name', 'organization', 'ticketType', 'eventTitle', 'ticketNumber'],
+      default: undefined
+    },
+    showQrCode: {
+      type: Boolean,
+      default: true
+    },
+    accentColor: {
+      type: String,
+      match: /^#[0-9a-fA-F]{6}$/
+    }
+  }, { _id: false });
+
   const eventSchema = new mongoose.Schema({
     title: {
       type: String,
@@ -66,7 +238,8 @@ if (mongoose.models.Event) {
       },
       price: {
         type: Number,
-        required: function() { return !this.pricing?.isFree; },
+        // Events selling ticket types price each type instead
+        required: function() { return !this.pricing?.isFree && !this.ticketTypes?.length; },
         min: 0
       },
       currency: {
@@ -74,6 +247,17 @@ if (mongoose.models.Event) {
         default: 'USD'
       }
     },
+    ticketTypes: [ticketTypeSchema],
+    refundPolicy: {
+      type: refundPolicySchema,
+      default: () => ({})
+    },
+    entryPolicy: {
+      type: entryPolicySchema,
+      default: () => ({})
+    },
+    badgeLayout: badgeLayoutSchema,
+    transferPolicy: transferPolicySchema,
     host: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -85,6 +269,26 @@ if (mongoose.models.Event) {
         ref: 'User'
       }
     ],
+    zones: [zoneSchema],
+    gates: [gateSchema],
+    // Gates each staff member works; staff without an entry may use any gate.
+    // permissions, when set, replace the staff member's account permissions
+    // at this event (see staffPermissionService).
+    staffAssignments: [{
+      _id: false,
+      staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      gateIds: [{
+        type: mongoose.Schema.Types.ObjectId
+      }],
+      permissions: {
+        type: [String],
+        default: undefined
+      }
+    }],
     capacity: {
       type: Number,
       required: true,
@@ -94,6 +298,12 @@ if (mongoose.models.Event) {
       type: Number,
       default: 0
     },
+    // Seats reserved by checkouts that are waiting for payment
+    ticketsHeld: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     status: {
       type: String,
       enum: ['draft', 'published', 'cancelled', 'completed'],
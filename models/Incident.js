@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// An incident filed by staff while working an event: a medical call, a
+// security problem, a lost item or a refused entry. Hosts follow each one
+// through to a resolution and export the log after the event for their
+// safety records.
+const incidentSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: ['medical', 'security', 'lost_item', 'denied_entry', 'other'],
+    required: true
+  },
+
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'low'
+  },
+
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Where it happened: a gate or zone of the event, and/or a free text
+  // description ("first aid tent", "row F")
+  location: {
+    gateId: mongoose.Schema.Types.ObjectId,
+    gate: String,
+    zoneId: mongoose.Schema.Types.ObjectId,
+    zone: String,
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  },
+
+  // When it happened, which may be earlier than when it was filed
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+
+  // Tickets of the people involved
+  tickets: [{
+    _id: false,
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true
+    },
+    ticketNumber: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+
+  resolution: {
+    note: {
+      type: String,
+      maxlength: 2000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  // Every status change, oldest first
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ eventId: 1, occurredAt: -1 });
+incidentSchema.index({ eventId: 1, status: 1 });
+incidentSchema.index({ 'tickets.ticketId': 1 });
+
+const Incident = mongoose.models.Incident || mongoose.model('Incident', incidentSchema);
+
+module.exports = Incident;
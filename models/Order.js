@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// A purchase of one or more tickets for an event in a single checkout.
+// Each seat gets its own Ticket (and QR code), optionally named for a guest.
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  // Account that booked and paid for the order
+  purchaserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  ticketTypeName: {
+    type: String
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // unitPrice x quantity, before any discount
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  promoCode: {
+    type: String
+  },
+
+  // Amount charged: subtotal less discount
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Payment that paid for the order ('FREE_TICKET' for free orders)
+  paymentId: {
+    type: String,
+    required: true
+  },
+
+  // Guest details, one entry per ticket in order
+  guests: [{
+    name: String,
+    email: String
+  }],
+
+  tickets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+
+  status: {
+    type: String,
+    enum: ['confirmed', 'partially_cancelled', 'cancelled'],
+    default: 'confirmed'
+  },
+
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ purchaserId: 1, createdAt: -1 });
+orderSchema.index({ eventId: 1 });
+orderSchema.index({ paymentId: 1 });
+
+const Order = mongoose.models.Order || mongoose.model('Order', orderSchema);
+
+module.exports = Order;
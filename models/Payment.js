@@ -33,6 +33,38 @@ const paymentSchema = new mongoose.Schema({
     required: true
   },
 
+  // Ticket issued once the payment completes (the first one for group orders)
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+
+  // Order created once the payment completes
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+
+  // Booking details carried from checkout to ticket issue
+  booking: {
+    ticketTypeId: mongoose.Schema.Types.ObjectId,
+    ticketTypeName: String,
+    unitPrice: Number,
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    guests: [{
+      name: String,
+      email: String
+    }],
+    attendeeInfo: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+
   // Payment details
   amount: {
     type: Number,
@@ -50,7 +82,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
 
@@ -66,13 +98,30 @@ const paymentSchema = new mongoose.Schema({
     }
   },
 
-  // Payment method
+  // Payment method; cash and card_terminal are taken by staff at the door
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'net_banking', 'upi', 'wallet'],
+    enum: ['credit_card', 'debit_card', 'net_banking', 'upi', 'wallet', 'cash', 'card_terminal'],
     required: true
   },
 
+  // online checkout, or a walk-in sale recorded by staff
+  channel: {
+    type: String,
+    enum: ['online', 'box_office'],
+    default: 'online'
+  },
+
+  // Staff member who took a box office payment
+  soldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Cash handed over for a box office sale, and the change given back
+  cashTendered: Number,
+  changeGiven: Number,
+
   // Card details (for demo - in production, never store full card details)
   cardDetails: {
     last4Digits: String,
@@ -103,16 +152,57 @@ const paymentSchema = new mongoose.Schema({
     details: mongoose.Schema.Types.Mixed
   },
 
-  // Refund information
+  // Promo code applied at checkout; amount is already net of it
+  discount: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    subtotal: Number,
+    amount: Number
+  },
+
+  // Refund information. refundAmount is the total returned so far; each
+  // refund (full or partial) is listed in refunds. refundId, refundDate and
+  // refundReason describe the latest one.
   refund: {
     isRefunded: {
       type: Boolean,
       default: false
     },
     refundId: String,
-    refundAmount: Number,
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
     refundDate: Date,
-    refundReason: String
+    refundReason: String,
+    refunds: [{
+      refundId: String,
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      reason: String,
+      // Tickets the refund was issued for, when it came from cancellations
+      ticketIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+      }],
+      // failed: the gateway refused or could not be reached; needs manual follow-up
+      status: {
+        type: String,
+        enum: ['processed', 'failed'],
+        default: 'processed'
+      },
+      error: String,
+      refundedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
 
   // Additional metadata
@@ -129,10 +219,12 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ paymentId: 1 });
 paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ 'gateway.gatewayTransactionId': 1 });
 paymentSchema.index({ eventId: 1 });
 paymentSchema.index({ userId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ initiatedAt: -1 });
+paymentSchema.index({ eventId: 1, channel: 1, soldBy: 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Discount code created by a host for their events
+const promoCodeSchema = new mongoose.Schema({
+  // Codes are stored upper case and matched case-insensitively. They are
+  // unique per host; different hosts may use the same code.
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // percentage: discountValue percent off the order
+  // fixed: discountValue off the order total, in the event's currency
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Events the code is valid for; empty means all of the host's events
+  events: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+
+  // Total redemptions allowed; unset means unlimited
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+
+  // Redemptions reserved by open checkouts or completed orders
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Redemptions allowed per attendee; unset means unlimited
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+
+  validFrom: {
+    type: Date
+  },
+
+  validUntil: {
+    type: Date
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ host: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ host: 1, createdAt: -1 });
+
+const PromoCode = mongoose.models.PromoCode || mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
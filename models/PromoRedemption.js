@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code. A redemption is reserved when checkout starts,
+// becomes redeemed once the order is placed, or is released if the checkout
+// fails or lapses so the use can be taken by someone else.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+
+  code: {
+    type: String,
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  // Payment the redemption is waiting on (unset for free orders)
+  paymentId: {
+    type: String
+  },
+
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Which of the attendee's uses this is (1 to the code's perUserLimit),
+  // while reserved or redeemed. Unset for codes without a per-user limit.
+  slot: {
+    type: Number,
+    min: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+
+  redeemedAt: {
+    type: Date
+  },
+
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+// An attendee's uses of a code each take a different slot, so concurrent
+// checkouts cannot go over perUserLimit
+promoRedemptionSchema.index(
+  { promoCodeId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+promoRedemptionSchema.index({ paymentId: 1 });
+
+const PromoRedemption = mongoose.models.PromoRedemption || mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// One scan attempt by a staff member, kept whether or not it was accepted.
+// Tickets only store their current check-in state; this is the audit trail
+// used to investigate disputed entries and spot shared tickets.
+const scanEventSchema = new mongoose.Schema({
+  // Unset when the scan could not be tied to an event (e.g. a forged QR code)
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+
+  ticketNumber: {
+    type: String
+  },
+
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Scanner device the scan was made on, as reported by the app
+  deviceId: {
+    type: String
+  },
+
+  // Gate name, or the free text label sent for events without gates
+  gate: {
+    type: String
+  },
+
+  gateId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  action: {
+    type: String
+  },
+
+  // online scans are checked as they happen, offline ones when synced
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+
+  // QR scan, manual check-in after looking the attendee up, or check-in of
+  // a ticket just sold at the door
+  method: {
+    type: String,
+    enum: ['scan', 'manual', 'box_office'],
+    default: 'scan'
+  },
+
+  // Staff checked the attendee's ID before a manual check-in
+  idVerified: {
+    type: Boolean
+  },
+
+  scanId: {
+    type: String
+  },
+
+  outcome: {
+    type: String,
+    enum: ['accepted', 'denied', 'violation', 'already_synced', 'rejected'],
+    required: true
+  },
+
+  // Why the scan was not accepted, or what happened to it
+  reason: {
+    type: String
+  },
+
+  // When the scan was made; for offline scans this is the device's time
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+scanEventSchema.index({ eventId: 1, scannedAt: -1 });
+scanEventSchema.index({ eventId: 1, ticketId: 1 });
+scanEventSchema.index({ staffId: 1, scannedAt: -1 });
+
+const ScanEvent = mongoose.models.ScanEvent || mongoose.model('ScanEvent', scanEventSchema);
+
+module.exports = ScanEvent;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Seats reserved for an attendee while their payment is pending.
+// An active hold counts against Event.capacity through Event.ticketsHeld.
+const seatHoldSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Payment this hold is waiting on
+  paymentId: {
+    type: String,
+    required: true
+  },
+
+  // Ticket type the seats are held for, if the event sells types
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  convertedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ eventId: 1, userId: 1, status: 1 });
+seatHoldSchema.index({ paymentId: 1 });
+
+const SeatHold = mongoose.models.SeatHold || mongoose.model('SeatHold', seatHoldSchema);
+
+module.exports = SeatHold;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// An invitation from a host for someone to work an event as staff. It is
+// addressed to an email so people can be invited before they have an
+// account; whoever signs in with that email as event_staff can accept it.
+const staffInvitationSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Staff member who answered, or the matching account when it already existed
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  message: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Permissions the staff member gets at the event once they accept; unset
+  // means their account permissions
+  permissions: {
+    type: [String],
+    default: undefined
+  },
+
+  // revoked covers both a withdrawn invitation and a later removed assignment
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  respondedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// One open invitation per email per event
+staffInvitationSchema.index(
+  { eventId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+staffInvitationSchema.index({ email: 1, status: 1 });
+
+const StaffInvitation = mongoose.models.StaffInvitation || mongoose.model('StaffInvitation', staffInvitationSchema);
+
+module.exports = StaffInvitation;
@@ -12,13 +12,35 @@ if (mongoose.models.Ticket) {
       required: true
     },
 
-    // Attendee reference
+    // Attendee reference (the account holding the ticket: whoever booked it,
+    // or the last person it was transferred to)
     attendeeId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
 
+    // Order the ticket was bought in
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
+    // Person the ticket is for, when booked on behalf of someone else
+    guest: {
+      name: String,
+      email: String
+    },
+
+    // Ticket type booked, with its name at the time of booking
+    ticketTypeId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+
+    ticketTypeName: {
+      type: String
+    },
+
     // Unique ticket identifier
     ticketNumber: {
       type: String,
@@ -40,6 +62,12 @@ if (mongoose.models.Ticket) {
       unique: true
     },
 
+    // Token version and signing key the QR token was signed with, e.g. "ET2.k1"
+    // (unset for legacy JSON QR codes)
+    qrKeyId: {
+      type: String
+    },
+
     // Payment information
     paymentId: {
       type: String,
@@ -52,12 +80,32 @@ if (mongoose.models.Ticket) {
       min: 0
     },
 
+    // Promo code discount included in pricePaid
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    promoCode: {
+      type: String
+    },
+
+    // refund_pending: cancelled with a refund the gateway has not confirmed;
+    // refund_failed: the gateway refused it and it must be refunded by hand
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'refund_pending', 'refunded', 'refund_failed'],
       default: 'pending'
     },
 
+    // Where the ticket was sold: online checkout or by staff at the door
+    salesChannel: {
+      type: String,
+      enum: ['online', 'box_office'],
+      default: 'online'
+    },
+
     // Ticket status
     status: {
       type: String,
@@ -65,21 +113,17 @@ if (mongoose.models.Ticket) {
       default: 'active'
     },
 
-    // Check-in information
-    checkInStatus: {
-      isCheckedIn: {
-        type: Boolean,
-        default: false
-      },
-      checkInTime: {
-        type: Date
-      },
-      checkedInBy: {
+    // Cancellation details
+    cancellation: {
+      isCancelled: { type: Boolean, default: false },
+      cancellationDate: Date,
+      cancellationReason: String,
+      refundAmount: Number,
+      // Who paid for the ticket and was refunded; differs from attendeeId
+      // for transferred tickets
+      refundedTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-      },
-      checkInLocation: {
-        type: String
       }
     },
 
@@ -91,6 +135,8 @@ if (mongoose.models.Ticket) {
 
     // Additional attendee information
     attendeeInfo: {
+      // Printed on name badges
+      organization: String,
       specialRequirements: String,
       dietaryRestrictions: String,
       emergencyContact: {
@@ -99,16 +145,53 @@ if (mongoose.models.Ticket) {
       }
     },
 
-    // Verification tracking for event staff
+    // Check-in state, written by staff scans. This is the only record of
+    // attendance; older tickets' checkInStatus was folded in by
+    // `npm run migrate:check-ins`.
     verification: {
       isScanned: { type: Boolean, default: false },
-      scannedAt: { type: Date },
+      scannedAt: { type: Date }, // First admission
       scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Staff member
-      entryTime: { type: Date },
-      exitTime: { type: Date },
-      scanCount: { type: Number, default: 0 }
+      entryTime: { type: Date }, // Latest entry
+      entryGate: { type: String },
+      exitTime: { type: Date }, // Latest exit
+      scanCount: { type: Number, default: 0 },
+      entryCount: { type: Number, default: 0 },
+      isInside: { type: Boolean, default: false },
+      insideZones: [{ type: mongoose.Schema.Types.ObjectId }],
+      lastScanAt: { type: Date },
+      // Every entry and exit let through, oldest first. Offline scans that
+      // broke the event's entry policy keep the reason in `violation`.
+      history: [{
+        _id: false,
+        scanId: String,
+        action: { type: String, enum: ['entry', 'exit'] },
+        scannedAt: Date,
+        staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        gate: String,
+        gateId: mongoose.Schema.Types.ObjectId,
+        zoneId: mongoose.Schema.Types.ObjectId,
+        source: { type: String, enum: ['online', 'offline'] },
+        // Manual check-ins are made by staff looking the attendee up;
+        // box_office ones when a ticket is sold at the door
+        method: { type: String, enum: ['scan', 'manual', 'box_office'], default: 'scan' },
+        idVerified: Boolean,
+        violation: String
+      }],
+      // IDs of scans already applied, so a scan synced twice counts once
+      scanIds: [{ type: String }]
     },
 
+    // Every change of holder, oldest first (see TicketTransfer). The QR code
+    // is reissued on each, so earlier holders' codes no longer scan.
+    transferHistory: [{
+      _id: false,
+      transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketTransfer' },
+      fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      toUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      transferredAt: Date
+    }],
+
     // Staff notes array
     staffNotes: [{
       staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -121,15 +204,15 @@ if (mongoose.models.Ticket) {
   });
 
   // Indexes for performance
+  // An account may hold several tickets per event (group orders), so this is
+  // not unique. Run `npm run sync:indexes` to drop the old unique index.
   ticketSchema.index({ eventId: 1, attendeeId: 1 });
   ticketSchema.index({ ticketNumber: 1 });
   ticketSchema.index({ qrCodeData: 1 });
   ticketSchema.index({ paymentId: 1 });
+  ticketSchema.index({ orderId: 1 });
   ticketSchema.index({ status: 1 });
 
-  // Ensure one ticket per user per event
-  ticketSchema.index({ eventId: 1, attendeeId: 1 }, { unique: true });
-
   const Ticket = mongoose.model('Ticket', ticketSchema);
   module.exports = Ticket;
 
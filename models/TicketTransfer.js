@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A ticket holder handing their ticket to someone else. It is addressed to
+// an email so the recipient can sign up first if they have no account; the
+// ticket moves, with a new QR code, once they accept. Finished transfers are
+// kept as the ticket's ownership record.
+const ticketTransferSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  ticketNumber: {
+    type: String,
+    required: true
+  },
+
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  toEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Set when the recipient answers
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  message: {
+    type: String,
+    maxlength: 500
+  },
+
+  // failed: accepted, but the ticket had been used or cancelled meanwhile
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired', 'failed'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  respondedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// One open transfer per ticket
+ticketTransferSchema.index(
+  { ticketId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+ticketTransferSchema.index({ toEmail: 1, status: 1 });
+ticketTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+ticketTransferSchema.index({ eventId: 1, createdAt: -1 });
+
+const TicketTransfer = mongoose.models.TicketTransfer || mongoose.model('TicketTransfer', ticketTransferSchema);
+
+module.exports = TicketTransfer;
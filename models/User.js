@@ -34,9 +34,10 @@ const userSchema = new mongoose.Schema({
   },
 
   staffProfile: {
+    // Empty means the standard staff permissions (see staffPermissionService)
     permissions: { 
       type: [String], 
-      default: ['scan_ticket', 'check_in_attendee'] 
+      default: undefined 
     },
     assignedEvents: [{ 
       type: mongoose.Schema.Types.ObjectId, 
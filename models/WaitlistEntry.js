@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// An attendee waiting for seats at a sold out event. When seats free up the
+// next entry is offered them: the seats are reserved with a SeatHold for a
+// claim window, and the attendee books them as usual before it runs out.
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Ticket type wanted, if the event sells types
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  ticketTypeName: {
+    type: String
+  },
+
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  // waiting: in the queue; offered: seats are held for the attendee;
+  // claimed: the attendee started booking the offered seats; expired: the
+  // offer ran out unclaimed; cancelled: the attendee left the list;
+  // closed: the event started, ended or was cancelled before seats came up
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled', 'closed'],
+    default: 'waiting'
+  },
+
+  offer: {
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeatHold'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+
+  claimedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Queue order within an event
+waitlistEntrySchema.index({ eventId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+const WaitlistEntry = mongoose.models.WaitlistEntry || mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
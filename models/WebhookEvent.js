@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Webhook events already received from a payment gateway.
+// The unique gateway + eventId index makes redelivered events a no-op.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  type: {
+    type: String
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+
+  result: {
+    type: String
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -4,8 +4,18 @@ const {
   getEventDetails,
   bookTicket,
   getMyTickets,
+  getMyOrders,
   cancelTicket,
-  downloadTicket
+  cancelOrder,
+  downloadTicket,
+  transferTicket,
+  cancelTicketTransfer,
+  getMyTransfers,
+  acceptTransfer,
+  declineTransfer,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist
 } = require('../controllers/eventAttendeeController');
 
 const { authenticate, authorize, optionalAuth } = require('../middleware/authMiddleware');
@@ -36,14 +46,64 @@ router.post('/book-ticket', bookTicket);
 // @access  Private (attendee only)
 router.get('/my-tickets', getMyTickets);
 
+// @route   GET /api/attendee/my-orders
+// @desc    Get user's orders
+// @access  Private (attendee only)
+router.get('/my-orders', getMyOrders);
+
+// @route   DELETE /api/attendee/orders/:orderId
+// @desc    Cancel all remaining tickets in an order
+// @access  Private (attendee only)
+router.delete('/orders/:orderId', cancelOrder);
+
 // @route   DELETE /api/attendee/tickets/:ticketId
 // @desc    Cancel ticket
 // @access  Private (attendee only)
 router.delete('/tickets/:ticketId', cancelTicket);
 
 // @route   GET /api/attendee/tickets/:ticketId/download
-// @desc    Download ticket
+// @desc    Download ticket (JSON, or PDF with ?format=pdf)
 // @access  Private (attendee only)
 router.get('/tickets/:ticketId/download', downloadTicket);
 
+// @route   POST /api/attendee/tickets/:ticketId/transfer
+// @desc    Start transferring a ticket to someone else by email
+// @access  Private (attendee only)
+router.post('/tickets/:ticketId/transfer', transferTicket);
+
+// @route   DELETE /api/attendee/tickets/:ticketId/transfer
+// @desc    Withdraw a pending ticket transfer
+// @access  Private (attendee only)
+router.delete('/tickets/:ticketId/transfer', cancelTicketTransfer);
+
+// @route   GET /api/attendee/transfers
+// @desc    Get incoming and outgoing ticket transfers
+// @access  Private (attendee only)
+router.get('/transfers', getMyTransfers);
+
+// @route   POST /api/attendee/transfers/:transferId/accept
+// @desc    Accept a transferred ticket
+// @access  Private (attendee only)
+router.post('/transfers/:transferId/accept', acceptTransfer);
+
+// @route   POST /api/attendee/transfers/:transferId/decline
+// @desc    Decline a transferred ticket
+// @access  Private (attendee only)
+router.post('/transfers/:transferId/decline', declineTransfer);
+
+// @route   POST /api/attendee/events/:eventId/waitlist
+// @desc    Join the waitlist for a sold out event or ticket type
+// @access  Private (attendee only)
+router.post('/events/:eventId/waitlist', joinWaitlist);
+
+// @route   GET /api/attendee/waitlist
+// @desc    Get the user's waitlist entries and seat offers
+// @access  Private (attendee only)
+router.get('/waitlist', getMyWaitlist);
+
+// @route   DELETE /api/attendee/waitlist/:entryId
+// @desc    Leave a waitlist
+// @access  Private (attendee only)
+router.delete('/waitlist/:entryId', leaveWaitlist);
+
 module.exports = router;
\ No newline at end of file
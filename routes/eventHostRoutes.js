@@ -9,10 +9,31 @@ const {
   updateEvent,
   deleteEvent,
   getEventAttendees,
+  getEventBadges,
+  getEventIncidents,
+  exportEventIncidents,
+  updateEventIncident,
+  getEventTransfers,
+  getEventScanEvents,
+  getEventStaff,
+  inviteEventStaff,
+  revokeStaffInvitation,
+  updateEventStaffPermissions,
+  removeEventStaff,
+  getLiveAttendanceToken,
+  streamEventAttendance,
+  getEventBoxOfficeSales,
   getHostAnalytics
 } = require('../controllers/eventHostController');
 
-const { authenticate, authorize } = require('../middleware/authMiddleware');
+const {
+  getMyPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoCodeController');
+
+const { authenticate, authenticateStream, authorize } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -40,6 +61,12 @@ const upload = multer({
   }
 });
 
+// @route   GET /api/host/events/:id/live
+// @desc    Live attendance stream (Server-Sent Events). Browsers pass a
+//          stream token as ?token= since EventSource cannot set headers.
+// @access  Private (host only)
+router.get('/events/:id/live', authenticateStream('id'), authorize('event_host'), streamEventAttendance);
+
 // All routes require authentication and event_host role
 router.use(authenticate);
 router.use(authorize('event_host'));
@@ -69,11 +96,96 @@ router.delete('/events/:id', deleteEvent);
 // @access  Private (host only)
 router.get('/events/:id/attendees', getEventAttendees);
 
+// @route   GET /api/host/events/:id/badges
+// @desc    Download name badges for an event's attendees (PDF or ZPL)
+// @access  Private (host only)
+router.get('/events/:id/badges', getEventBadges);
+
+// @route   GET /api/host/events/:id/incidents
+// @desc    Get an event's incident reports
+// @access  Private (host only)
+router.get('/events/:id/incidents', getEventIncidents);
+
+// @route   GET /api/host/events/:id/incidents/export
+// @desc    Download an event's incident reports as CSV
+// @access  Private (host only)
+router.get('/events/:id/incidents/export', exportEventIncidents);
+
+// @route   PUT /api/host/events/:id/incidents/:incidentId
+// @desc    Update an incident's status or severity
+// @access  Private (host only)
+router.put('/events/:id/incidents/:incidentId', updateEventIncident);
+
+// @route   GET /api/host/events/:id/transfers
+// @desc    Get ticket transfers between attendees for an event
+// @access  Private (host only)
+router.get('/events/:id/transfers', getEventTransfers);
+
+// @route   GET /api/host/events/:id/scan-events
+// @desc    Get the scan audit log for an event
+// @access  Private (host only)
+router.get('/events/:id/scan-events', getEventScanEvents);
+
+// @route   GET /api/host/events/:id/staff
+// @desc    Get an event's staff and invitations
+// @access  Private (host only)
+router.get('/events/:id/staff', getEventStaff);
+
+// @route   POST /api/host/events/:id/staff/invitations
+// @desc    Invite staff to an event by email
+// @access  Private (host only)
+router.post('/events/:id/staff/invitations', inviteEventStaff);
+
+// @route   DELETE /api/host/events/:id/staff/invitations/:invitationId
+// @desc    Withdraw a staff invitation
+// @access  Private (host only)
+router.delete('/events/:id/staff/invitations/:invitationId', revokeStaffInvitation);
+
+// @route   PUT /api/host/events/:id/staff/:staffId/permissions
+// @desc    Set what a staff member may do at an event
+// @access  Private (host only)
+router.put('/events/:id/staff/:staffId/permissions', updateEventStaffPermissions);
+
+// @route   DELETE /api/host/events/:id/staff/:staffId
+// @desc    Remove a staff member from an event
+// @access  Private (host only)
+router.delete('/events/:id/staff/:staffId', removeEventStaff);
+
+// @route   POST /api/host/events/:id/live/token
+// @desc    Get a short-lived token for the live attendance stream
+// @access  Private (host only)
+router.post('/events/:id/live/token', getLiveAttendanceToken);
+
+// @route   GET /api/host/events/:id/box-office
+// @desc    Get box office takings for an event
+// @access  Private (host only)
+router.get('/events/:id/box-office', getEventBoxOfficeSales);
+
 // @route   GET /api/host/analytics
 // @desc    Get host analytics
 // @access  Private (host only)
 router.get('/analytics', getHostAnalytics);
 
+// @route   GET /api/host/promo-codes
+// @desc    Get host's promo codes with usage
+// @access  Private (host only)
+router.get('/promo-codes', getMyPromoCodes);
+
+// @route   POST /api/host/promo-codes
+// @desc    Create promo code
+// @access  Private (host only)
+router.post('/promo-codes', createPromoCode);
+
+// @route   PUT /api/host/promo-codes/:id
+// @desc    Update promo code
+// @access  Private (host only)
+router.put('/promo-codes/:id', updatePromoCode);
+
+// @route   DELETE /api/host/promo-codes/:id
+// @desc    Delete promo code
+// @access  Private (host only)
+router.delete('/promo-codes/:id', deletePromoCode);
+
 // Error handling for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -2,16 +2,45 @@ const express = require('express');
 const { 
   getMyAssignedEvents,
   scanTicket,
+  searchEventAttendees,
+  manualCheckIn,
+  getScanManifest,
+  syncOfflineScans,
+  getEventScanEvents,
+  getLiveAttendanceToken,
+  streamEventAttendance,
   getEventAttendance,
   addTicketNote,
+  getTicketBadge,
+  reportEventIncident,
+  getEventIncidents,
+  updateEventIncident,
+  sellBoxOfficeTickets,
+  getMyBoxOfficeSales,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
   getStaffDashboard
 } = require('../controllers/eventStaffController');
 
-const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { authenticate, authenticateStream, authorize, requirePermissions } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// All routes require authentication and event_staff role
+// @route   GET /api/staff/events/:eventId/live
+// @desc    Live attendance stream (Server-Sent Events). Browsers pass a
+//          stream token as ?token= since EventSource cannot set headers.
+// @access  Private (staff with view_event_attendees)
+router.get(
+  '/events/:eventId/live',
+  authenticateStream('eventId'),
+  authorize('event_staff'),
+  requirePermissions('view_event_attendees'),
+  streamEventAttendance
+);
+
+// All routes require authentication and event_staff role. Routes about one
+// event also need the staff member's permission for it at that event.
 router.use(authenticate);
 router.use(authorize('event_staff'));
 
@@ -20,6 +49,21 @@ router.use(authorize('event_staff'));
 // @access  Private (staff only)
 router.get('/dashboard', getStaffDashboard);
 
+// @route   GET /api/staff/invitations
+// @desc    Get invitations to work events
+// @access  Private (staff only)
+router.get('/invitations', getMyInvitations);
+
+// @route   POST /api/staff/invitations/:invitationId/accept
+// @desc    Accept an invitation to work an event
+// @access  Private (staff only)
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+
+// @route   POST /api/staff/invitations/:invitationId/decline
+// @desc    Decline an invitation to work an event
+// @access  Private (staff only)
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
 // @route   GET /api/staff/my-events
 // @desc    Get events assigned to this staff member
 // @access  Private (staff only)
@@ -27,17 +71,77 @@ router.get('/my-events', getMyAssignedEvents);
 
 // @route   POST /api/staff/scan-ticket
 // @desc    Scan and verify ticket
-// @access  Private (staff only)
+// @access  Private (staff with scan_ticket; checked once the ticket's event is known)
 router.post('/scan-ticket', scanTicket);
 
+// @route   GET /api/staff/events/:eventId/attendees/search
+// @desc    Search an event's tickets by attendee name, email or phone
+// @access  Private (staff with view_event_attendees)
+router.get('/events/:eventId/attendees/search', requirePermissions('view_event_attendees'), searchEventAttendees);
+
+// @route   POST /api/staff/tickets/:ticketId/check-in
+// @desc    Check a ticket in or out by hand
+// @access  Private (staff with check_in_attendee)
+router.post('/tickets/:ticketId/check-in', requirePermissions('check_in_attendee'), manualCheckIn);
+
+// @route   GET /api/staff/events/:eventId/manifest
+// @desc    Download valid tickets and signing keys for offline scanning
+// @access  Private (staff with scan_ticket)
+router.get('/events/:eventId/manifest', requirePermissions('scan_ticket'), getScanManifest);
+
+// @route   POST /api/staff/events/:eventId/scans/sync
+// @desc    Upload a batch of scans made offline
+// @access  Private (staff with scan_ticket)
+router.post('/events/:eventId/scans/sync', requirePermissions('scan_ticket'), syncOfflineScans);
+
+// @route   POST /api/staff/events/:eventId/live/token
+// @desc    Get a short-lived token for the live attendance stream
+// @access  Private (staff with view_event_attendees)
+router.post('/events/:eventId/live/token', requirePermissions('view_event_attendees'), getLiveAttendanceToken);
+
+// @route   GET /api/staff/events/:eventId/scan-events
+// @desc    Get the scan audit log for an event
+// @access  Private (staff with view_scan_log)
+router.get('/events/:eventId/scan-events', requirePermissions('view_scan_log'), getEventScanEvents);
+
 // @route   GET /api/staff/events/:eventId/attendance
 // @desc    Get event attendance details
-// @access  Private (staff only)
-router.get('/events/:eventId/attendance', getEventAttendance);
+// @access  Private (staff with view_event_attendees)
+router.get('/events/:eventId/attendance', requirePermissions('view_event_attendees'), getEventAttendance);
 
 // @route   POST /api/staff/tickets/:ticketId/note
 // @desc    Add note to ticket
-// @access  Private (staff only)
-router.post('/tickets/:ticketId/note', addTicketNote);
+// @access  Private (staff with add_ticket_note)
+router.post('/tickets/:ticketId/note', requirePermissions('add_ticket_note'), addTicketNote);
+
+// @route   GET /api/staff/tickets/:ticketId/badge
+// @desc    Download a ticket's name badge (PDF or ZPL)
+// @access  Private (staff with print_badges)
+router.get('/tickets/:ticketId/badge', requirePermissions('print_badges'), getTicketBadge);
+
+// @route   POST /api/staff/events/:eventId/incidents
+// @desc    File an incident report
+// @access  Private (staff with report_incidents)
+router.post('/events/:eventId/incidents', requirePermissions('report_incidents'), reportEventIncident);
+
+// @route   GET /api/staff/events/:eventId/incidents
+// @desc    Get an event's incident reports
+// @access  Private (staff with report_incidents)
+router.get('/events/:eventId/incidents', requirePermissions('report_incidents'), getEventIncidents);
+
+// @route   PUT /api/staff/events/:eventId/incidents/:incidentId
+// @desc    Update an incident's status or severity
+// @access  Private (staff with report_incidents)
+router.put('/events/:eventId/incidents/:incidentId', requirePermissions('report_incidents'), updateEventIncident);
+
+// @route   POST /api/staff/events/:eventId/box-office/sales
+// @desc    Sell tickets at the door and check them in
+// @access  Private (staff with sell_tickets)
+router.post('/events/:eventId/box-office/sales', requirePermissions('sell_tickets'), sellBoxOfficeTickets);
+
+// @route   GET /api/staff/events/:eventId/box-office/sales
+// @desc    Get this staff member's box office takings for an event
+// @access  Private (staff with sell_tickets)
+router.get('/events/:eventId/box-office/sales', requirePermissions('sell_tickets'), getMyBoxOfficeSales);
 
 module.exports = router;
@@ -1,30 +1,48 @@
 const express = require('express');
 const { 
-  createDemoPayment,
-  verifyDemoPayment,
-  getPaymentStatus
+  createPayment,
+  verifyPayment,
+  getPaymentStatus,
+  handleWebhook
 } = require('../controllers/paymentController');
 
 const { authenticate, authorize } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// All payment routes require authentication
+// @route   POST /api/payments/webhook
+// @route   POST /api/payments/webhook/:gateway
+// @desc    Receive payment gateway webhooks
+// @access  Public (verified by gateway signature)
+router.post('/webhook', handleWebhook);
+router.post('/webhook/:gateway', handleWebhook);
+
+// All other payment routes require authentication
 router.use(authenticate);
 
+// @route   POST /api/payments/create-order
+// @desc    Create payment order with the configured gateway
+// @access  Private (attendee only)
+router.post('/create-order', authorize('event_attendee'), createPayment);
+
+// @route   POST /api/payments/verify
+// @desc    Verify payment and issue ticket
+// @access  Private (attendee only)
+router.post('/verify', authorize('event_attendee'), verifyPayment);
+
 // @route   POST /api/payments/create-demo-payment
-// @desc    Create demo payment order
+// @desc    Create payment order (kept for existing demo clients)
 // @access  Private (attendee only)
-router.post('/create-demo-payment', authorize('event_attendee'), createDemoPayment);
+router.post('/create-demo-payment', authorize('event_attendee'), createPayment);
 
 // @route   POST /api/payments/verify-demo-payment
-// @desc    Process demo payment verification
+// @desc    Verify payment (kept for existing demo clients)
 // @access  Private (attendee only)
-router.post('/verify-demo-payment', authorize('event_attendee'), verifyDemoPayment);
+router.post('/verify-demo-payment', authorize('event_attendee'), verifyPayment);
 
 // @route   GET /api/payments/:paymentId/status
 // @desc    Get payment status
 // @access  Private
 router.get('/:paymentId/status', getPaymentStatus);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,60 @@
+// Fold the old Ticket.checkInStatus fields into Ticket.verification, which
+// staff scans write and every attendance view now reads. A ticket that was
+// already scanned keeps its scan record; checkInStatus is then removed from
+// all tickets.
+//
+// Usage:
+//   npm run migrate:check-ins               migrate every ticket
+//   npm run migrate:check-ins -- --dry-run  only count tickets to migrate
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Ticket = require('../models/Ticket');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  // checkInStatus is no longer in the schema, so go through the driver
+  const tickets = Ticket.collection;
+  const toCopy = { 'checkInStatus.isCheckedIn': true, 'verification.isScanned': { $ne: true } };
+  const toClear = { checkInStatus: { $exists: true } };
+
+  if (dryRun) {
+    const [copy, clear] = await Promise.all([
+      tickets.countDocuments(toCopy),
+      tickets.countDocuments(toClear)
+    ]);
+    console.log(`⚠️  ${copy} check-in(s) to copy into verification, ${clear} ticket(s) with checkInStatus`);
+    return;
+  }
+
+  // Check-ins recorded without a time fall back to the ticket's last update
+  const checkInTime = { $ifNull: ['$checkInStatus.checkInTime', '$updatedAt'] };
+
+  const copied = await tickets.updateMany(toCopy, [{
+    $set: {
+      'verification.isScanned': true,
+      'verification.scannedAt': checkInTime,
+      'verification.scannedBy': '$checkInStatus.checkedInBy',
+      'verification.entryTime': checkInTime,
+      'verification.entryGate': '$checkInStatus.checkInLocation',
+      'verification.scanCount': { $max: [{ $ifNull: ['$verification.scanCount', 0] }, 1] }
+    }
+  }]);
+
+  const cleared = await tickets.updateMany(toClear, { $unset: { checkInStatus: '' } });
+
+  console.log(`✅ Copied ${copied.modifiedCount} check-in(s) into verification`);
+  console.log(`✅ Removed checkInStatus from ${cleared.modifiedCount} ticket(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Check-in migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,42 @@
+// Staff accounts used to be created with only scan_ticket and
+// check_in_attendee. Now that staff routes check permissions, clear that old
+// default so those accounts get the standard staff permissions instead.
+// Accounts whose permissions were changed by hand are left alone.
+//
+// Usage:
+//   npm run migrate:staff-permissions               update accounts
+//   npm run migrate:staff-permissions -- --dry-run  only count them
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const { DEFAULT_STAFF_PERMISSIONS } = require('../services/staffPermissionService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const OLD_DEFAULT = ['scan_ticket', 'check_in_attendee'];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  const filter = { 'staffProfile.permissions': { $size: OLD_DEFAULT.length, $all: OLD_DEFAULT } };
+
+  if (dryRun) {
+    const count = await User.countDocuments(filter);
+    console.log(`⚠️  ${count} account(s) still on the old default staff permissions`);
+    return;
+  }
+
+  const updated = await User.updateMany(filter, { $unset: { 'staffProfile.permissions': '' } });
+
+  console.log(`✅ ${updated.modifiedCount} account(s) now use the standard staff permissions: ${DEFAULT_STAFF_PERMISSIONS.join(', ')}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Staff permission migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
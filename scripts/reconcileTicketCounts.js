@@ -0,0 +1,59 @@
+// Recompute Event.ticketsSold and Event.ticketsHeld, and the per ticket type
+// sold/held counters, from the tickets and seat holds that actually exist,
+// fixing counters that drifted out of sync.
+//
+// Usage:
+//   npm run reconcile:tickets                 reconcile every event
+//   npm run reconcile:tickets -- <eventId>    reconcile one event
+//   npm run reconcile:tickets -- --dry-run    report drift without fixing it
+//
+// Best run when booking traffic is low: a booking that lands between the
+// count and the update is not reflected until the next run.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Event = require('../models/Event');
+const { reconcileEventCounts } = require('../services/capacityService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const eventId = args.find(arg => !arg.startsWith('--'));
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  const events = await Event.find(eventId ? { _id: eventId } : {});
+  let drifted = 0;
+
+  for (const event of events) {
+    const { before, after, changed } = await reconcileEventCounts(event, { dryRun });
+
+    if (changed) {
+      drifted++;
+      console.log(
+        `${dryRun ? '⚠️ ' : '🔧'} ${event._id} "${event.title}": ` +
+        `sold ${before.ticketsSold} -> ${after.ticketsSold}, ` +
+        `held ${before.ticketsHeld} -> ${after.ticketsHeld}` +
+        (after.ticketsSold + after.ticketsHeld > event.capacity ? ` (over capacity ${event.capacity})` : '')
+      );
+
+      after.ticketTypes.forEach((type, index) => {
+        const previous = before.ticketTypes[index];
+        if (previous.sold !== type.sold || previous.held !== type.held) {
+          console.log(`     ${type.name}: sold ${previous.sold} -> ${type.sold}, held ${previous.held} -> ${type.held}`);
+        }
+      });
+    }
+  }
+
+  console.log(`✅ Checked ${events.length} event(s), ${drifted} ${dryRun ? 'need fixing' : 'fixed'}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,55 @@
+// Re-sign the QR codes of active tickets with the current QR signing key
+// (QR_SIGNING_KEY_ID). Tickets from before signed QR codes existed, and
+// tickets with retired ET1 tokens, are upgraded too. Once this has run, the
+// old key can be removed from QR_SIGNING_KEYS; tickets still signed with it
+// stop scanning after that.
+//
+// Usage:
+//   npm run rotate:qr-keys                 re-sign every outdated ticket
+//   npm run rotate:qr-keys -- <eventId>    re-sign one event's tickets
+//   npm run rotate:qr-keys -- --dry-run    only count outdated tickets
+//
+// Attendees need to download their ticket again after their QR code changes.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Ticket = require('../models/Ticket');
+const { activeKeyId } = require('../services/qrTokenService');
+const { renderQrCode } = require('../services/ticketService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const eventId = args.find(arg => !arg.startsWith('--'));
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  const filter = { status: 'active', qrKeyId: { $ne: activeKeyId } };
+  if (eventId) filter.eventId = eventId;
+
+  if (dryRun) {
+    const outdated = await Ticket.countDocuments(filter);
+    console.log(`⚠️  ${outdated} active ticket(s) not signed with key "${activeKeyId}"`);
+    return;
+  }
+
+  let resigned = 0;
+
+  for await (const ticket of Ticket.find(filter).cursor()) {
+    const { qrCodeUrl, qrKeyId } = await renderQrCode(ticket);
+
+    await Ticket.updateOne({ _id: ticket._id }, { qrCodeUrl, qrKeyId });
+    resigned++;
+  }
+
+  console.log(`✅ Re-signed ${resigned} ticket(s) with key "${activeKeyId}"`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ QR key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
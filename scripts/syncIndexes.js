@@ -0,0 +1,43 @@
+// Bring the database indexes in line with the model definitions, creating new
+// indexes and dropping ones the models no longer declare (for example the
+// old one-ticket-per-attendee unique index on tickets, or the old global
+// unique index on promo codes, now unique per host).
+//
+// Usage: npm run sync:indexes
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Event = require('../models/Event');
+const Incident = require('../models/Incident');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const ScanEvent = require('../models/ScanEvent');
+const SeatHold = require('../models/SeatHold');
+const StaffInvitation = require('../models/StaffInvitation');
+const Ticket = require('../models/Ticket');
+const TicketTransfer = require('../models/TicketTransfer');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WebhookEvent = require('../models/WebhookEvent');
+
+const models = [Event, Incident, Order, Payment, PromoCode, PromoRedemption, ScanEvent, SeatHold, StaffInvitation, Ticket, TicketTransfer, User, WaitlistEntry, WebhookEvent];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  for (const model of models) {
+    const dropped = await model.syncIndexes();
+    console.log(`✅ ${model.modelName}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Index sync failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,59 @@
+// Rebuild every staff member's staffProfile.assignedEvents from the events
+// that list them in assignedStaff. Events created before assignments were
+// kept in sync never updated the staff side.
+//
+// Usage:
+//   npm run sync:staff-assignments               rewrite assignedEvents
+//   npm run sync:staff-assignments -- --dry-run  only report differences
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Event = require('../models/Event');
+const User = require('../models/User');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/enhanced-event-platform');
+
+  const assignments = await Event.aggregate([
+    { $unwind: '$assignedStaff' },
+    { $group: { _id: '$assignedStaff', eventIds: { $addToSet: '$_id' } } }
+  ]);
+  const byStaff = new Map(assignments.map(({ _id, eventIds }) => [_id.toString(), eventIds]));
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: [...byStaff.keys()] } },
+      { 'staffProfile.assignedEvents.0': { $exists: true } }
+    ]
+  }).select('email staffProfile.assignedEvents');
+
+  let changed = 0;
+
+  for (const user of users) {
+    const eventIds = byStaff.get(user._id.toString()) || [];
+    const current = (user.staffProfile?.assignedEvents || []).map(id => id.toString()).sort();
+    const expected = eventIds.map(id => id.toString()).sort();
+
+    if (current.join() === expected.join()) continue;
+
+    changed += 1;
+    console.log(`⚠️  ${user.email}: ${current.length} event(s) recorded, ${expected.length} assigned`);
+
+    if (!dryRun) {
+      await User.updateOne({ _id: user._id }, { 'staffProfile.assignedEvents': eventIds });
+    }
+  }
+
+  console.log(`✅ ${changed} staff member(s) ${dryRun ? 'out of sync' : 'updated'}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Staff assignment sync failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
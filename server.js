@@ -13,9 +13,12 @@ const authRoutes = require('./routes/authRoutes');
 const eventHostRoutes = require('./routes/eventHostRoutes');
 const eventAttendeeRoutes = require('./routes/eventAttendeeRoutes');
 const eventStaffRoutes = require('./routes/eventStaffRoutes');
-const demoPaymentRoutes = require('./routes/paymentRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 const onboardingRoutes = require('./routes/onBoardingRoutes');
 const eventsRoutes = require('./routes/eventsRoutes'); // Add this line
+const { startHoldSweeper } = require('./services/seatHoldService');
+const { startPaymentReconciler } = require('./services/paymentService');
+const { startWaitlistSweeper } = require('./services/waitlistService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -45,7 +48,9 @@ const limiter = rateLimit({
         message: 'Too many requests from this IP, please try again later.'
     },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    // Gateway webhooks come from a few shared IPs and must never be throttled
+    skip: (req) => req.path.startsWith('/payments/webhook')
 });
 
 // Apply rate limiting to API routes
@@ -64,7 +69,13 @@ const authLimiter = rateLimit({
 app.use('/api/auth/', authLimiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body so payment webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Database connection
@@ -75,6 +86,15 @@ const connectDB = async () => {
             useUnifiedTopology: true
         });
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+        // Release checkout seat holds whose payment never arrived
+        startHoldSweeper();
+
+        // Settle payments left processing, e.g. by a capture that timed out
+        startPaymentReconciler();
+
+        // Expire unclaimed waitlist offers and offer freed seats
+        startWaitlistSweeper();
     } catch (error) {
         console.error(`❌ MongoDB Connection Error: ${error.message}`);
         process.exit(1);
@@ -89,7 +109,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/host', eventHostRoutes);
 app.use('/api/attendee', eventAttendeeRoutes);
 app.use('/api/staff', eventStaffRoutes);
-app.use('/api/payments', demoPaymentRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/events', eventsRoutes); // Add this line
 
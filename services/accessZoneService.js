@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const { parseStaffPermissions } = require('./staffPermissionService');
+
+// Events can split their venue into zones (General, VIP, Backstage...) that
+// are entered through gates. Unrestricted zones are open to every ticket;
+// a restricted zone only admits ticket types that list it in zoneAccess.
+// Staff with a gate assignment may only scan at those gates.
+// Hosts refer to zones and gates by id or by name.
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const findByRef = (list, ref) => {
+  if (ref === undefined || ref === null || ref === '') return null;
+  const key = idOf(ref);
+  return list.find(item => idOf(item) === key) ||
+    list.find(item => item.name.toLowerCase() === String(ref).trim().toLowerCase()) ||
+    null;
+};
+
+// Multipart forms send lists as JSON strings. Returns { list } or { error }.
+const parseList = (input, label) => {
+  let list = input;
+
+  if (typeof input === 'string') {
+    try {
+      list = JSON.parse(input);
+    } catch (error) {
+      return { error: `Invalid ${label} format` };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { error: `${label.charAt(0).toUpperCase()}${label.slice(1)} must be a list` };
+  }
+
+  return { list };
+};
+
+// Each item needs a name that is unique within the list
+const getNameError = (items, label) => {
+  const seen = new Set();
+
+  for (const item of items) {
+    if (!item.name || !String(item.name).trim()) {
+      return `Each ${label} needs a name`;
+    }
+
+    const key = String(item.name).trim().toLowerCase();
+    if (seen.has(key)) {
+      return `There is more than one ${label} called "${item.name}"`;
+    }
+    seen.add(key);
+  }
+
+  return null;
+};
+
+// Existing items keep their _id; new ones get one now so gates and ticket
+// types can refer to them before the event is saved
+const keepOrCreateId = (item, existing) => {
+  const match = item._id && existing.find(candidate => idOf(candidate) === idOf(item._id));
+  return match ? match._id : new mongoose.Types.ObjectId();
+};
+
+const parseZones = (input, existingZones = []) => {
+  const { list, error } = parseList(input, 'zones');
+  if (error) return { error };
+
+  const nameError = getNameError(list, 'zone');
+  if (nameError) return { error: nameError };
+
+  return {
+    zones: list.map(zone => ({
+      _id: keepOrCreateId(zone, existingZones),
+      name: String(zone.name).trim(),
+      description: zone.description,
+      isRestricted: Boolean(zone.isRestricted)
+    }))
+  };
+};
+
+const parseGates = (input, zones, existingGates = []) => {
+  const { list, error } = parseList(input, 'gates');
+  if (error) return { error };
+
+  const nameError = getNameError(list, 'gate');
+  if (nameError) return { error: nameError };
+
+  const gates = [];
+
+  for (const gate of list) {
+    const zoneRef = gate.zoneId || gate.zone;
+    const zone = findByRef(zones, zoneRef);
+
+    if (zoneRef && !zone) {
+      return { error: `Gate "${gate.name}" opens into an unknown zone "${zoneRef}"` };
+    }
+
+    if (!zone && zones.length > 0) {
+      return { error: `Gate "${gate.name}" needs a zone` };
+    }
+
+    gates.push({
+      _id: keepOrCreateId(gate, existingGates),
+      name: String(gate.name).trim(),
+      zoneId: zone?._id,
+      isActive: gate.isActive !== false
+    });
+  }
+
+  return { gates };
+};
+
+const parseStaffAssignments = (input, gates) => {
+  const { list, error } = parseList(input, 'staff assignments');
+  if (error) return { error };
+
+  const staffAssignments = [];
+
+  for (const assignment of list) {
+    if (!mongoose.Types.ObjectId.isValid(assignment.staffId)) {
+      return { error: 'Each staff assignment needs a valid staffId' };
+    }
+
+    const gateIds = [];
+    for (const ref of assignment.gates || assignment.gateIds || []) {
+      const gate = findByRef(gates, ref);
+      if (!gate) {
+        return { error: `Staff assignment refers to an unknown gate "${ref}"` };
+      }
+      gateIds.push(gate._id);
+    }
+
+    const entry = { staffId: assignment.staffId, gateIds };
+
+    // Left out, the staff member keeps their account permissions
+    if (assignment.permissions !== undefined && assignment.permissions !== null) {
+      const parsed = parseStaffPermissions(assignment.permissions);
+      if (parsed.error) return parsed;
+      entry.permissions = parsed.permissions;
+    }
+
+    staffAssignments.push(entry);
+  }
+
+  return { staffAssignments };
+};
+
+// Resolve each ticket type's zoneAccess to zone ids
+const resolveZoneAccess = (ticketTypes, zones) => {
+  const resolved = [];
+
+  for (const type of ticketTypes) {
+    const zoneIds = [];
+
+    for (const ref of type.zoneAccess || []) {
+      const zone = findByRef(zones, ref);
+      if (!zone) {
+        return { error: `"${type.name}" gives access to an unknown zone "${ref}"` };
+      }
+      zoneIds.push(zone._id);
+    }
+
+    resolved.push({ ...type, zoneAccess: zoneIds });
+  }
+
+  return { ticketTypes: resolved };
+};
+
+// Check that gates, assignments and ticket types still point at things that
+// exist after part of the layout changed
+const getDanglingRefError = ({ zones, gates, staffAssignments, ticketTypes }) => {
+  const zoneIds = new Set(zones.map(idOf));
+  const gateIds = new Set(gates.map(idOf));
+
+  const gate = gates.find(candidate => candidate.zoneId && !zoneIds.has(idOf(candidate.zoneId)));
+  if (gate) {
+    return `Gate "${gate.name}" opens into a zone that no longer exists`;
+  }
+
+  const assignment = staffAssignments.find(candidate => candidate.gateIds.some(id => !gateIds.has(idOf(id))));
+  if (assignment) {
+    return 'A staff member is assigned to a gate that no longer exists';
+  }
+
+  const type = ticketTypes.find(candidate => (candidate.zoneAccess || []).some(id => !zoneIds.has(idOf(id))));
+  if (type) {
+    return `"${type.name}" gives access to a zone that no longer exists`;
+  }
+
+  return null;
+};
+
+// Parse the zones, gates and staff gate assignments a host sent, together
+// with already parsed ticket types, against the event's current layout.
+// Fields left out keep their current value. Returns an object holding only
+// the fields to save, or { error }.
+const parseAccessLayout = (input, current = {}) => {
+  const result = {};
+
+  let zones = current.zones || [];
+  if (input.zones !== undefined) {
+    const parsed = parseZones(input.zones, zones);
+    if (parsed.error) return parsed;
+    zones = result.zones = parsed.zones;
+  }
+
+  let gates = current.gates || [];
+  if (input.gates !== undefined) {
+    const parsed = parseGates(input.gates, zones, gates);
+    if (parsed.error) return parsed;
+    gates = result.gates = parsed.gates;
+  }
+
+  let staffAssignments = current.staffAssignments || [];
+  if (input.staffAssignments !== undefined) {
+    const parsed = parseStaffAssignments(input.staffAssignments, gates);
+    if (parsed.error) return parsed;
+    staffAssignments = result.staffAssignments = parsed.staffAssignments;
+  }
+
+  let ticketTypes = current.ticketTypes || [];
+  if (input.ticketTypes !== undefined) {
+    const parsed = resolveZoneAccess(input.ticketTypes, zones);
+    if (parsed.error) return parsed;
+    ticketTypes = result.ticketTypes = parsed.ticketTypes;
+  }
+
+  const danglingError = getDanglingRefError({ zones, gates, staffAssignments, ticketTypes });
+  if (danglingError) return { error: danglingError };
+
+  return result;
+};
+
+// The event's assigned staff plus everyone given a gate assignment
+const withAssignedStaff = (assignedStaff = [], staffAssignments = []) => {
+  const ids = [...assignedStaff, ...staffAssignments.map(assignment => assignment.staffId)]
+    .filter(Boolean)
+    .map(idOf);
+
+  return [...new Set(ids)];
+};
+
+// Gates a staff member may scan at: their assigned gates, or every gate if
+// they have no gate assignment
+const getStaffGates = (event, staffId) => {
+  const gates = event.gates || [];
+  const assignment = (event.staffAssignments || []).find(candidate => idOf(candidate.staffId) === idOf(staffId));
+
+  if (!assignment || assignment.gateIds.length === 0) {
+    return gates;
+  }
+
+  const allowed = new Set(assignment.gateIds.map(idOf));
+  return gates.filter(gate => allowed.has(idOf(gate)));
+};
+
+// Work out the gate a scan was made at. Events without gates accept a free
+// text gate label, as before gates existed.
+// Returns { gate } ({ gateId, name, zoneId } or null) or { error, statusCode }.
+const resolveScanGate = (event, { gateId, gate }, staffId) => {
+  const gates = event.gates || [];
+
+  if (gates.length === 0) {
+    return { gate: gate ? { name: String(gate) } : null };
+  }
+
+  const ref = gateId || gate;
+  if (!ref) {
+    return { error: 'Please choose the gate you are scanning at', statusCode: 400 };
+  }
+
+  const found = findByRef(gates, ref);
+  if (!found) {
+    return { error: 'Unknown gate for this event', statusCode: 400 };
+  }
+
+  if (!found.isActive) {
+    return { error: `${found.name} is closed`, statusCode: 400 };
+  }
+
+  if (!getStaffGates(event, staffId).some(allowed => idOf(allowed) === idOf(found))) {
+    return { error: `You are not assigned to ${found.name}`, statusCode: 403 };
+  }
+
+  return { gate: { gateId: found._id, name: found.name, zoneId: found.zoneId } };
+};
+
+// Restricted zone ids a ticket may enter, from its ticket type
+const getTicketZoneAccess = (event, ticket) => {
+  const type = (event.ticketTypes || []).find(candidate => idOf(candidate) === idOf(ticket.ticketTypeId));
+  return (type?.zoneAccess || []).map(idOf);
+};
+
+// Reason a ticket may not enter a zone, or null if it may
+const getZoneDenial = (event, ticket, zoneId) => {
+  if (!zoneId) return null;
+
+  const zone = findByRef(event.zones || [], zoneId);
+  if (!zone || !zone.isRestricted) return null;
+
+  if (getTicketZoneAccess(event, ticket).includes(idOf(zone))) {
+    return null;
+  }
+
+  return `${ticket.ticketTypeName || 'This'} ticket does not give access to ${zone.name}`;
+};
+
+module.exports = {
+  getStaffGates,
+  getTicketZoneAccess,
+  getZoneDenial,
+  parseAccessLayout,
+  resolveScanGate,
+  withAssignedStaff
+};
@@ -0,0 +1,153 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const Ticket = require('../models/Ticket');
+const { ATTENDING_STATUSES, CHECKED_IN_FILTER } = require('./ticketService');
+const { getAvailableSeats } = require('./capacityService');
+
+// Live attendance updates pushed to door dashboards over Server-Sent Events.
+// Scans and bookings publish to an in-process bus, so every API instance
+// only streams what happened on that instance. Running more than one
+// instance needs a shared broker (e.g. Redis pub/sub) behind publish.
+
+// How often each stream gets fresh counters
+const COUNTER_INTERVAL_MS = parseInt(process.env.ATTENDANCE_COUNTER_INTERVAL_MS) || 15000;
+
+// Window the arrival rate is measured over
+const ARRIVAL_WINDOW_MINUTES = 15;
+
+// Comment line sent between updates so proxies keep the connection open
+const KEEP_ALIVE_MS = 25000;
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+// Counter timers shared by every stream open on an event
+const counterTimers = new Map();
+
+const channelFor = (eventId) => `event:${(eventId?._id || eventId).toString()}`;
+
+// Send a live update to everyone watching an event. `type` is one of
+// check_in, exit, booking, cancellation or counters.
+const publishAttendanceEvent = (eventId, type, data = {}) => {
+  if (!eventId) return;
+  bus.emit(channelFor(eventId), { type, data: { ...data, at: new Date() } });
+};
+
+// Current aggregate counters for an event: people inside, people checked in
+// so far, arrivals over the last ARRIVAL_WINDOW_MINUTES and seats left.
+const getAttendanceCounters = async (eventId) => {
+  const since = new Date(Date.now() - ARRIVAL_WINDOW_MINUTES * 60 * 1000);
+  const ticketFilter = { eventId, status: { $in: ATTENDING_STATUSES } };
+
+  const [event, inside, checkedIn, arrivals] = await Promise.all([
+    Event.findById(eventId).select('capacity ticketsSold ticketsHeld'),
+    Ticket.countDocuments({ ...ticketFilter, 'verification.isInside': true }),
+    Ticket.countDocuments({ ...ticketFilter, ...CHECKED_IN_FILTER }),
+    ScanEvent.countDocuments({
+      eventId: new mongoose.Types.ObjectId(eventId),
+      action: 'entry',
+      outcome: { $in: ['accepted', 'violation'] },
+      scannedAt: { $gte: since }
+    })
+  ]);
+
+  return {
+    inside,
+    checkedIn,
+    arrivals: {
+      windowMinutes: ARRIVAL_WINDOW_MINUTES,
+      count: arrivals,
+      perMinute: Number((arrivals / ARRIVAL_WINDOW_MINUTES).toFixed(2))
+    },
+    capacity: event?.capacity || 0,
+    ticketsSold: event?.ticketsSold || 0,
+    remainingCapacity: event ? getAvailableSeats(event) : 0,
+    at: new Date()
+  };
+};
+
+const publishCounters = async (eventId) => {
+  try {
+    publishAttendanceEvent(eventId, 'counters', await getAttendanceCounters(eventId));
+  } catch (error) {
+    console.error('Failed to compute attendance counters:', error);
+  }
+};
+
+// Counters are worked out once per event per interval, however many
+// dashboards are watching it
+const startCounters = (eventId) => {
+  const channel = channelFor(eventId);
+  const timer = counterTimers.get(channel);
+
+  if (timer) {
+    timer.streams += 1;
+    return;
+  }
+
+  counterTimers.set(channel, {
+    streams: 1,
+    interval: setInterval(() => publishCounters(eventId), COUNTER_INTERVAL_MS)
+  });
+};
+
+const stopCounters = (eventId) => {
+  const channel = channelFor(eventId);
+  const timer = counterTimers.get(channel);
+  if (!timer) return;
+
+  timer.streams -= 1;
+  if (timer.streams === 0) {
+    clearInterval(timer.interval);
+    counterTimers.delete(channel);
+  }
+};
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn a request into a Server-Sent Events stream of an event's attendance.
+// The caller must already have checked the user may watch the event.
+// Sends the current counters straight away, then every update until the
+// client disconnects.
+const openAttendanceStream = async (req, res, eventId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  // Ask EventSource to reconnect after 5 seconds if the connection drops
+  res.write('retry: 5000\n\n');
+
+  const channel = channelFor(eventId);
+  const forward = ({ type, data }) => writeEvent(res, type, data);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  bus.on(channel, forward);
+  startCounters(eventId);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    bus.off(channel, forward);
+    stopCounters(eventId);
+  });
+
+  try {
+    writeEvent(res, 'counters', await getAttendanceCounters(eventId));
+  } catch (error) {
+    console.error('Failed to compute attendance counters:', error);
+  }
+};
+
+module.exports = {
+  getAttendanceCounters,
+  openAttendanceStream,
+  publishAttendanceEvent
+};
@@ -0,0 +1,54 @@
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+
+// Shortest search staff can run, so a single letter cannot list everyone
+const MIN_SEARCH_LENGTH = 2;
+
+const MAX_RESULTS = 25;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match the digits of a phone number however it was formatted
+const phonePattern = (query) => {
+  const digits = query.replace(/\D/g, '');
+  return digits.length >= MIN_SEARCH_LENGTH ? new RegExp(digits.split('').join('\\D*')) : null;
+};
+
+// Find an event's tickets whose holder or booking account matches a name,
+// email or phone number, in part and ignoring case. Guest tickets match on
+// the guest's own details as well as the account that booked them.
+const searchEventTickets = async (eventId, query, { limit = MAX_RESULTS } = {}) => {
+  const text = new RegExp(escapeRegex(query), 'i');
+  const phone = phonePattern(query);
+
+  const userFilters = [
+    { firstName: text },
+    { lastName: text },
+    { email: text },
+    // Full name, so "jane do" finds Jane Doe
+    { $expr: { $regexMatch: { input: { $concat: ['$firstName', ' ', '$lastName'] }, regex: escapeRegex(query), options: 'i' } } }
+  ];
+  if (phone) userFilters.push({ phone });
+
+  const attendeeIds = await Ticket.distinct('attendeeId', { eventId });
+  const users = await User.find({ _id: { $in: attendeeIds }, $or: userFilters }).select('_id');
+
+  return Ticket.find({
+    eventId,
+    $or: [
+      { attendeeId: { $in: users.map(user => user._id) } },
+      { 'guest.name': text },
+      { 'guest.email': text },
+      { ticketNumber: text }
+    ]
+  })
+    .populate('attendeeId', 'firstName lastName email phone')
+    .populate('verification.scannedBy', 'firstName lastName')
+    .sort({ status: 1, 'guest.name': 1 })
+    .limit(limit);
+};
+
+module.exports = {
+  MIN_SEARCH_LENGTH,
+  searchEventTickets
+};
@@ -0,0 +1,339 @@
+const PDFDocument = require('pdfkit');
+const { signTicketToken } = require('./qrTokenService');
+const { getHolderName } = require('./ticketService');
+const { decodeDataUrl } = require('./ticketPdfService');
+
+// Name badges printed at check-in. Each event chooses a badge size and what
+// goes on it (Event.badgeLayout). Badges come as a PDF with one badge per
+// page, or as ZPL for thermal label printers, which print straight from the
+// raw file without a PDF driver.
+
+// Badge sizes in PDF points (72 per inch), width x height
+const BADGE_SIZES = {
+  '4x3': [288, 216], // 4" x 3" label, landscape
+  '4x6': [288, 432], // 4" x 6" label, portrait
+  a6: [298, 420], // A6 sheet, portrait
+  cr80: [243, 153] // Credit card sized badge
+};
+
+const BADGE_FIELDS = ['name', 'organization', 'ticketType', 'eventTitle', 'ticketNumber'];
+
+const BADGE_FORMATS = ['pdf', 'zpl'];
+
+// Used for events that have not set a layout
+const DEFAULT_BADGE_LAYOUT = {
+  size: '4x3',
+  fields: ['name', 'organization', 'ticketType', 'eventTitle'],
+  showQrCode: true,
+  accentColor: '#4A90E2'
+};
+
+// Label printers in use are almost all 203 dpi (8 dots/mm)
+const ZPL_DPI = 203;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const getBadgeLayout = (event) => {
+  return event?.badgeLayout?.size ? event.badgeLayout : DEFAULT_BADGE_LAYOUT;
+};
+
+// Parse a badge layout sent by a host. Multipart forms send it as a JSON
+// string. Returns { badgeLayout } or { error }.
+const parseBadgeLayout = (input) => {
+  let layout = input;
+
+  if (typeof input === 'string') {
+    try {
+      layout = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid badge layout format' };
+    }
+  }
+
+  if (!layout || typeof layout !== 'object') {
+    return { error: 'Invalid badge layout format' };
+  }
+
+  const size = layout.size || DEFAULT_BADGE_LAYOUT.size;
+  if (!BADGE_SIZES[size]) {
+    return { error: `Badge size must be one of: ${Object.keys(BADGE_SIZES).join(', ')}` };
+  }
+
+  let fields = DEFAULT_BADGE_LAYOUT.fields;
+  if (layout.fields !== undefined) {
+    if (!Array.isArray(layout.fields)) {
+      return { error: 'Badge fields must be a list' };
+    }
+
+    fields = [...new Set(layout.fields.map(field => String(field).trim()))];
+
+    const unknown = fields.find(field => !BADGE_FIELDS.includes(field));
+    if (unknown) {
+      return { error: `Unknown badge field "${unknown}". Use: ${BADGE_FIELDS.join(', ')}` };
+    }
+  }
+
+  const showQrCode = layout.showQrCode === undefined
+    ? DEFAULT_BADGE_LAYOUT.showQrCode
+    : layout.showQrCode === true || layout.showQrCode === 'true';
+
+  if (fields.length === 0 && !showQrCode) {
+    return { error: 'A badge needs at least one field or the QR code' };
+  }
+
+  const accentColor = layout.accentColor || DEFAULT_BADGE_LAYOUT.accentColor;
+  if (!HEX_COLOR_PATTERN.test(accentColor)) {
+    return { error: 'Badge accent color must be a hex color such as #4A90E2' };
+  }
+
+  return { badgeLayout: { size, fields, showQrCode, accentColor } };
+};
+
+// Text for each badge field. `ticket` needs eventId populated with the
+// title and attendeeId with the holder's name.
+const getBadgeText = (ticket) => ({
+  name: getHolderName(ticket),
+  organization: ticket.attendeeInfo?.organization,
+  ticketType: ticket.ticketTypeName,
+  eventTitle: ticket.eventId?.title,
+  ticketNumber: ticket.ticketNumber
+});
+
+// Positions shared by both formats, in the badge's own units (points for
+// PDF, dots for ZPL)
+const getBadgeGeometry = (width, height, layout) => {
+  const margin = Math.round(Math.min(width, height) * 0.06);
+  const bandHeight = layout.fields.includes('eventTitle') ? Math.round(height * 0.16) : 0;
+  const qrSize = layout.showQrCode ? Math.round(Math.min(width, height) * (height > width ? 0.45 : 0.38)) : 0;
+
+  return {
+    margin,
+    bandHeight,
+    qrSize,
+    qrX: width - margin - qrSize,
+    qrY: height - margin - qrSize,
+    contentWidth: width - margin * 2,
+    // Text beside the QR code must stop short of it
+    footerWidth: width - margin * 2 - (qrSize ? qrSize + margin : 0),
+    nameSize: Math.round(height * 0.14)
+  };
+};
+
+// Largest font size (down to 10) at which `text` fits on one line
+const fitFontSize = (doc, text, width, maxSize) => {
+  let size = maxSize;
+  doc.fontSize(size);
+
+  while (size > 10 && doc.widthOfString(text) > width) {
+    size -= 1;
+    doc.fontSize(size);
+  }
+
+  return size;
+};
+
+const drawPdfBadge = (doc, ticket, layout) => {
+  const [width, height] = BADGE_SIZES[layout.size];
+  const geometry = getBadgeGeometry(width, height, layout);
+  const { margin, bandHeight, contentWidth, footerWidth } = geometry;
+  const text = getBadgeText(ticket);
+  const show = (field) => layout.fields.includes(field) && text[field];
+
+  if (bandHeight) {
+    doc.rect(0, 0, width, bandHeight).fill(layout.accentColor);
+
+    if (show('eventTitle')) {
+      doc.fillColor('#FFFFFF').font('Helvetica-Bold');
+      const size = fitFontSize(doc, text.eventTitle, contentWidth, Math.round(bandHeight * 0.45));
+      doc.text(text.eventTitle, margin, (bandHeight - size) / 2, {
+        width: contentWidth,
+        align: 'center',
+        lineBreak: false,
+        ellipsis: true
+      });
+    }
+  }
+
+  let y = bandHeight + margin;
+  let nameSize = geometry.nameSize;
+
+  if (show('name')) {
+    doc.fillColor('#222222').font('Helvetica-Bold');
+    nameSize = fitFontSize(doc, text.name, contentWidth, geometry.nameSize);
+    doc.text(text.name, margin, y, { width: contentWidth, align: 'center', lineBreak: false, ellipsis: true });
+    y += nameSize * 1.3;
+  }
+
+  // Never larger than the name, however short the organization is
+  if (show('organization')) {
+    doc.fillColor('#555555').font('Helvetica');
+    fitFontSize(doc, text.organization, contentWidth, Math.min(nameSize, Math.round(geometry.nameSize * 0.55)));
+    doc.text(text.organization, margin, y, { width: contentWidth, align: 'center', lineBreak: false, ellipsis: true });
+  }
+
+  const footerY = height - margin;
+
+  if (show('ticketNumber')) {
+    doc.fillColor('#888888').font('Helvetica').fontSize(8)
+      .text(text.ticketNumber, margin, footerY - 8, { width: footerWidth, lineBreak: false, ellipsis: true });
+  }
+
+  if (show('ticketType')) {
+    const typeY = footerY - (show('ticketNumber') ? 12 : 0);
+    doc.fillColor(layout.accentColor).font('Helvetica-Bold');
+    const size = fitFontSize(doc, text.ticketType.toUpperCase(), footerWidth, 14);
+    doc.text(text.ticketType.toUpperCase(), margin, typeY - size, { width: footerWidth, lineBreak: false, ellipsis: true });
+  }
+
+  const qrCode = layout.showQrCode && decodeDataUrl(ticket.qrCodeUrl);
+  if (qrCode) {
+    doc.image(qrCode, geometry.qrX, geometry.qrY, { width: geometry.qrSize, height: geometry.qrSize });
+  }
+};
+
+// Render badges for tickets as one PDF, one badge per page. Tickets need
+// eventId populated with the title and attendeeId with the holder's name.
+// Resolves to the PDF as a Buffer.
+const renderBadgesPdf = (tickets, layout = DEFAULT_BADGE_LAYOUT) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: BADGE_SIZES[layout.size],
+      margin: 0,
+      autoFirstPage: false,
+      info: {
+        Title: tickets.length === 1 ? `Badge ${tickets[0].ticketNumber}` : `${tickets.length} badges`,
+        Subject: 'Name badges'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const ticket of tickets) {
+      doc.addPage();
+      drawPdfBadge(doc, ticket, layout);
+    }
+
+    doc.end();
+  });
+};
+
+// ^ and ~ start ZPL commands, so they cannot appear in printed text
+const zplText = (value) => String(value).replace(/[\^~]/g, ' ');
+
+const toDots = (points) => Math.round(points * ZPL_DPI / 72);
+
+// Font height in dots at which `text` fits on one line; ZPL's scalable font
+// is roughly 0.6 of its height wide per character
+const fitZplHeight = (text, width, maxHeight) => {
+  return Math.max(20, Math.min(maxHeight, Math.floor(width / (text.length * 0.6))));
+};
+
+const zplLine = (text, x, y, width, height, { align = 'C', reverse = false } = {}) => {
+  return `^FO${x},${y}^A0N,${height},${height}^FB${width},1,0,${align}${reverse ? '^FR' : ''}^FD${zplText(text)}^FS`;
+};
+
+const renderZplBadge = (ticket, layout) => {
+  const [width, height] = BADGE_SIZES[layout.size].map(toDots);
+  const geometry = getBadgeGeometry(width, height, layout);
+  const { margin, bandHeight, contentWidth, footerWidth } = geometry;
+  const text = getBadgeText(ticket);
+  const show = (field) => layout.fields.includes(field) && text[field];
+
+  // UTF-8 text, label size in dots
+  const lines = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`];
+
+  if (bandHeight) {
+    lines.push(`^FO0,0^GB${width},${bandHeight},${bandHeight}^FS`);
+
+    if (show('eventTitle')) {
+      const size = fitZplHeight(text.eventTitle, contentWidth, Math.round(bandHeight * 0.5));
+      lines.push(zplLine(text.eventTitle, margin, Math.round((bandHeight - size) / 2), contentWidth, size, { reverse: true }));
+    }
+  }
+
+  let y = bandHeight + margin;
+  let nameSize = geometry.nameSize;
+
+  if (show('name')) {
+    nameSize = fitZplHeight(text.name, contentWidth, geometry.nameSize);
+    lines.push(zplLine(text.name, margin, y, contentWidth, nameSize));
+    y += Math.round(nameSize * 1.3);
+  }
+
+  if (show('organization')) {
+    const size = fitZplHeight(text.organization, contentWidth, Math.min(nameSize, Math.round(geometry.nameSize * 0.55)));
+    lines.push(zplLine(text.organization, margin, y, contentWidth, size));
+  }
+
+  const footerY = height - margin;
+
+  if (show('ticketNumber')) {
+    lines.push(zplLine(text.ticketNumber, margin, footerY - 22, footerWidth, 22, { align: 'L' }));
+  }
+
+  if (show('ticketType')) {
+    const size = fitZplHeight(text.ticketType, footerWidth, 40);
+    const typeY = footerY - size - (show('ticketNumber') ? 30 : 0);
+    lines.push(zplLine(text.ticketType.toUpperCase(), margin, typeY, footerWidth, size, { align: 'L' }));
+  }
+
+  // The printer draws the QR code itself from the same signed token the
+  // ticket carries. A signed token is about 57 modules wide.
+  if (layout.showQrCode && ticket.qrCodeData) {
+    const { token } = signTicketToken({
+      eventId: ticket.eventId._id || ticket.eventId,
+      ticketNumber: ticket.ticketNumber,
+      qrCodeData: ticket.qrCodeData
+    });
+    const magnification = Math.max(1, Math.min(10, Math.floor(geometry.qrSize / 57)));
+
+    // ^BQ adds a 10 dot quiet zone above the code
+    lines.push(`^FO${geometry.qrX},${geometry.qrY - 10}^BQN,2,${magnification}^FDMA,${token}^FS`);
+  }
+
+  lines.push('^XZ');
+  return lines.join('\n');
+};
+
+// Render badges for tickets as ZPL, one label per ticket. Tickets need the
+// same fields as renderBadgesPdf plus qrCodeData.
+const renderBadgesZpl = (tickets, layout = DEFAULT_BADGE_LAYOUT) => {
+  return tickets.map(ticket => renderZplBadge(ticket, layout)).join('\n');
+};
+
+// Render badges in `format` (pdf or zpl) and send them as a download
+const sendBadges = async (res, tickets, layout, { format = 'pdf', filename }) => {
+  if (format === 'zpl') {
+    const zpl = renderBadgesZpl(tickets, layout);
+
+    res.set({
+      'Content-Type': 'application/vnd.zebra-zpl',
+      'Content-Disposition': `attachment; filename="${filename}.zpl"`
+    });
+    return res.status(200).send(zpl);
+  }
+
+  const pdf = await renderBadgesPdf(tickets, layout);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  return res.status(200).send(pdf);
+};
+
+module.exports = {
+  BADGE_FIELDS,
+  BADGE_FORMATS,
+  BADGE_SIZES,
+  DEFAULT_BADGE_LAYOUT,
+  getBadgeLayout,
+  parseBadgeLayout,
+  renderBadgesPdf,
+  renderBadgesZpl,
+  sendBadges
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const { claimSeats, releaseSeats } = require('./capacityService');
+const { parseOrderRequest, placeOrder, priceOrder } = require('./orderService');
+const { failPayment } = require('./paymentService');
+const { roundAmount } = require('./promoCodeService');
+const { resolveTicketType } = require('./ticketTypeService');
+const { getZoneDenial, resolveScanGate } = require('./accessZoneService');
+const { SCAN_EVENT_FIELDS, processOnlineScan } = require('./scanService');
+
+// Walk-in sales made by staff at the door. The money is taken in person, so
+// the sale is recorded as an already completed Payment (channel box_office)
+// with the staff member as seller, and each ticket is checked in straight
+// away through the normal scan rules.
+
+const BOX_OFFICE_METHODS = ['cash', 'card_terminal'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Name put on walk-in tickets when the buyer gave none
+const WALK_IN_NAME = 'Walk-in';
+
+// Payment states that count towards takings
+const COLLECTED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Door sales run until the event ends, unlike online booking which closes
+// when it starts
+const getDoorSaleError = (event, now = new Date()) => {
+  if (event.status !== 'published') {
+    return 'Event is not on sale';
+  }
+
+  if (new Date(event.endDateTime) <= now) {
+    return 'Event has already ended';
+  }
+
+  return null;
+};
+
+// Sell tickets to a walk-in buyer and check them in at the seller's gate.
+// A buyer whose email matches an account gets the tickets on that account;
+// otherwise the seller is recorded as purchaser and each ticket is named for
+// the buyer. Returns { payment, order, tickets, checkIns, changeGiven } or
+// { error, statusCode }.
+const sellAtDoor = async ({
+  eventId,
+  staff,
+  permissions = [],
+  ticketTypeId,
+  quantity: requestedQuantity,
+  guests: requestedGuests,
+  buyer = {},
+  paymentMethod,
+  cashTendered,
+  terminalReference,
+  gateId,
+  gate: gateLabel,
+  deviceId
+}) => {
+  if (!BOX_OFFICE_METHODS.includes(paymentMethod)) {
+    return { error: `Payment method must be one of: ${BOX_OFFICE_METHODS.join(', ')}`, statusCode: 400 };
+  }
+
+  const event = await Event.findById(eventId).select(`${SCAN_EVENT_FIELDS} status capacity ticketsSold ticketsHeld pricing`);
+  if (!event) {
+    return { error: 'Event not found', statusCode: 404 };
+  }
+
+  const saleError = getDoorSaleError(event);
+  if (saleError) {
+    return { error: saleError, statusCode: 400 };
+  }
+
+  const { quantity, guests, error: orderError } = parseOrderRequest({
+    quantity: requestedQuantity,
+    guests: requestedGuests
+  });
+  if (orderError) {
+    return { error: orderError, statusCode: 400 };
+  }
+
+  const { ticketType, error: ticketTypeError } = resolveTicketType(event, ticketTypeId);
+  if (ticketTypeError) {
+    return { error: ticketTypeError, statusCode: 400 };
+  }
+
+  // Check the tickets can be used at this gate before taking any money
+  const resolved = resolveScanGate(event, { gateId, gate: gateLabel }, staff._id);
+  if (resolved.error) {
+    return { error: resolved.error, statusCode: resolved.statusCode };
+  }
+
+  const zoneDenial = getZoneDenial(event, { ticketTypeId: ticketType?._id, ticketTypeName: ticketType?.name }, resolved.gate?.zoneId);
+  if (zoneDenial) {
+    return { error: zoneDenial, statusCode: 400 };
+  }
+
+  // Door prices are the ticket prices; promo codes are for online checkout
+  const { unitPrice, totalAmount: amount } = await priceOrder({ event, ticketType, quantity });
+
+  let changeGiven;
+  if (paymentMethod === 'cash' && cashTendered !== undefined && cashTendered !== null && cashTendered !== '') {
+    const tendered = Number(cashTendered);
+    if (isNaN(tendered) || tendered < amount) {
+      return { error: `Cash tendered must cover the total of ${amount}`, statusCode: 400 };
+    }
+    changeGiven = roundAmount(tendered - amount);
+  }
+
+  const email = buyer.email?.trim().toLowerCase();
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return { error: 'Invalid buyer email address', statusCode: 400 };
+  }
+
+  const account = email ? await User.findOne({ email, isActive: true }).select('_id') : null;
+  const purchaserId = account?._id || staff._id;
+
+  // Tickets bought on the seller's account need a holder name each
+  const ticketGuests = account
+    ? guests
+    : Array.from({ length: quantity }, (_, index) => ({
+      name: guests[index]?.name || buyer.name?.trim() || WALK_IN_NAME,
+      email: guests[index]?.email || email
+    }));
+
+  if (!(await claimSeats(event._id, quantity, ticketType?._id))) {
+    return {
+      error: quantity > 1
+        ? `Not enough tickets left for ${quantity} seats`
+        : ticketType ? `${ticketType.name} tickets are sold out` : 'Event is sold out',
+      statusCode: 400
+    };
+  }
+
+  const paymentId = `PAY_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+  const now = new Date();
+  let payment;
+  let order;
+
+  try {
+    payment = await Payment.create({
+      paymentId,
+      transactionId: `TXN_${crypto.randomBytes(12).toString('hex').toUpperCase()}`,
+      // There is no gateway order for money taken at the door
+      orderId: paymentId,
+      eventId: event._id,
+      userId: purchaserId,
+      amount,
+      currency: (event.pricing?.currency || 'USD').toUpperCase(),
+      status: 'completed',
+      channel: 'box_office',
+      soldBy: staff._id,
+      // Not a gateway driver, so refunds are recorded as failed and
+      // returned by hand (see issueRefund)
+      gateway: {
+        name: 'BoxOffice',
+        gatewayTransactionId: terminalReference
+      },
+      paymentMethod,
+      cashTendered: changeGiven !== undefined ? Number(cashTendered) : undefined,
+      changeGiven,
+      booking: {
+        ticketTypeId: ticketType?._id,
+        ticketTypeName: ticketType?.name,
+        unitPrice,
+        quantity,
+        guests: ticketGuests
+      },
+      completedAt: now,
+      metadata: {
+        deviceInfo: deviceId
+      }
+    });
+
+    ({ order } = await placeOrder({
+      eventId: event._id,
+      purchaserId,
+      paymentId,
+      quantity,
+      guests: ticketGuests,
+      unitPrice,
+      currency: payment.currency,
+      paymentStatus: 'completed',
+      ticketType,
+      // Printed on the buyer's name badges
+      attendeeInfo: buyer.organization ? { organization: String(buyer.organization).trim() } : undefined,
+      salesChannel: 'box_office'
+    }));
+  } catch (error) {
+    await releaseSeats(event._id, quantity, ticketType?._id);
+    if (payment) {
+      await failPayment(payment, {
+        code: 'TICKET_ISSUE_FAILED',
+        message: 'Payment taken at the door but the ticket could not be issued. Return the money to the buyer.',
+        details: error.message
+      });
+    }
+    throw error;
+  }
+
+  payment.order = order._id;
+  payment.ticketId = order.tickets[0];
+  await payment.save();
+
+  const tickets = await Ticket.find({ orderId: order._id })
+    .populate('eventId', SCAN_EVENT_FIELDS)
+    .populate('attendeeId', 'firstName lastName email');
+
+  const checkIns = [];
+  for (const ticket of tickets) {
+    const scan = await processOnlineScan(ticket, {
+      action: 'entry',
+      staffId: staff._id,
+      gateId,
+      gate: gateLabel,
+      deviceId,
+      method: 'box_office',
+      permissions
+    });
+
+    checkIns.push({
+      ticketNumber: ticket.ticketNumber,
+      checkedIn: scan.allowed,
+      message: scan.message
+    });
+  }
+
+  console.log(`🎟️  Box office sold ${quantity} ticket(s) for event ${event._id} (${paymentMethod}, ${amount})`);
+
+  return { payment, order, tickets, checkIns, changeGiven };
+};
+
+const emptyTotals = () => ({ sales: 0, tickets: 0, amount: 0, refunded: 0, net: 0 });
+
+// Box office takings for an event, optionally for one seller, split by
+// payment method and by seller. Refunded money is subtracted.
+const summarizeBoxOfficeSales = async (eventId, { soldBy } = {}) => {
+  const match = {
+    eventId: new mongoose.Types.ObjectId(eventId),
+    channel: 'box_office',
+    status: { $in: COLLECTED_STATUSES }
+  };
+  if (soldBy) match.soldBy = new mongoose.Types.ObjectId(soldBy);
+
+  const groups = await Payment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { soldBy: '$soldBy', paymentMethod: '$paymentMethod' },
+        sales: { $sum: 1 },
+        tickets: { $sum: '$booking.quantity' },
+        amount: { $sum: '$amount' },
+        refunded: { $sum: { $ifNull: ['$refund.refundAmount', 0] } }
+      }
+    }
+  ]);
+
+  const summary = { ...emptyTotals(), byMethod: {}, bySeller: {} };
+
+  for (const { _id, sales, tickets, amount, refunded } of groups) {
+    const method = _id.paymentMethod;
+    const seller = _id.soldBy.toString();
+
+    if (!summary.byMethod[method]) summary.byMethod[method] = emptyTotals();
+    if (!summary.bySeller[seller]) summary.bySeller[seller] = emptyTotals();
+
+    for (const bucket of [summary, summary.byMethod[method], summary.bySeller[seller]]) {
+      bucket.sales += sales;
+      bucket.tickets += tickets;
+      bucket.amount = roundAmount(bucket.amount + amount);
+      bucket.refunded = roundAmount(bucket.refunded + refunded);
+      bucket.net = roundAmount(bucket.amount - bucket.refunded);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  BOX_OFFICE_METHODS,
+  sellAtDoor,
+  summarizeBoxOfficeSales
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const SeatHold = require('../models/SeatHold');
+const Ticket = require('../models/Ticket');
+
+// Seats are tracked with two counters on the Event:
+//   ticketsSold - seats taken by issued tickets
+//   ticketsHeld - seats reserved by active checkout holds
+// Ticket types carry the same pair as `sold` and `held`. Every change that
+// can use up capacity is a single conditional update covering both the event
+// and the ticket type, so concurrent requests can never push sold + held past
+// either capacity.
+
+// Query condition: the event (and ticket type, if given) still has room for
+// `quantity` more seats
+const hasRoomFor = (quantity, ticketTypeId) => {
+  const conditions = [
+    { $lte: [{ $add: ['$ticketsSold', '$ticketsHeld', quantity] }, '$capacity'] }
+  ];
+
+  if (ticketTypeId) {
+    conditions.push({
+      $gt: [{
+        $size: {
+          $filter: {
+            input: '$ticketTypes',
+            as: 'type',
+            cond: {
+              $and: [
+                { $eq: ['$$type._id', new mongoose.Types.ObjectId(ticketTypeId)] },
+                { $lte: [{ $add: ['$$type.sold', '$$type.held', quantity] }, '$$type.quantity'] }
+              ]
+            }
+          }
+        }
+      }, 0]
+    });
+  }
+
+  return { $expr: { $and: conditions } };
+};
+
+// Build an update moving `changes` ({ sold, held }) on the event and ticket type
+const counterUpdate = (changes, ticketTypeId) => {
+  const $inc = {};
+  const options = {};
+
+  if (changes.sold) $inc.ticketsSold = changes.sold;
+  if (changes.held) $inc.ticketsHeld = changes.held;
+
+  if (ticketTypeId) {
+    if (changes.sold) $inc['ticketTypes.$[type].sold'] = changes.sold;
+    if (changes.held) $inc['ticketTypes.$[type].held'] = changes.held;
+    options.arrayFilters = [{ 'type._id': ticketTypeId }];
+  }
+
+  return { update: { $inc }, options };
+};
+
+// Query condition: the counters to be decremented are at least `quantity`
+const hasAtLeast = (field, quantity, ticketTypeId) => {
+  const eventField = field === 'sold' ? 'ticketsSold' : 'ticketsHeld';
+  const condition = { [eventField]: { $gte: quantity } };
+
+  if (ticketTypeId) {
+    condition.ticketTypes = {
+      $elemMatch: { _id: ticketTypeId, [field]: { $gte: quantity } }
+    };
+  }
+
+  return condition;
+};
+
+// Reserve seats for a checkout hold. Returns false if the event or ticket
+// type is full.
+const holdSeats = async (eventId, quantity = 1, ticketTypeId = null) => {
+  const { update, options } = counterUpdate({ held: quantity }, ticketTypeId);
+  const result = await Event.updateOne(
+    { _id: eventId, status: 'published', ...hasRoomFor(quantity, ticketTypeId) },
+    update,
+    options
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Give held seats back to the event
+const releaseHeldSeats = async (eventId, quantity = 1, ticketTypeId = null) => {
+  const { update, options } = counterUpdate({ held: -quantity }, ticketTypeId);
+  await Event.updateOne(
+    { _id: eventId, ...hasAtLeast('held', quantity, ticketTypeId) },
+    update,
+    options
+  );
+};
+
+// Turn held seats into sold seats in one step
+const convertHeldSeats = async (eventId, quantity = 1, ticketTypeId = null) => {
+  const { update, options } = counterUpdate({ held: -quantity, sold: quantity }, ticketTypeId);
+  const result = await Event.updateOne(
+    { _id: eventId, ...hasAtLeast('held', quantity, ticketTypeId) },
+    update,
+    options
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Take seats directly, without a hold. Returns false if the event or ticket
+// type is full.
+const claimSeats = async (eventId, quantity = 1, ticketTypeId = null) => {
+  const { update, options } = counterUpdate({ sold: quantity }, ticketTypeId);
+  const result = await Event.updateOne(
+    { _id: eventId, status: 'published', ...hasRoomFor(quantity, ticketTypeId) },
+    update,
+    options
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Give sold seats back to the event, never going below zero
+const releaseSeats = async (eventId, quantity = 1, ticketTypeId = null) => {
+  const { update, options } = counterUpdate({ sold: -quantity }, ticketTypeId);
+  await Event.updateOne(
+    { _id: eventId, ...hasAtLeast('sold', quantity, ticketTypeId) },
+    update,
+    options
+  );
+};
+
+// Seats still open for booking, for the whole event or one ticket type
+const getAvailableSeats = (event, ticketType = null) => {
+  const eventSeats = Math.max(event.capacity - event.ticketsSold - (event.ticketsHeld || 0), 0);
+
+  if (!ticketType) {
+    return eventSeats;
+  }
+
+  const typeSeats = Math.max(ticketType.quantity - (ticketType.sold || 0) - (ticketType.held || 0), 0);
+  return Math.min(eventSeats, typeSeats);
+};
+
+// Sum of active hold quantities for an event, keyed by ticket type ('' for none)
+const countActiveHolds = async (eventId) => {
+  const holds = await SeatHold.aggregate([
+    { $match: { eventId, status: 'active' } },
+    { $group: { _id: '$ticketTypeId', quantity: { $sum: '$quantity' } } }
+  ]);
+
+  return holds.reduce((acc, hold) => {
+    acc[hold._id ? hold._id.toString() : ''] = hold.quantity;
+    return acc;
+  }, {});
+};
+
+// Count of seat-taking tickets for an event, keyed by ticket type ('' for none)
+const countSoldTickets = async (eventId) => {
+  const tickets = await Ticket.aggregate([
+    { $match: { eventId, status: { $in: ['active', 'used'] } } },
+    { $group: { _id: '$ticketTypeId', quantity: { $sum: 1 } } }
+  ]);
+
+  return tickets.reduce((acc, group) => {
+    acc[group._id ? group._id.toString() : ''] = group.quantity;
+    return acc;
+  }, {});
+};
+
+const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+// Recompute an event's counters from the tickets and holds that actually
+// exist. Returns the counters before and after; dryRun only reports them.
+const reconcileEventCounts = async (event, { dryRun = false } = {}) => {
+  const [sold, held] = await Promise.all([
+    countSoldTickets(event._id),
+    countActiveHolds(event._id)
+  ]);
+
+  const before = {
+    ticketsSold: event.ticketsSold,
+    ticketsHeld: event.ticketsHeld || 0,
+    ticketTypes: (event.ticketTypes || []).map(type => ({ name: type.name, sold: type.sold, held: type.held }))
+  };
+
+  const after = {
+    ticketsSold: sum(sold),
+    ticketsHeld: sum(held),
+    ticketTypes: (event.ticketTypes || []).map(type => ({
+      name: type.name,
+      sold: sold[type._id.toString()] || 0,
+      held: held[type._id.toString()] || 0
+    }))
+  };
+
+  const changed = JSON.stringify(before) !== JSON.stringify(after);
+
+  if (!dryRun && changed) {
+    const $set = {
+      ticketsSold: after.ticketsSold,
+      ticketsHeld: after.ticketsHeld
+    };
+
+    (event.ticketTypes || []).forEach((type, index) => {
+      $set[`ticketTypes.${index}.sold`] = after.ticketTypes[index].sold;
+      $set[`ticketTypes.${index}.held`] = after.ticketTypes[index].held;
+    });
+
+    await Event.updateOne({ _id: event._id }, { $set });
+  }
+
+  return { before, after, changed };
+};
+
+module.exports = {
+  claimSeats,
+  convertHeldSeats,
+  getAvailableSeats,
+  holdSeats,
+  reconcileEventCounts,
+  releaseHeldSeats,
+  releaseSeats
+};
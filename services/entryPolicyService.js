@@ -0,0 +1,92 @@
+// Used for events created before entry policies existed
+const DEFAULT_ENTRY_POLICY = {
+  mode: 'single_entry',
+  maxEntries: null,
+  cooldownMinutes: 0
+};
+
+const ENTRY_MODES = ['single_entry', 'reentry', 'unlimited'];
+
+const getEntryPolicy = (event) => {
+  return event.entryPolicy?.mode ? event.entryPolicy : DEFAULT_ENTRY_POLICY;
+};
+
+// Parse an entry policy sent by a host. Multipart forms send it as a JSON
+// string. Returns { entryPolicy } or { error }.
+const parseEntryPolicy = (input) => {
+  let policy = input;
+
+  if (typeof input === 'string') {
+    try {
+      policy = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid entry policy format' };
+    }
+  }
+
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Invalid entry policy format' };
+  }
+
+  const mode = policy.mode || 'single_entry';
+  if (!ENTRY_MODES.includes(mode)) {
+    return { error: 'Entry policy mode must be single_entry, reentry or unlimited' };
+  }
+
+  let maxEntries = null;
+  if (mode === 'reentry' && policy.maxEntries !== undefined && policy.maxEntries !== null && policy.maxEntries !== '') {
+    maxEntries = Number(policy.maxEntries);
+
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      return { error: 'Maximum entries must be a whole number of at least 1' };
+    }
+  }
+
+  const cooldownMinutes = Number(policy.cooldownMinutes || 0);
+  if (!(cooldownMinutes >= 0)) {
+    return { error: 'Re-entry cooldown cannot be negative' };
+  }
+
+  return { entryPolicy: { mode, maxEntries, cooldownMinutes } };
+};
+
+// Reason the policy forbids a movement, or null if it is allowed.
+// `state` is the ticket's position just before the movement:
+// { isInside, entryCount, lastScanAt }.
+const getEntryDenial = (policy, state, { action, scannedAt }) => {
+  if (action === 'exit') {
+    return state.isInside ? null : 'Ticket is not checked in';
+  }
+
+  if (state.entryCount === 0) {
+    return null;
+  }
+
+  if (policy.mode === 'single_entry') {
+    return 'Ticket has already been used. This event allows a single entry.';
+  }
+
+  if (policy.mode === 'reentry') {
+    if (state.isInside) {
+      return 'Ticket is already inside. It must be scanned out before re-entering.';
+    }
+
+    if (policy.maxEntries && state.entryCount >= policy.maxEntries) {
+      return `Ticket has used all ${policy.maxEntries} of its entries`;
+    }
+  }
+
+  const cooldownMs = (policy.cooldownMinutes || 0) * 60 * 1000;
+  if (cooldownMs > 0 && state.lastScanAt && scannedAt - new Date(state.lastScanAt) < cooldownMs) {
+    return `Ticket was scanned less than ${policy.cooldownMinutes} minute(s) ago. Try again later.`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_ENTRY_POLICY,
+  getEntryDenial,
+  getEntryPolicy,
+  parseEntryPolicy
+};
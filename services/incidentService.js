@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Ticket = require('../models/Ticket');
+
+const INCIDENT_CATEGORIES = ['medical', 'security', 'lost_item', 'denied_entry', 'other'];
+const INCIDENT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const INCIDENT_STATUSES = ['open', 'in_progress', 'resolved', 'dismissed'];
+
+// Statuses that close an incident
+const CLOSED_STATUSES = ['resolved', 'dismissed'];
+
+const MAX_PAGE_SIZE = 200;
+
+// Most tickets linked to one incident
+const MAX_LINKED_TICKETS = 20;
+
+// Allowance for clocks on staff devices running ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Lists arrive as arrays, JSON strings from multipart forms, or comma
+// separated query values
+const parseList = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+
+  if (typeof input === 'string') {
+    try {
+      return input.trim().startsWith('[') ? JSON.parse(input) : input.split(',');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return Array.isArray(input) ? input : null;
+};
+
+// Look up the tickets an incident refers to, by ID or ticket number. They
+// must all belong to the event. Returns { tickets } or { error }.
+const resolveIncidentTickets = async (eventId, input) => {
+  const references = parseList(input);
+  if (!references) {
+    return { error: 'Tickets must be a list of ticket IDs or ticket numbers' };
+  }
+
+  const unique = [...new Set(references.map(reference => String(reference).trim()).filter(Boolean))];
+  if (unique.length === 0) {
+    return { tickets: [] };
+  }
+
+  if (unique.length > MAX_LINKED_TICKETS) {
+    return { error: `At most ${MAX_LINKED_TICKETS} tickets can be linked to an incident` };
+  }
+
+  const ids = unique.filter(reference => mongoose.Types.ObjectId.isValid(reference));
+  const numbers = unique.filter(reference => !mongoose.Types.ObjectId.isValid(reference));
+
+  const found = await Ticket.find({
+    eventId,
+    $or: [{ _id: { $in: ids } }, { ticketNumber: { $in: numbers } }]
+  }).select('ticketNumber');
+
+  const missing = unique.find(reference => !found.some(ticket =>
+    ticket._id.toString() === reference || ticket.ticketNumber === reference
+  ));
+  if (missing) {
+    return { error: `Ticket ${missing} not found for this event` };
+  }
+
+  return { tickets: found.map(ticket => ({ ticketId: ticket._id, ticketNumber: ticket.ticketNumber })) };
+};
+
+// Resolve a reported location against the event's gates and zones.
+// Returns { location } or { error }.
+const resolveIncidentLocation = (event, input = {}) => {
+  let location = input;
+
+  if (typeof input === 'string') {
+    try {
+      location = input.trim().startsWith('{') ? JSON.parse(input) : { description: input };
+    } catch (error) {
+      return { error: 'Invalid incident location format' };
+    }
+  }
+
+  const { gateId, zoneId, description } = location || {};
+  const result = { description: description ? String(description).trim() : undefined };
+
+  if (gateId) {
+    const gate = mongoose.Types.ObjectId.isValid(gateId) ? event.gates.id(gateId) : null;
+    if (!gate) {
+      return { error: 'Gate not found for this event' };
+    }
+    result.gateId = gate._id;
+    result.gate = gate.name;
+  }
+
+  // A gate's zone is used when no zone was given
+  const zoneRef = zoneId || event.gates.id(result.gateId)?.zoneId;
+  if (zoneRef) {
+    const zone = mongoose.Types.ObjectId.isValid(zoneRef) ? event.zones.id(zoneRef) : null;
+    if (!zone) {
+      return { error: 'Zone not found for this event' };
+    }
+    result.zoneId = zone._id;
+    result.zone = zone.name;
+  }
+
+  return { location: result };
+};
+
+// File an incident for an event. `event` needs gates and zones.
+// Returns { incident } or { error, statusCode }.
+const reportIncident = async (event, staffId, {
+  category,
+  severity = 'low',
+  description,
+  location,
+  occurredAt,
+  tickets
+} = {}) => {
+  if (!INCIDENT_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${INCIDENT_CATEGORIES.join(', ')}`, statusCode: 400 };
+  }
+
+  if (!INCIDENT_SEVERITIES.includes(severity)) {
+    return { error: `Severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}`, statusCode: 400 };
+  }
+
+  if (!description || !String(description).trim()) {
+    return { error: 'Please describe what happened', statusCode: 400 };
+  }
+
+  const when = occurredAt ? new Date(occurredAt) : new Date();
+  if (isNaN(when.getTime())) {
+    return { error: 'Invalid incident time', statusCode: 400 };
+  }
+  if (when.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return { error: 'Incident time cannot be in the future', statusCode: 400 };
+  }
+
+  const resolvedLocation = resolveIncidentLocation(event, location);
+  if (resolvedLocation.error) {
+    return { error: resolvedLocation.error, statusCode: 400 };
+  }
+
+  const linked = await resolveIncidentTickets(event._id, tickets);
+  if (linked.error) {
+    return { error: linked.error, statusCode: 400 };
+  }
+
+  const now = new Date();
+  const incident = await Incident.create({
+    eventId: event._id,
+    reportedBy: staffId,
+    category,
+    severity,
+    description: String(description).trim(),
+    location: resolvedLocation.location,
+    occurredAt: when,
+    tickets: linked.tickets,
+    history: [{ status: 'open', changedBy: staffId, changedAt: now }]
+  });
+
+  return { incident };
+};
+
+// Change an incident's status or severity. Closing it records the
+// resolution; reopening clears who closed it but keeps the note.
+// Returns { incident } or { error, statusCode }.
+const updateIncident = async (incident, userId, { status, severity, note } = {}) => {
+  if (status === undefined && severity === undefined) {
+    return { error: 'Nothing to update; send a status or severity', statusCode: 400 };
+  }
+
+  if (status !== undefined && !INCIDENT_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${INCIDENT_STATUSES.join(', ')}`, statusCode: 400 };
+  }
+
+  if (severity !== undefined && !INCIDENT_SEVERITIES.includes(severity)) {
+    return { error: `Severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}`, statusCode: 400 };
+  }
+
+  const trimmedNote = note ? String(note).trim() : undefined;
+  if (status && CLOSED_STATUSES.includes(status) && !trimmedNote && !incident.resolution?.note) {
+    return { error: `Add a note explaining why the incident is ${status}`, statusCode: 400 };
+  }
+
+  const now = new Date();
+
+  if (severity) {
+    incident.severity = severity;
+  }
+
+  if (status && status !== incident.status) {
+    if (CLOSED_STATUSES.includes(status)) {
+      incident.resolution = {
+        note: trimmedNote || incident.resolution.note,
+        resolvedBy: userId,
+        resolvedAt: now
+      };
+    } else if (CLOSED_STATUSES.includes(incident.status)) {
+      incident.resolution.resolvedBy = undefined;
+      incident.resolution.resolvedAt = undefined;
+    }
+
+    incident.status = status;
+  }
+
+  incident.history.push({ status: incident.status, note: trimmedNote, changedBy: userId, changedAt: now });
+  await incident.save();
+
+  return { incident };
+};
+
+// Build an Incident filter for an event from query string options. IDs are
+// cast up front because the filter is also used in an aggregation.
+const buildIncidentFilter = (eventId, { status, category, severity, reportedBy, from, to } = {}) => {
+  const filter = { eventId: new mongoose.Types.ObjectId(eventId) };
+
+  if (status) filter.status = { $in: status.split(',') };
+  if (category) filter.category = { $in: category.split(',') };
+  if (severity) filter.severity = { $in: severity.split(',') };
+  if (reportedBy) filter.reportedBy = new mongoose.Types.ObjectId(reportedBy);
+
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = new Date(from);
+    if (to) filter.occurredAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Page through an event's incidents, most recent first.
+// Returns { incidents, pagination, statuses } where statuses counts every
+// matching incident by status.
+const findIncidents = async (eventId, query = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+  const filter = buildIncidentFilter(eventId, query);
+
+  const [incidents, total, statusCounts] = await Promise.all([
+    Incident.find(filter)
+      .populate('reportedBy', 'firstName lastName email')
+      .populate('resolution.resolvedBy', 'firstName lastName')
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    Incident.countDocuments(filter),
+    Incident.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    incidents,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalIncidents: total
+    },
+    statuses: statusCounts.reduce((acc, group) => {
+      acc[group._id] = group.count;
+      return acc;
+    }, {})
+  };
+};
+
+// Quote a CSV value. Values starting with a formula character are prefixed
+// so spreadsheets show them as text instead of running them.
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const personName = (user) => (user?.firstName ? `${user.firstName} ${user.lastName}` : '');
+
+const INCIDENT_CSV_COLUMNS = [
+  ['Incident ID', incident => incident._id],
+  ['Occurred at', incident => incident.occurredAt],
+  ['Reported at', incident => incident.createdAt],
+  ['Category', incident => incident.category],
+  ['Severity', incident => incident.severity],
+  ['Status', incident => incident.status],
+  ['Gate', incident => incident.location?.gate],
+  ['Zone', incident => incident.location?.zone],
+  ['Location', incident => incident.location?.description],
+  ['Description', incident => incident.description],
+  ['Tickets', incident => incident.tickets.map(ticket => ticket.ticketNumber).join(' ')],
+  ['Reported by', incident => personName(incident.reportedBy)],
+  ['Reporter email', incident => incident.reportedBy?.email],
+  ['Resolution', incident => incident.resolution?.note],
+  ['Resolved by', incident => personName(incident.resolution?.resolvedBy)],
+  ['Resolved at', incident => incident.resolution?.resolvedAt]
+];
+
+// Every incident matching the query as CSV, oldest first, for the host's
+// safety records
+const exportIncidentsCsv = async (eventId, query = {}) => {
+  const incidents = await Incident.find(buildIncidentFilter(eventId, query))
+    .populate('reportedBy', 'firstName lastName email')
+    .populate('resolution.resolvedBy', 'firstName lastName')
+    .sort({ occurredAt: 1 });
+
+  const rows = [
+    INCIDENT_CSV_COLUMNS.map(([header]) => header),
+    ...incidents.map(incident => INCIDENT_CSV_COLUMNS.map(([, read]) => read(incident)))
+  ];
+
+  return {
+    csv: rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n',
+    count: incidents.length
+  };
+};
+
+module.exports = {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  exportIncidentsCsv,
+  findIncidents,
+  reportIncident,
+  updateIncident
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const { issueTicket } = require('./ticketService');
+const { releaseSeats } = require('./capacityService');
+const { getUnitPrice } = require('./ticketTypeService');
+const { findApplicablePromoCode, roundAmount } = require('./promoCodeService');
+const { calculateRefund } = require('./refundPolicyService');
+const { publishAttendanceEvent } = require('./attendanceStreamService');
+const { promoteWaitlistQuietly } = require('./waitlistService');
+
+// Most tickets one checkout can buy
+const MAX_TICKETS_PER_ORDER = parseInt(process.env.MAX_TICKETS_PER_ORDER) || 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Generate a human readable order number
+const generateOrderNumber = () => {
+  return `ORD${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Validate the quantity and guest list of a booking request. Guests are
+// optional; when given there can be at most one per ticket.
+// Returns { quantity, guests } or { error }.
+const parseOrderRequest = ({ quantity = 1, guests = [] } = {}) => {
+  const count = Number(quantity);
+
+  if (!Number.isInteger(count) || count < 1) {
+    return { error: 'Quantity must be a whole number of at least 1' };
+  }
+
+  if (count > MAX_TICKETS_PER_ORDER) {
+    return { error: `You can book at most ${MAX_TICKETS_PER_ORDER} tickets per order` };
+  }
+
+  if (!Array.isArray(guests)) {
+    return { error: 'Guests must be a list' };
+  }
+
+  if (guests.length > count) {
+    return { error: 'There are more guests than tickets in the order' };
+  }
+
+  for (const guest of guests) {
+    if (guest?.email && !EMAIL_PATTERN.test(guest.email)) {
+      return { error: `Invalid email address for guest ${guest.name || guest.email}` };
+    }
+  }
+
+  return {
+    quantity: count,
+    guests: guests.map(guest => ({
+      name: guest?.name?.trim(),
+      email: guest?.email?.trim().toLowerCase()
+    }))
+  };
+};
+
+// Work out what an order costs, applying a promo code if one was given.
+// Returns { unitPrice, subtotal, discountAmount, totalAmount, promoCode }
+// or { error }.
+const priceOrder = async ({ event, ticketType, quantity, code, userId }) => {
+  const unitPrice = getUnitPrice(event, ticketType);
+  const subtotal = roundAmount(unitPrice * quantity);
+
+  if (!code) {
+    return { unitPrice, subtotal, discountAmount: 0, totalAmount: subtotal, promoCode: null };
+  }
+
+  if (subtotal === 0) {
+    return { error: 'Promo codes cannot be applied to free tickets' };
+  }
+
+  const { promoCode, discountAmount, error } = await findApplicablePromoCode({ code, event, userId, subtotal });
+  if (error) {
+    return { error };
+  }
+
+  return {
+    unitPrice,
+    subtotal,
+    discountAmount,
+    totalAmount: roundAmount(subtotal - discountAmount),
+    promoCode
+  };
+};
+
+// Split an amount into `parts` shares that add back up to it exactly
+const splitAmount = (amount, parts) => {
+  const cents = Math.round(amount * 100);
+  const share = Math.floor(cents / parts);
+
+  return Array.from({ length: parts }, (_, index) => (share + (index < cents % parts ? 1 : 0)) / 100);
+};
+
+// Create a confirmed order and issue one ticket per seat, each named for its
+// guest when one was given. A discount is spread across the tickets so their
+// prices add up to the order total. The caller must already have reserved
+// the seats and should release them again if this throws.
+const placeOrder = async ({
+  eventId,
+  purchaserId,
+  paymentId,
+  quantity = 1,
+  guests = [],
+  unitPrice = 0,
+  discountAmount = 0,
+  promoCode = null,
+  currency,
+  paymentStatus = 'completed',
+  attendeeInfo = {},
+  ticketType = null,
+  salesChannel = 'online'
+}) => {
+  const subtotal = roundAmount(unitPrice * quantity);
+  const totalAmount = roundAmount(subtotal - discountAmount);
+
+  const order = await Order.create({
+    orderNumber: generateOrderNumber(),
+    eventId,
+    purchaserId,
+    ticketTypeId: ticketType?._id,
+    ticketTypeName: ticketType?.name,
+    quantity,
+    unitPrice,
+    subtotal,
+    discountAmount,
+    promoCode,
+    totalAmount,
+    currency,
+    paymentId,
+    guests
+  });
+
+  const prices = splitAmount(totalAmount, quantity);
+  const discounts = splitAmount(discountAmount, quantity);
+  const tickets = [];
+
+  try {
+    for (let i = 0; i < quantity; i++) {
+      tickets.push(await issueTicket({
+        eventId,
+        attendeeId: purchaserId,
+        paymentId,
+        pricePaid: prices[i],
+        discountAmount: discounts[i],
+        promoCode,
+        paymentStatus,
+        attendeeInfo,
+        ticketType,
+        orderId: order._id,
+        guest: guests[i],
+        salesChannel
+      }));
+    }
+  } catch (error) {
+    await Ticket.deleteMany({ _id: { $in: tickets.map(ticket => ticket._id) } });
+    await Order.deleteOne({ _id: order._id });
+    throw error;
+  }
+
+  order.tickets = tickets.map(ticket => ticket._id);
+  await order.save();
+
+  publishAttendanceEvent(eventId, 'booking', {
+    orderNumber: order.orderNumber,
+    quantity,
+    ticketType: ticketType?.name || null
+  });
+
+  return { order, tickets };
+};
+
+// Recompute an order's status from the state of its tickets
+const syncOrderStatus = async (orderId) => {
+  const tickets = await Ticket.find({ orderId }).select('status');
+  const cancelledCount = tickets.filter(ticket => ticket.status === 'cancelled').length;
+
+  let status = 'confirmed';
+  if (cancelledCount > 0) {
+    status = cancelledCount === tickets.length ? 'cancelled' : 'partially_cancelled';
+  }
+
+  const update = { status };
+  if (status === 'cancelled') update.cancelledAt = new Date();
+
+  return Order.findByIdAndUpdate(orderId, update, { new: true });
+};
+
+// Cancel an active ticket, give its seat back and update its order.
+// `refundedTo` is the user who paid and is being refunded.
+// Returns false if the ticket was no longer active.
+const cancelTicket = async (ticket, { reason, refundAmount = 0, refundedTo } = {}) => {
+  const update = {
+    status: 'cancelled',
+    cancellation: {
+      isCancelled: true,
+      cancellationDate: new Date(),
+      cancellationReason: reason,
+      refundAmount,
+      refundedTo: refundAmount > 0 ? refundedTo : undefined
+    }
+  };
+  // refundPayment marks it refunded once the gateway confirms the refund
+  if (refundAmount > 0) update.paymentStatus = 'refund_pending';
+
+  // Only one request can move a ticket out of active
+  const cancelled = await Ticket.updateOne({ _id: ticket._id, status: 'active' }, update);
+
+  if (cancelled.modifiedCount === 0) {
+    return false;
+  }
+
+  await releaseSeats(ticket.eventId._id, 1, ticket.ticketTypeId);
+
+  // Offer the seat to the next person waiting for one
+  await promoteWaitlistQuietly(ticket.eventId._id);
+
+  if (ticket.orderId) {
+    await syncOrderStatus(ticket.orderId);
+  }
+
+  publishAttendanceEvent(ticket.eventId, 'cancellation', {
+    ticketNumber: ticket.ticketNumber,
+    ticketType: ticket.ticketTypeName || null
+  });
+
+  return true;
+};
+
+// A ticket as listed in an order, for the user viewing the order. Tickets
+// they transferred away keep appearing there, but without the QR code,
+// which now belongs to the new holder.
+const orderTicketView = (ticket, userId) => {
+  const view = typeof ticket.toObject === 'function' ? ticket.toObject() : { ...ticket };
+  const holderId = view.attendeeId?._id || view.attendeeId;
+
+  if (!holderId || holderId.toString() === userId.toString()) {
+    return view;
+  }
+
+  delete view.qrCodeUrl;
+  delete view.qrCodeData;
+  return { ...view, transferred: true };
+};
+
+// Cancel every active ticket in an order that the purchaser still holds
+// (transferred tickets belong to their new holder), working out each
+// ticket's refund from the event's refund policy. Refunds are not sent
+// here; the caller passes the returned list to refundTickets.
+// Returns { cancelled: [{ ticket, amount }] }, or { error } if the policy
+// does not allow cancelling now.
+const cancelOrder = async (order, event, { reason } = {}) => {
+  const tickets = await Ticket.find({ orderId: order._id, status: 'active', attendeeId: order.purchaserId });
+  const refunds = tickets.map(ticket => calculateRefund(event, ticket));
+
+  const refused = refunds.find(refund => !refund.allowed);
+  if (refused) {
+    return { error: refused.reason };
+  }
+
+  const cancelled = [];
+
+  for (const [index, ticket] of tickets.entries()) {
+    const amount = refunds[index].refundAmount;
+
+    if (await cancelTicket(ticket, { reason, refundAmount: amount, refundedTo: order.purchaserId })) {
+      cancelled.push({ ticket, amount });
+    }
+  }
+
+  return { cancelled };
+};
+
+module.exports = {
+  MAX_TICKETS_PER_ORDER,
+  cancelOrder,
+  cancelTicket,
+  orderTicketView,
+  parseOrderRequest,
+  placeOrder,
+  priceOrder,
+  syncOrderStatus
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { PaymentGateway } = require('./PaymentGateway');
+
+// In-process gateway used for development and demos.
+// Payments are approved 95% of the time after a short simulated delay.
+class DemoPaymentGateway extends PaymentGateway {
+  constructor({ secret, webhookSecret, successRate = 0.95, minDelayMs = 1000, maxDelayMs = 3000 } = {}) {
+    super('DemoPaymentGateway');
+    this.secret = secret;
+    this.webhookSecret = webhookSecret;
+    this.successRate = successRate;
+    this.minDelayMs = minDelayMs;
+    this.maxDelayMs = maxDelayMs;
+  }
+
+  async createOrder({ amount, currency }) {
+    return {
+      orderId: `order_DEMO${crypto.randomBytes(7).toString('hex').toUpperCase()}`,
+      amount,
+      currency,
+      status: 'pending',
+      raw: null
+    };
+  }
+
+  // Demo checkouts are unsigned. A signature is only checked when one is sent.
+  verifySignature({ orderId, paymentId, signature }) {
+    if (!signature) {
+      return true;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  async capturePayment({ paymentId }) {
+    const delay = Math.floor(Math.random() * (this.maxDelayMs - this.minDelayMs)) + this.minDelayMs;
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    const gatewayPaymentId = paymentId || `pay_DEMO${crypto.randomBytes(7).toString('hex').toUpperCase()}`;
+    const isSuccessful = Math.random() < this.successRate;
+
+    if (!isSuccessful) {
+      return {
+        paymentId: gatewayPaymentId,
+        status: 'failed',
+        error: {
+          code: 'INSUFFICIENT_FUNDS',
+          message: 'Insufficient funds (demo)'
+        },
+        raw: { approved: false, processingTime: delay }
+      };
+    }
+
+    return {
+      paymentId: gatewayPaymentId,
+      status: 'completed',
+      raw: { approved: true, processingTime: delay }
+    };
+  }
+
+  async refundPayment({ amount }) {
+    return {
+      refundId: `rfnd_DEMO${crypto.randomBytes(7).toString('hex').toUpperCase()}`,
+      amount,
+      status: 'completed',
+      raw: null
+    };
+  }
+
+  // Demo webhooks are signed with an HMAC-SHA256 of the body in X-Demo-Signature.
+  // Without DEMO_WEBHOOK_SECRET nothing is accepted.
+  verifyWebhookSignature({ rawBody, headers }) {
+    const signature = headers['x-demo-signature'];
+
+    if (!signature || !rawBody || !this.webhookSecret) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  // Demo events already use our event types:
+  // { id, type, data: { orderId, paymentId, refundId, amount, error } }
+  parseWebhookEvent({ body }) {
+    const data = body.data || {};
+
+    return {
+      eventId: body.id,
+      type: ['payment.completed', 'payment.failed', 'payment.refunded'].includes(body.type) ? body.type : null,
+      gatewayOrderId: data.orderId,
+      gatewayPaymentId: data.paymentId,
+      refundId: data.refundId,
+      amount: data.amount,
+      error: data.error,
+      raw: body
+    };
+  }
+
+  // The demo gateway keeps no state; the Payment record is the source of truth
+  async fetchPaymentStatus(paymentId) {
+    return {
+      paymentId,
+      status: null,
+      raw: null
+    };
+  }
+}
+
+module.exports = DemoPaymentGateway;
@@ -0,0 +1,71 @@
+// Base class every payment gateway driver extends.
+// Amounts are always in major currency units (e.g. 49.99) and statuses are
+// normalised to the values used by the Payment model.
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Public details the client needs to open the gateway checkout
+  getCheckoutConfig() {
+    return {};
+  }
+
+  // Create a gateway order for the given amount.
+  // Resolves to { orderId, amount, currency, status, raw }
+  async createOrder({ amount, currency, receipt, notes }) {
+    throw new Error(`${this.name} does not implement createOrder`);
+  }
+
+  // Check the signature the client received from the gateway checkout
+  verifySignature({ orderId, paymentId, signature }) {
+    throw new Error(`${this.name} does not implement verifySignature`);
+  }
+
+  // Capture an authorised payment.
+  // Resolves to { paymentId, status, error, raw }
+  async capturePayment({ paymentId, amount, currency }) {
+    throw new Error(`${this.name} does not implement capturePayment`);
+  }
+
+  // Refund all or part of a captured payment.
+  // Resolves to { refundId, amount, status, raw }
+  async refundPayment({ paymentId, amount, notes }) {
+    throw new Error(`${this.name} does not implement refundPayment`);
+  }
+
+  // Check the signature on a webhook request against the raw request body
+  verifyWebhookSignature({ rawBody, headers }) {
+    throw new Error(`${this.name} does not implement verifyWebhookSignature`);
+  }
+
+  // Normalise a webhook request body.
+  // Returns { eventId, type, gatewayOrderId, gatewayPaymentId, refundId, amount, error, raw }
+  // where type is payment.completed, payment.failed, payment.refunded or
+  // null for events we do not act on.
+  parseWebhookEvent({ body, headers }) {
+    throw new Error(`${this.name} does not implement parseWebhookEvent`);
+  }
+
+  // Fetch the current status of a payment from the gateway.
+  // Resolves to { paymentId, status, raw }
+  async fetchPaymentStatus(paymentId) {
+    throw new Error(`${this.name} does not implement fetchPaymentStatus`);
+  }
+}
+
+// Error raised when the gateway rejects a request or cannot be reached
+class PaymentGatewayError extends Error {
+  constructor(message, { code, statusCode = 502, details } = {}) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  PaymentGateway,
+  PaymentGatewayError
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { PaymentGateway, PaymentGatewayError } = require('./PaymentGateway');
+
+const DEFAULT_API_URL = 'https://api.razorpay.com';
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Razorpay payment statuses mapped to Payment.status
+const STATUS_MAP = {
+  created: 'pending',
+  authorized: 'processing',
+  captured: 'completed',
+  refunded: 'refunded',
+  failed: 'failed'
+};
+
+// Razorpay webhook events mapped to our event types
+const WEBHOOK_EVENT_MAP = {
+  'payment.captured': 'payment.completed',
+  'order.paid': 'payment.completed',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'payment.refunded'
+};
+
+// Razorpay works in the smallest currency unit (paise, cents)
+const toSubunits = (amount) => Math.round(amount * 100);
+const fromSubunits = (amount) => amount / 100;
+
+// Failed API calls reject with plain { statusCode, error } objects; anything
+// without a status code never got a response
+const toGatewayError = (error) => {
+  if (!error?.statusCode) {
+    return new PaymentGatewayError('Could not reach Razorpay', {
+      code: 'GATEWAY_UNREACHABLE',
+      details: error.message
+    });
+  }
+
+  return new PaymentGatewayError(error?.error?.description || 'Razorpay request failed', {
+    code: error?.error?.code,
+    statusCode: error?.statusCode >= 500 ? 502 : 400,
+    details: error?.error
+  });
+};
+
+class RazorpayGateway extends PaymentGateway {
+  constructor({ keyId, keySecret, webhookSecret, apiUrl } = {}) {
+    super('Razorpay');
+
+    if (!keyId || !keySecret) {
+      throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set to use Razorpay');
+    }
+
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    // Another host can be given, e.g. a local stub of the Razorpay API
+    this.apiUrl = new URL(apiUrl || DEFAULT_API_URL);
+  }
+
+  // Call the Razorpay REST API (v1). Resolves to the response body; rejects
+  // with { statusCode, error } for error responses.
+  request(method, path, body) {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const transport = this.apiUrl.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(new URL(`/v1${path}`, this.apiUrl), {
+        method,
+        auth: `${this.keyId}:${this.keySecret}`,
+        headers: payload
+          ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+          : {},
+        timeout: REQUEST_TIMEOUT_MS
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            return reject(new Error(`Unexpected response from Razorpay (HTTP ${res.statusCode})`));
+          }
+
+          if (res.statusCode >= 400) {
+            return reject({ statusCode: res.statusCode, error: parsed.error });
+          }
+          resolve(parsed);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Razorpay request timed out')));
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  getCheckoutConfig() {
+    return { keyId: this.keyId };
+  }
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    try {
+      const order = await this.request('POST', '/orders', {
+        amount: toSubunits(amount),
+        currency,
+        receipt,
+        notes
+      });
+
+      return {
+        orderId: order.id,
+        amount: fromSubunits(order.amount),
+        currency: order.currency,
+        status: 'pending',
+        raw: order
+      };
+    } catch (error) {
+      throw toGatewayError(error);
+    }
+  }
+
+  verifySignature({ orderId, paymentId, signature }) {
+    if (!orderId || !paymentId || !signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.keySecret)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  // Payments may already be captured when auto-capture is enabled on the account
+  async capturePayment({ paymentId, amount, currency }) {
+    try {
+      const path = `/payments/${encodeURIComponent(paymentId)}`;
+      let payment = await this.request('GET', path);
+
+      if (payment.status === 'authorized') {
+        payment = await this.request('POST', `${path}/capture`, { amount: toSubunits(amount), currency });
+      }
+
+      const status = STATUS_MAP[payment.status] || 'failed';
+
+      return {
+        paymentId: payment.id,
+        status,
+        error: status === 'failed'
+          ? { code: payment.error_code, message: payment.error_description }
+          : undefined,
+        raw: payment
+      };
+    } catch (error) {
+      throw toGatewayError(error);
+    }
+  }
+
+  async refundPayment({ paymentId, amount, notes }) {
+    try {
+      const refund = await this.request('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, {
+        amount: toSubunits(amount),
+        notes
+      });
+
+      return {
+        refundId: refund.id,
+        amount: fromSubunits(refund.amount),
+        status: refund.status === 'failed' ? 'failed' : 'completed',
+        raw: refund
+      };
+    } catch (error) {
+      throw toGatewayError(error);
+    }
+  }
+
+  verifyWebhookSignature({ rawBody, headers }) {
+    const signature = headers['x-razorpay-signature'];
+
+    if (!signature || !rawBody || !this.webhookSecret) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  parseWebhookEvent({ body, headers }) {
+    const payment = body.payload?.payment?.entity || {};
+    const refund = body.payload?.refund?.entity;
+    const type = WEBHOOK_EVENT_MAP[body.event] || null;
+
+    return {
+      // Razorpay sends a unique id per event in a header
+      eventId: headers['x-razorpay-event-id'] || `${body.event}:${refund?.id || payment.id}`,
+      type,
+      gatewayOrderId: payment.order_id || body.payload?.order?.entity?.id,
+      gatewayPaymentId: payment.id || refund?.payment_id,
+      refundId: refund?.id,
+      amount: refund ? fromSubunits(refund.amount) : undefined,
+      error: type === 'payment.failed'
+        ? { code: payment.error_code, message: payment.error_description }
+        : undefined,
+      raw: body
+    };
+  }
+
+  async fetchPaymentStatus(paymentId) {
+    try {
+      const payment = await this.request('GET', `/payments/${encodeURIComponent(paymentId)}`);
+
+      return {
+        paymentId: payment.id,
+        status: STATUS_MAP[payment.status] || null,
+        raw: payment
+      };
+    } catch (error) {
+      throw toGatewayError(error);
+    }
+  }
+}
+
+module.exports = RazorpayGateway;
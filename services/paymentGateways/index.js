@@ -0,0 +1,48 @@
+const DemoPaymentGateway = require('./DemoPaymentGateway');
+const RazorpayGateway = require('./RazorpayGateway');
+const { PaymentGateway, PaymentGatewayError } = require('./PaymentGateway');
+
+// Available drivers, keyed by the PAYMENT_GATEWAY setting
+const drivers = {
+  demo: () => new DemoPaymentGateway({
+    secret: process.env.DEMO_GATEWAY_SECRET || 'demo-gateway-secret',
+    // No default: without a secret every demo webhook is rejected
+    webhookSecret: process.env.DEMO_WEBHOOK_SECRET
+  }),
+  razorpay: () => new RazorpayGateway({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    apiUrl: process.env.RAZORPAY_API_URL
+  })
+};
+
+// Gateway names as stored in Payment.gateway.name
+const driverNames = {
+  DemoPaymentGateway: 'demo',
+  Razorpay: 'razorpay'
+};
+
+const instances = {};
+
+// Get a gateway by driver key ('demo', 'razorpay') or by the name stored on a
+// Payment. Defaults to the configured PAYMENT_GATEWAY.
+const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || 'demo') => {
+  const key = driverNames[name] || name.toLowerCase();
+
+  if (!drivers[key]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  if (!instances[key]) {
+    instances[key] = drivers[key]();
+  }
+
+  return instances[key];
+};
+
+module.exports = {
+  getPaymentGateway,
+  PaymentGateway,
+  PaymentGatewayError
+};
@@ -0,0 +1,413 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const { cancelTicket, placeOrder } = require('./orderService');
+const { claimSeats, releaseSeats } = require('./capacityService');
+const { HOLD_MINUTES, convertHoldForPayment, releaseHoldForPayment } = require('./seatHoldService');
+const { redeemPromoRedemption, releasePromoRedemption, roundAmount } = require('./promoCodeService');
+const { getPaymentGateway } = require('./paymentGateways');
+
+// Mark a payment completed and place its order, issuing one ticket per seat.
+// Both the verify request and the gateway webhook can complete a payment, so
+// the status change is claimed atomically and only the winner issues tickets.
+// Failed payments are never completed: their seats and promo code use have
+// already been given back.
+// Returns { payment, order, tickets, ticket } with the latest payment state;
+// ticket is the first ticket of the order.
+const completePayment = async (payment, { gatewayTransactionId, gatewayResponse } = {}) => {
+  const update = {
+    status: 'completed',
+    completedAt: new Date(),
+    $unset: { error: 1, failedAt: 1 }
+  };
+  if (gatewayTransactionId) update['gateway.gatewayTransactionId'] = gatewayTransactionId;
+  if (gatewayResponse) update['gateway.gatewayResponse'] = gatewayResponse;
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['pending', 'processing'] } },
+    update,
+    { new: true }
+  );
+
+  // Already completed elsewhere, hand back what was issued
+  if (!claimed) {
+    const current = await Payment.findById(payment._id);
+    const order = current?.order ? await Order.findById(current.order) : null;
+    const tickets = current ? await Ticket.find({ paymentId: current.paymentId }) : [];
+    return { payment: current, order, tickets, ticket: tickets[0] || null };
+  }
+
+  // Use the seats held during checkout, or take them now if the hold lapsed
+  const booking = claimed.booking || {};
+  const ticketTypeId = booking.ticketTypeId;
+  const quantity = booking.quantity || 1;
+  const seatsReserved = await convertHoldForPayment(claimed.paymentId) ||
+    await claimSeats(claimed.eventId, quantity, ticketTypeId);
+
+  if (!seatsReserved) {
+    const refunded = await refundUnfulfilledPayment(claimed, 'Event sold out before payment completed');
+    return { payment: refunded, order: null, tickets: [], ticket: null };
+  }
+
+  let order;
+  let tickets;
+
+  try {
+    ({ order, tickets } = await placeOrder({
+      eventId: claimed.eventId,
+      purchaserId: claimed.userId,
+      paymentId: claimed.paymentId,
+      quantity,
+      guests: booking.guests || [],
+      unitPrice: booking.unitPrice ?? claimed.amount / quantity,
+      discountAmount: claimed.discount?.amount || 0,
+      promoCode: claimed.discount?.code,
+      currency: claimed.currency,
+      paymentStatus: 'completed',
+      attendeeInfo: booking.attendeeInfo || {},
+      ticketType: ticketTypeId && { _id: ticketTypeId, name: booking.ticketTypeName }
+    }));
+  } catch (error) {
+    await releaseSeats(claimed.eventId, quantity, ticketTypeId);
+    await failPayment(claimed, {
+      code: 'TICKET_ISSUE_FAILED',
+      message: 'Payment received but the ticket could not be issued',
+      details: error.message
+    });
+    throw error;
+  }
+
+  claimed.order = order._id;
+  claimed.ticketId = tickets[0]._id;
+  await claimed.save();
+
+  await redeemPromoRedemption({ paymentId: claimed.paymentId }, order._id);
+
+  return { payment: claimed, order, tickets, ticket: tickets[0] };
+};
+
+// Mark a payment failed with the reason reported by the gateway and give
+// its held seats and promo code use back
+const failPayment = async (payment, { code, message, details } = {}) => {
+  payment.status = 'failed';
+  payment.failedAt = new Date();
+  payment.error = { code, message, details };
+
+  await payment.save();
+  await releaseHoldForPayment(payment.paymentId);
+  await releasePromoRedemption({ paymentId: payment.paymentId });
+
+  return payment;
+};
+
+// Payment states that still have money left to refund
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Send money back for a payment we could not turn into tickets
+const refundUnfulfilledPayment = async (payment, reason) => {
+  await releasePromoRedemption({ paymentId: payment.paymentId });
+
+  const { payment: refunded, refund } = await issueRefund(payment, { amount: payment.amount, reason });
+
+  if (refund.status === 'failed') {
+    return failPayment(refunded, {
+      code: 'REFUND_REQUIRED',
+      message: `${reason}. The payment must be refunded manually.`,
+      details: refund.error
+    });
+  }
+
+  return refunded;
+};
+
+// Record a refund against a payment. Refunds are listed in payment.refund;
+// the payment is partially_refunded until everything paid has been returned,
+// at which point its remaining tickets are cancelled and their seats freed.
+// A refund whose refundId is already recorded is ignored, since gateways
+// report refunds we started ourselves through the webhook as well.
+const refundPayment = async (payment, { refundId, amount, reason, ticketIds = [], status = 'processed', error } = {}) => {
+  const alreadyRefunded = payment.refund?.refundAmount || 0;
+  const refundAmount = amount ?? payment.amount - alreadyRefunded;
+  const refundReason = reason || 'Refunded';
+
+  const filter = { _id: payment._id };
+  if (refundId) filter['refund.refunds.refundId'] = { $ne: refundId };
+
+  const update = {
+    $push: {
+      'refund.refunds': { refundId, amount: refundAmount, reason: refundReason, ticketIds, status, error }
+    }
+  };
+
+  if (status === 'processed') {
+    update.$inc = { 'refund.refundAmount': refundAmount };
+    update.$set = {
+      'refund.isRefunded': true,
+      'refund.refundId': refundId,
+      'refund.refundDate': new Date(),
+      'refund.refundReason': refundReason
+    };
+  }
+
+  const updated = await Payment.findOneAndUpdate(filter, update, { new: true });
+
+  if (updated && status === 'failed' && ticketIds.length > 0) {
+    await Ticket.updateMany({ _id: { $in: ticketIds } }, { paymentStatus: 'refund_failed' });
+  }
+
+  if (!updated || status !== 'processed') {
+    return updated || Payment.findById(payment._id);
+  }
+
+  const fullyRefunded = updated.refund.refundAmount >= updated.amount;
+  updated.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  await updated.save();
+
+  if (fullyRefunded) {
+    const tickets = await Ticket.find({ paymentId: updated.paymentId, status: 'active' });
+
+    for (const ticket of tickets) {
+      await cancelTicket(ticket, { reason: refundReason, refundAmount: ticket.pricePaid, refundedTo: updated.userId });
+    }
+  }
+
+  // After cancelling, which marks tickets refund_pending, since this refund
+  // has been confirmed
+  const ticketFilter = fullyRefunded ? { paymentId: updated.paymentId } : { _id: { $in: ticketIds } };
+  await Ticket.updateMany(ticketFilter, { paymentStatus: 'refunded' });
+
+  return updated;
+};
+
+// Return money to the attendee through the payment's gateway and record it.
+// A refund the gateway refuses is recorded as failed for manual follow-up
+// rather than thrown, so the caller's cancellation still stands.
+// Returns { payment, refund } with the recorded refund entry.
+const issueRefund = async (payment, { amount, reason, ticketIds = [] }) => {
+  const remaining = payment.amount - (payment.refund?.refundAmount || 0);
+  const refundAmount = Math.min(amount, remaining);
+  let recorded;
+
+  try {
+    const gateway = getPaymentGateway(payment.gateway.name);
+    const refund = await gateway.refundPayment({
+      paymentId: payment.gateway.gatewayTransactionId,
+      amount: refundAmount,
+      notes: { reason }
+    });
+
+    recorded = await refundPayment(payment, {
+      refundId: refund.refundId,
+      amount: refund.amount ?? refundAmount,
+      reason,
+      ticketIds,
+      status: refund.status === 'failed' ? 'failed' : 'processed'
+    });
+  } catch (error) {
+    console.error('Refund failed for payment', payment.paymentId, error);
+    recorded = await refundPayment(payment, {
+      amount: refundAmount,
+      reason,
+      ticketIds,
+      status: 'failed',
+      error: error.message
+    });
+  }
+
+  const refunds = recorded.refund.refunds;
+  return { payment: recorded, refund: refunds[refunds.length - 1] };
+};
+
+// Refund cancelled tickets, one gateway refund per payment.
+// `refunds` is a list of { ticket, amount }. Returns the total refunded and
+// whether any refund failed at the gateway.
+const refundTickets = async (refunds, reason) => {
+  const byPayment = new Map();
+
+  for (const { ticket, amount } of refunds) {
+    if (amount <= 0) continue;
+
+    const entry = byPayment.get(ticket.paymentId) || { amount: 0, ticketIds: [] };
+    entry.amount += amount;
+    entry.ticketIds.push(ticket._id);
+    byPayment.set(ticket.paymentId, entry);
+  }
+
+  let refundedAmount = 0;
+  let failed = false;
+
+  for (const [paymentId, { amount, ticketIds }] of byPayment) {
+    const payment = await Payment.findOne({ paymentId, status: { $in: REFUNDABLE_STATUSES } });
+    if (!payment) {
+      await Ticket.updateMany({ _id: { $in: ticketIds } }, { paymentStatus: 'refund_failed' });
+      failed = true;
+      continue;
+    }
+
+    const { refund } = await issueRefund(payment, { amount: roundAmount(amount), reason, ticketIds });
+
+    if (refund.status === 'failed') {
+      failed = true;
+    } else {
+      refundedAmount += refund.amount;
+    }
+  }
+
+  return { refundedAmount: roundAmount(refundedAmount), failed };
+};
+
+// Move a pending payment to processing. Returns null if another request
+// already picked it up, so a payment is only ever processed once.
+const startProcessing = async (paymentId, userId) => {
+  return Payment.findOneAndUpdate(
+    { paymentId, userId, status: 'pending' },
+    { status: 'processing' },
+    { new: true }
+  );
+};
+
+// Extra time a payment may stay processing past its seat hold before it is
+// reconciled with the gateway, e.g. after a capture request that timed out
+const PROCESSING_GRACE_MINUTES = parseInt(process.env.PAYMENT_PROCESSING_GRACE_MINUTES) || 15;
+
+// Settle payments stuck in processing by asking their gateway what happened.
+// Captured payments are completed; anything else is failed so its held seats
+// go back on sale (a capture reported later by webhook is flagged for a
+// manual refund). Payments whose gateway cannot be reached are retried on
+// the next run. Returns the number of payments settled.
+const reconcileStalePayments = async () => {
+  const cutoff = new Date(Date.now() - (HOLD_MINUTES + PROCESSING_GRACE_MINUTES) * 60 * 1000);
+  const payments = await Payment.find({ status: 'processing', updatedAt: { $lte: cutoff } }).limit(100);
+  let settled = 0;
+
+  for (const payment of payments) {
+    try {
+      const transactionId = payment.gateway.gatewayTransactionId;
+      const gatewayPayment = transactionId
+        ? await getPaymentGateway(payment.gateway.name).fetchPaymentStatus(transactionId)
+        : { status: null };
+
+      if (gatewayPayment.status === 'completed') {
+        await completePayment(payment, { gatewayTransactionId: transactionId, gatewayResponse: gatewayPayment.raw });
+      } else {
+        // Only fail it if nothing else settled it meanwhile
+        const current = await Payment.findOne({ _id: payment._id, status: 'processing' });
+        if (!current) continue;
+
+        await failPayment(current, gatewayPayment.status === 'failed'
+          ? { code: 'GATEWAY_FAILED', message: 'Payment failed at the gateway' }
+          : { code: 'PAYMENT_UNCONFIRMED', message: 'The payment was not confirmed in time. Please start checkout again.' });
+      }
+
+      settled++;
+    } catch (error) {
+      console.error('Payment reconciliation error for', payment.paymentId, error.message);
+    }
+  }
+
+  return settled;
+};
+
+// Periodically reconcile payments stuck in processing
+const startPaymentReconciler = (intervalMs = 5 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const settled = await reconcileStalePayments();
+      if (settled > 0) {
+        console.log(`🔄 Reconciled ${settled} stale processing payment(s)`);
+      }
+    } catch (error) {
+      console.error('Payment reconciler error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// Apply a parsed gateway webhook event to its payment.
+// Returns a short description of what happened, for the webhook log.
+const applyGatewayEvent = async (gatewayName, event) => {
+  const lookup = [];
+  if (event.gatewayOrderId) lookup.push({ orderId: event.gatewayOrderId });
+  if (event.gatewayPaymentId) lookup.push({ 'gateway.gatewayTransactionId': event.gatewayPaymentId });
+
+  if (lookup.length === 0) {
+    return 'ignored: no payment reference';
+  }
+
+  const payment = await Payment.findOne({ 'gateway.name': gatewayName, $or: lookup });
+
+  if (!payment) {
+    return 'ignored: unknown payment';
+  }
+
+  switch (event.type) {
+    case 'payment.completed':
+      if (['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+        return `ignored: payment already ${payment.status}`;
+      }
+
+      // The gateway took the money after we gave up on the payment. Nothing
+      // is issued for it; it is flagged so the money is returned by hand.
+      if (payment.status === 'failed') {
+        if (payment.error?.code !== 'REFUND_REQUIRED') {
+          await Payment.updateOne({ _id: payment._id, status: 'failed' }, {
+            'gateway.gatewayTransactionId': event.gatewayPaymentId || payment.gateway.gatewayTransactionId,
+            error: {
+              code: 'REFUND_REQUIRED',
+              message: 'Payment was captured after it had failed. It must be refunded manually.',
+              details: payment.error
+            }
+          });
+        }
+        return 'ignored: payment already failed, flagged for manual refund';
+      }
+
+      await completePayment(payment, {
+        gatewayTransactionId: event.gatewayPaymentId,
+        gatewayResponse: event.raw
+      });
+      return 'payment completed';
+
+    case 'payment.failed':
+      if (!['pending', 'processing'].includes(payment.status)) {
+        return `ignored: payment already ${payment.status}`;
+      }
+
+      payment.gateway.gatewayTransactionId = event.gatewayPaymentId || payment.gateway.gatewayTransactionId;
+      await failPayment(payment, event.error || { code: 'GATEWAY_FAILED', message: 'Payment failed at the gateway' });
+      return 'payment failed';
+
+    case 'payment.refunded':
+      if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        return `ignored: payment is ${payment.status}`;
+      }
+
+      if (event.refundId && payment.refund?.refunds?.some(refund => refund.refundId === event.refundId)) {
+        return 'ignored: refund already recorded';
+      }
+
+      await refundPayment(payment, {
+        refundId: event.refundId,
+        amount: event.amount,
+        reason: 'Refunded at payment gateway'
+      });
+      return 'payment refunded';
+
+    default:
+      return `ignored: unhandled event type ${event.type}`;
+  }
+};
+
+module.exports = {
+  applyGatewayEvent,
+  completePayment,
+  failPayment,
+  issueRefund,
+  reconcileStalePayments,
+  refundPayment,
+  refundTickets,
+  startPaymentReconciler,
+  startProcessing
+};
@@ -0,0 +1,219 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Fields a host may set on a promo code; usedCount is managed by checkouts
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'events',
+  'maxUses', 'perUserLimit', 'validFrom', 'validUntil', 'isActive'
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// Validate a promo code sent by a host. With partial set only the fields
+// present are checked, for updates. Returns { promoCode } or { error }.
+const parsePromoCode = (input, { partial = false } = {}) => {
+  const promoCode = EDITABLE_FIELDS.reduce((acc, field) => {
+    if (input[field] !== undefined) acc[field] = input[field];
+    return acc;
+  }, {});
+
+  if (promoCode.code !== undefined || !partial) {
+    promoCode.code = String(promoCode.code || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(promoCode.code)) {
+      return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+    }
+  }
+
+  if (promoCode.discountType !== undefined || !partial) {
+    if (!['percentage', 'fixed'].includes(promoCode.discountType)) {
+      return { error: 'Discount type must be percentage or fixed' };
+    }
+  }
+
+  if (promoCode.discountValue !== undefined || !partial) {
+    promoCode.discountValue = Number(promoCode.discountValue);
+    if (!(promoCode.discountValue > 0)) {
+      return { error: 'Discount value must be greater than 0' };
+    }
+  }
+
+  if (promoCode.discountType === 'percentage' && promoCode.discountValue > 100) {
+    return { error: 'A percentage discount cannot be more than 100' };
+  }
+
+  for (const field of ['maxUses', 'perUserLimit']) {
+    if (promoCode[field] === null || promoCode[field] === '') {
+      promoCode[field] = undefined;
+    } else if (promoCode[field] !== undefined && !isPositiveInteger(promoCode[field])) {
+      return { error: `${field} must be a whole number of at least 1` };
+    }
+  }
+
+  if (promoCode.events !== undefined && !Array.isArray(promoCode.events)) {
+    return { error: 'Events must be a list of event IDs' };
+  }
+
+  if (promoCode.validFrom && promoCode.validUntil &&
+      new Date(promoCode.validUntil) <= new Date(promoCode.validFrom)) {
+    return { error: 'Promo code must expire after it becomes valid' };
+  }
+
+  return { promoCode };
+};
+
+// Amount a promo code takes off an order subtotal
+const calculateDiscount = (promoCode, subtotal) => {
+  if (promoCode.discountType === 'percentage') {
+    return roundAmount(subtotal * promoCode.discountValue / 100);
+  }
+
+  return roundAmount(Math.min(promoCode.discountValue, subtotal));
+};
+
+// Look up a code among the event host's codes and check it can be used by
+// this attendee for this event. Returns { promoCode, discountAmount } or
+// { error }.
+const findApplicablePromoCode = async ({ code, event, userId, subtotal }) => {
+  const promoCode = await PromoCode.findOne({ host: event.host, code: String(code).trim().toUpperCase() });
+
+  if (!promoCode || !promoCode.isActive) {
+    return { error: 'Invalid promo code' };
+  }
+
+  const appliesToEvent = promoCode.events.length === 0 ||
+    promoCode.events.some(id => id.toString() === event._id.toString());
+
+  if (!appliesToEvent) {
+    return { error: 'This promo code is not valid for this event' };
+  }
+
+  const now = new Date();
+
+  if (promoCode.validFrom && now < promoCode.validFrom) {
+    return { error: 'This promo code is not active yet' };
+  }
+
+  if (promoCode.validUntil && now > promoCode.validUntil) {
+    return { error: 'This promo code has expired' };
+  }
+
+  if (promoCode.maxUses && promoCode.usedCount >= promoCode.maxUses) {
+    return { error: 'This promo code has been fully redeemed' };
+  }
+
+  // An early answer for the attendee; reservePromoCode enforces the limit
+  if (promoCode.perUserLimit) {
+    const userUses = await PromoRedemption.countDocuments({
+      promoCodeId: promoCode._id,
+      userId,
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+
+    if (userUses >= promoCode.perUserLimit) {
+      return { error: 'You have already used this promo code the maximum number of times' };
+    }
+  }
+
+  return { promoCode, discountAmount: calculateDiscount(promoCode, subtotal) };
+};
+
+// Record a use of a promo code. With a per-user limit the use takes the
+// attendee's first free slot. Returns null if they have no slot left.
+const createRedemption = async (promoCode, fields) => {
+  if (!promoCode.perUserLimit) {
+    return PromoRedemption.create(fields);
+  }
+
+  for (let slot = 1; slot <= promoCode.perUserLimit; slot++) {
+    try {
+      return await PromoRedemption.create({ ...fields, slot });
+    } catch (error) {
+      // Slot taken by another use, try the next one
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return null;
+};
+
+// Take one use of a promo code for a checkout. The usage counter is only
+// incremented while uses remain and each of an attendee's uses takes its own
+// slot, so concurrent checkouts cannot go over maxUses or perUserLimit.
+// Returns { redemption }, or { error } if the code or the attendee's uses
+// ran out.
+const reservePromoCode = async (promoCode, { userId, eventId, paymentId, discountAmount }) => {
+  const filter = { _id: promoCode._id, isActive: true };
+  if (promoCode.maxUses) {
+    filter.$expr = { $lt: ['$usedCount', '$maxUses'] };
+  }
+
+  const reserved = await PromoCode.updateOne(filter, { $inc: { usedCount: 1 } });
+
+  if (reserved.modifiedCount === 0) {
+    return { error: 'This promo code has been fully redeemed' };
+  }
+
+  let redemption;
+  try {
+    redemption = await createRedemption(promoCode, {
+      promoCodeId: promoCode._id,
+      code: promoCode.code,
+      userId,
+      eventId,
+      paymentId,
+      discountAmount
+    });
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promoCode._id }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+
+  if (!redemption) {
+    await PromoCode.updateOne({ _id: promoCode._id }, { $inc: { usedCount: -1 } });
+    return { error: 'You have already used this promo code the maximum number of times' };
+  }
+
+  return { redemption };
+};
+
+// Give a reserved use back, e.g. when its checkout failed or lapsed.
+// `filter` selects the redemption, by _id or paymentId.
+const releasePromoRedemption = async (filter) => {
+  const released = await PromoRedemption.findOneAndUpdate(
+    { ...filter, status: 'reserved' },
+    { status: 'released', releasedAt: new Date(), $unset: { slot: 1 } },
+    { new: true }
+  );
+
+  if (!released) {
+    return false;
+  }
+
+  await PromoCode.updateOne(
+    { _id: released.promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return true;
+};
+
+// Mark a reserved use as redeemed by a placed order
+const redeemPromoRedemption = async (filter, orderId) => {
+  await PromoRedemption.updateOne(
+    { ...filter, status: 'reserved' },
+    { status: 'redeemed', orderId, redeemedAt: new Date() }
+  );
+};
+
+module.exports = {
+  calculateDiscount,
+  findApplicablePromoCode,
+  parsePromoCode,
+  redeemPromoRedemption,
+  releasePromoRedemption,
+  reservePromoCode,
+  roundAmount
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+
+// Ticket QR codes carry a compact signed token:
+//
+//   ET2.<kid>.<payload>.<signature>
+//
+// payload is base64url JSON { e: eventId, t: ticketNumber, v: validation
+// prefix } and signature is an Ed25519 signature over "<kid>.<payload>".
+// Each event has its own key pair, derived on the server from a master key.
+// Scanners are given only the event's public keys: they can verify tickets
+// offline but cannot sign any.
+//
+// Master keys are configured as QR_SIGNING_KEYS="kid1:secret1,kid2:secret2".
+// New tickets are signed with QR_SIGNING_KEY_ID (default: the last key
+// listed); older keys keep verifying until they are removed. After adding a
+// key, run `npm run rotate:qr-keys` to re-sign tickets with it before the
+// old key is retired.
+
+const TOKEN_PREFIX = 'ET2';
+// ET1 tokens were HMAC signed with keys every scanner held, so anyone with a
+// scanner could forge them. They are no longer accepted.
+const RETIRED_PREFIXES = ['ET1'];
+// Characters of Ticket.qrCodeData embedded in the token. A ticket whose
+// validation code changes (e.g. reissued QR) no longer matches old tokens.
+const VALIDATION_PREFIX_LENGTH = 16;
+const SIGNATURE_BYTES = 64;
+// DER header of a PKCS#8 Ed25519 private key; the 32 byte seed follows it
+const ED25519_PKCS8_HEADER = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Keys by kid. Kids come from scanned tokens, so the ring has no prototype
+// for a kid like "constructor" to find.
+const parseKeyRing = (value) => {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((keys, entry) => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+      }
+      return keys;
+    }, Object.create(null));
+};
+
+const loadKeyRing = () => {
+  const keys = parseKeyRing(process.env.QR_SIGNING_KEYS);
+
+  if (Object.keys(keys).length === 0) {
+    const environment = process.env.NODE_ENV || 'development';
+
+    if (environment !== 'development' && environment !== 'test') {
+      throw new Error('QR_SIGNING_KEYS must be set to sign ticket QR codes');
+    }
+
+    // A random key per process: QR codes stop scanning after a restart, but
+    // nobody can sign tickets with a key published in this file
+    console.warn('⚠️  QR_SIGNING_KEYS is not set. Using a temporary QR signing key; set it before going live.');
+    keys.dev = crypto.randomBytes(32).toString('base64url');
+    return { keys, activeKeyId: 'dev' };
+  }
+
+  const kids = Object.keys(keys);
+  const activeKeyId = process.env.QR_SIGNING_KEY_ID || kids[kids.length - 1];
+
+  if (!keys[activeKeyId]) {
+    throw new Error(`QR_SIGNING_KEY_ID "${activeKeyId}" is not listed in QR_SIGNING_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+const keyRing = loadKeyRing();
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// Part of a ticket's validation code that its QR token carries
+const getValidationPrefix = (qrCodeData) => qrCodeData.slice(0, VALIDATION_PREFIX_LENGTH);
+
+// Key pair an event's tickets are signed with under the given master key, or
+// null if there is no such master key
+const getEventKeyPair = (eventId, kid = keyRing.activeKeyId) => {
+  const masterKey = keyRing.keys[kid];
+  if (typeof masterKey !== 'string') {
+    return null;
+  }
+
+  const seed = crypto.createHmac('sha256', masterKey).update(`event:${eventId}`).digest();
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_HEADER, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+};
+
+// Every public key an event's tickets may currently be signed with, by kid,
+// as raw 32 byte Ed25519 keys in base64url. Safe to hand to scanners.
+const getEventPublicKeys = (eventId) => {
+  return Object.keys(keyRing.keys).reduce((keys, kid) => {
+    keys[kid] = getEventKeyPair(eventId, kid).publicKey.export({ format: 'jwk' }).x;
+    return keys;
+  }, {});
+};
+
+// Key ID stored on a ticket (Ticket.qrKeyId): the token version and the kid,
+// so tickets from before a version change are found as outdated too
+const toStoredKeyId = (kid) => `${TOKEN_PREFIX}.${kid}`;
+
+// Build the signed QR token for a ticket. Returns { token, keyId }.
+const signTicketToken = ({ eventId, ticketNumber, qrCodeData }) => {
+  const kid = keyRing.activeKeyId;
+  const payload = base64url(JSON.stringify({
+    e: eventId.toString(),
+    t: ticketNumber,
+    v: getValidationPrefix(qrCodeData)
+  }));
+
+  const { privateKey } = getEventKeyPair(eventId, kid);
+  const signature = base64url(crypto.sign(null, Buffer.from(`${kid}.${payload}`), privateKey));
+
+  return { token: `${TOKEN_PREFIX}.${kid}.${payload}.${signature}`, keyId: toStoredKeyId(kid) };
+};
+
+// Whether a scanned string looks like a signed ticket token, current or retired
+const isTicketToken = (value) => {
+  return typeof value === 'string' &&
+    [TOKEN_PREFIX, ...RETIRED_PREFIXES].some(prefix => value.startsWith(`${prefix}.`));
+};
+
+// Check a token's signature without touching the database.
+// Returns { valid: true, kid, eventId, ticketNumber, validationPrefix } or
+// { valid: false, error } where error is malformed, retired, unknown_key or
+// bad_signature.
+const verifyTicketToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (RETIRED_PREFIXES.includes(parts[0])) {
+    return { valid: false, error: 'retired' };
+  }
+
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, error: 'malformed' };
+  }
+
+  const [, kid, payload, signature] = parts;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'malformed' };
+  }
+
+  const isText = (value) => typeof value === 'string' && value.length > 0;
+  if (!isText(claims?.e) || !isText(claims.t) || !isText(claims.v)) {
+    return { valid: false, error: 'malformed' };
+  }
+
+  const keyPair = getEventKeyPair(claims.e, kid);
+  if (!keyPair) {
+    return { valid: false, error: 'unknown_key' };
+  }
+
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== SIGNATURE_BYTES ||
+      !crypto.verify(null, Buffer.from(`${kid}.${payload}`), keyPair.publicKey, received)) {
+    return { valid: false, error: 'bad_signature' };
+  }
+
+  return {
+    valid: true,
+    kid,
+    eventId: claims.e,
+    ticketNumber: claims.t,
+    validationPrefix: claims.v
+  };
+};
+
+// Whether a verified token was issued for the ticket's current QR code
+const matchesTicket = (verified, ticket) => {
+  return ticket.ticketNumber === verified.ticketNumber &&
+    ticket.eventId._id.toString() === verified.eventId &&
+    ticket.qrCodeData.startsWith(verified.validationPrefix);
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  activeKeyId: toStoredKeyId(keyRing.activeKeyId),
+  getEventPublicKeys,
+  getValidationPrefix,
+  isTicketToken,
+  matchesTicket,
+  signTicketToken,
+  verifyTicketToken
+};
@@ -0,0 +1,113 @@
+const { roundAmount } = require('./promoCodeService');
+
+// Used for events created before refund policies existed: full refund up to
+// 24 hours before the event, matching the old fixed cancellation rule
+const DEFAULT_REFUND_POLICY = {
+  type: 'tiered',
+  tiers: [{ hoursBeforeStart: 24, refundPercentage: 100 }],
+  nonRefundableFee: 0
+};
+
+const getRefundPolicy = (event) => {
+  return event.refundPolicy?.type ? event.refundPolicy : DEFAULT_REFUND_POLICY;
+};
+
+// Parse a refund policy sent by a host. Multipart forms send it as a JSON
+// string. Returns { refundPolicy } or { error }.
+const parseRefundPolicy = (input) => {
+  let policy = input;
+
+  if (typeof input === 'string') {
+    try {
+      policy = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid refund policy format' };
+    }
+  }
+
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Invalid refund policy format' };
+  }
+
+  const type = policy.type || 'tiered';
+  if (!['tiered', 'none'].includes(type)) {
+    return { error: 'Refund policy type must be tiered or none' };
+  }
+
+  const nonRefundableFee = Number(policy.nonRefundableFee || 0);
+  if (!(nonRefundableFee >= 0)) {
+    return { error: 'Non-refundable fee cannot be negative' };
+  }
+
+  let tiers = [];
+  if (type === 'tiered') {
+    if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+      return { error: 'A tiered refund policy needs at least one tier' };
+    }
+
+    for (const tier of policy.tiers) {
+      const hoursBeforeStart = Number(tier.hoursBeforeStart);
+      const refundPercentage = Number(tier.refundPercentage);
+
+      if (!(hoursBeforeStart >= 0)) {
+        return { error: 'Each refund tier needs hoursBeforeStart of 0 or more' };
+      }
+
+      if (!(refundPercentage >= 0 && refundPercentage <= 100)) {
+        return { error: 'Each refund tier needs a refundPercentage between 0 and 100' };
+      }
+
+      tiers.push({ hoursBeforeStart, refundPercentage });
+    }
+
+    tiers = tiers.sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+  }
+
+  return { refundPolicy: { type, tiers, nonRefundableFee } };
+};
+
+// Work out whether a ticket can be cancelled now and how much is refunded.
+// Returns { allowed, refundAmount, refundPercentage, fee, reason }.
+const calculateRefund = (event, ticket, now = new Date()) => {
+  const hoursUntilEvent = (new Date(event.startDateTime) - now) / (1000 * 60 * 60);
+
+  if (hoursUntilEvent <= 0) {
+    return { allowed: false, refundAmount: 0, reason: 'Cannot cancel tickets for events that have already started' };
+  }
+
+  const policy = getRefundPolicy(event);
+
+  if (policy.type === 'none') {
+    return { allowed: true, refundAmount: 0, refundPercentage: 0, fee: 0, reason: 'This event does not offer refunds' };
+  }
+
+  const tiers = [...policy.tiers].sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+  const tier = tiers.find(candidate => hoursUntilEvent >= candidate.hoursBeforeStart);
+
+  if (!tier) {
+    const cutoff = tiers[tiers.length - 1].hoursBeforeStart;
+    return {
+      allowed: false,
+      refundAmount: 0,
+      reason: `Cannot cancel tickets less than ${cutoff} hours before the event`
+    };
+  }
+
+  const pricePaid = ticket.pricePaid || 0;
+  const fee = pricePaid > 0 && tier.refundPercentage > 0 ? Math.min(policy.nonRefundableFee || 0, pricePaid) : 0;
+  const refundAmount = Math.max(roundAmount(pricePaid * tier.refundPercentage / 100 - fee), 0);
+
+  return {
+    allowed: true,
+    refundAmount,
+    refundPercentage: tier.refundPercentage,
+    fee
+  };
+};
+
+module.exports = {
+  DEFAULT_REFUND_POLICY,
+  calculateRefund,
+  getRefundPolicy,
+  parseRefundPolicy
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const ScanEvent = require('../models/ScanEvent');
+
+const MAX_PAGE_SIZE = 200;
+
+// Record a scan attempt in the audit log. A failure to log is reported but
+// never fails the scan itself.
+const logScanEvent = async (entry) => {
+  try {
+    await ScanEvent.create(entry);
+  } catch (error) {
+    console.error('Failed to log scan event:', error);
+  }
+};
+
+// Build a ScanEvent filter for an event from query string options. IDs are
+// cast up front because the filter is also used in an aggregation.
+const buildScanEventFilter = (eventId, { ticketNumber, staffId, deviceId, gate, action, outcome, from, to } = {}) => {
+  const filter = { eventId: new mongoose.Types.ObjectId(eventId) };
+
+  if (ticketNumber) filter.ticketNumber = ticketNumber;
+  if (staffId) filter.staffId = new mongoose.Types.ObjectId(staffId);
+  if (deviceId) filter.deviceId = deviceId;
+  if (gate) filter.gate = gate;
+  if (action) filter.action = action;
+  if (outcome) filter.outcome = { $in: outcome.split(',') };
+
+  if (from || to) {
+    filter.scannedAt = {};
+    if (from) filter.scannedAt.$gte = new Date(from);
+    if (to) filter.scannedAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Page through an event's scan attempts, newest first.
+// Returns { scanEvents, pagination, outcomes } where outcomes counts every
+// matching attempt by outcome.
+const findScanEvents = async (eventId, query = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+  const filter = buildScanEventFilter(eventId, query);
+
+  const [scanEvents, total, outcomeCounts] = await Promise.all([
+    ScanEvent.find(filter)
+      .populate('staffId', 'firstName lastName email')
+      .sort({ scannedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    ScanEvent.countDocuments(filter),
+    ScanEvent.aggregate([
+      { $match: filter },
+      { $group: { _id: '$outcome', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    scanEvents,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalScanEvents: total
+    },
+    outcomes: outcomeCounts.reduce((acc, group) => {
+      acc[group._id] = group.count;
+      return acc;
+    }, {})
+  };
+};
+
+// Tickets presented for entry more than once, most attempts first. Repeated
+// entry attempts from different devices or gates are a sign of a shared or
+// copied ticket.
+const findRepeatedEntries = async (eventId, { limit = 20 } = {}) => {
+  const tickets = await ScanEvent.aggregate([
+    {
+      $match: {
+        eventId: new mongoose.Types.ObjectId(eventId),
+        ticketId: { $ne: null },
+        action: 'entry'
+      }
+    },
+    {
+      $group: {
+        _id: '$ticketId',
+        ticketNumber: { $first: '$ticketNumber' },
+        attempts: { $sum: 1 },
+        devices: { $addToSet: '$deviceId' },
+        gates: { $addToSet: '$gate' },
+        staff: { $addToSet: '$staffId' },
+        firstAttemptAt: { $min: '$scannedAt' },
+        lastAttemptAt: { $max: '$scannedAt' }
+      }
+    },
+    { $match: { attempts: { $gt: 1 } } },
+    { $sort: { attempts: -1, lastAttemptAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  return tickets.map(({ _id, devices, gates, ...ticket }) => ({
+    ticketId: _id,
+    ...ticket,
+    devices: devices.filter(Boolean),
+    gates: gates.filter(Boolean)
+  }));
+};
+
+// Count scans matching `condition` in a $group stage
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// People let through (accepted, or offline scans that broke the rules)
+const passedThrough = (action) => ({
+  $and: [{ $eq: ['$action', action] }, { $in: ['$outcome', ['accepted', 'violation']] }]
+});
+
+// Throughput of each gate at an event: people let in and out, scans refused,
+// and the same per hour (UTC). Events without gate definitions report the
+// free text gate labels their scanners sent.
+const getGateThroughput = async (eventId) => {
+  const groups = await ScanEvent.aggregate([
+    { $match: { eventId: new mongoose.Types.ObjectId(eventId), outcome: { $ne: 'already_synced' } } },
+    {
+      $group: {
+        _id: {
+          gateId: '$gateId',
+          gate: '$gate',
+          hour: { $dateToString: { format: '%Y-%m-%dT%H:00:00Z', date: '$scannedAt' } }
+        },
+        entries: countWhere(passedThrough('entry')),
+        exits: countWhere(passedThrough('exit')),
+        refused: countWhere({ $in: ['$outcome', ['denied', 'rejected']] })
+      }
+    },
+    { $sort: { '_id.hour': 1 } }
+  ]);
+
+  const gates = new Map();
+
+  for (const { _id, entries, exits, refused } of groups) {
+    const key = _id.gateId ? _id.gateId.toString() : (_id.gate || '');
+
+    if (!gates.has(key)) {
+      gates.set(key, {
+        gateId: _id.gateId || null,
+        gate: _id.gate || 'Unspecified',
+        entries: 0,
+        exits: 0,
+        refused: 0,
+        peakHour: null,
+        hourly: []
+      });
+    }
+
+    const gate = gates.get(key);
+    gate.entries += entries;
+    gate.exits += exits;
+    gate.refused += refused;
+    gate.hourly.push({ hour: _id.hour, entries, exits, refused });
+
+    if (!gate.peakHour || entries > gate.peakHour.entries) {
+      gate.peakHour = { hour: _id.hour, entries };
+    }
+  }
+
+  return [...gates.values()].sort((a, b) => b.entries - a.entries);
+};
+
+module.exports = {
+  findRepeatedEntries,
+  findScanEvents,
+  getGateThroughput,
+  logScanEvent
+};
@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const { getZoneDenial, resolveScanGate } = require('./accessZoneService');
+const { DEFAULT_ENTRY_POLICY, getEntryDenial, getEntryPolicy } = require('./entryPolicyService');
+const { isTicketToken, matchesTicket, verifyTicketToken } = require('./qrTokenService');
+const { logScanEvent } = require('./scanEventService');
+const { publishAttendanceEvent } = require('./attendanceStreamService');
+const { getHolderName } = require('./ticketService');
+
+// How far ahead of server time a device's scan timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SCAN_ACTIONS = ['entry', 'exit'];
+
+// Staff permission each way of checking a ticket in needs
+const METHOD_PERMISSIONS = {
+  scan: 'scan_ticket',
+  manual: 'check_in_attendee',
+  box_office: 'sell_tickets'
+};
+
+// Event fields a ticket needs populated for its scans to be checked
+const SCAN_EVENT_FIELDS = 'title startDateTime endDateTime location assignedStaff entryPolicy zones gates staffAssignments ticketTypes';
+
+// Find the ticket a scan refers to. Accepts a signed QR token (scanner apps
+// may send the raw QR content as qrCodeData), a ticket number or a legacy
+// validation code. Returns { ticket } or { error, statusCode, reason }.
+const findScannedTicket = async ({ qrToken, qrCodeData, ticketNumber, eventId }) => {
+  const token = qrToken || (isTicketToken(qrCodeData) ? qrCodeData : null);
+
+  if (!ticketNumber && !qrCodeData && !token) {
+    return { error: 'QR token, ticket number or QR code data required', statusCode: 400 };
+  }
+
+  let query = {};
+  let verifiedToken = null;
+
+  if (token) {
+    // The signature proves the ticket was issued by us before any lookup
+    verifiedToken = verifyTicketToken(token);
+
+    if (verifiedToken.error === 'retired') {
+      return {
+        error: 'This QR code has been replaced. Ask the attendee to download their ticket again, or look the ticket up by number.',
+        statusCode: 400,
+        reason: verifiedToken.error
+      };
+    }
+
+    if (!verifiedToken.valid) {
+      return {
+        error: 'Invalid QR code. This ticket could not be verified.',
+        statusCode: 400,
+        reason: verifiedToken.error
+      };
+    }
+
+    if (eventId && verifiedToken.eventId !== eventId.toString()) {
+      return { error: 'This ticket is for a different event', statusCode: 400 };
+    }
+
+    query = { ticketNumber: verifiedToken.ticketNumber, eventId: verifiedToken.eventId };
+  } else {
+    query = ticketNumber ? { ticketNumber } : { qrCodeData };
+    if (eventId) query.eventId = eventId;
+  }
+
+  const ticket = await Ticket.findOne(query)
+    .populate('eventId', SCAN_EVENT_FIELDS)
+    .populate('attendeeId', 'firstName lastName email');
+
+  if (!ticket) {
+    return { error: 'Ticket not found', statusCode: 404 };
+  }
+
+  // A reissued ticket gets a new validation code, retiring older QR codes
+  if (verifiedToken && !matchesTicket(verifiedToken, ticket)) {
+    return { error: 'This QR code has been replaced. Please use the latest ticket.', statusCode: 400 };
+  }
+
+  return { ticket };
+};
+
+// Whether a staff member is assigned to an event
+const isAssignedStaff = (event, staffId) => {
+  return event.assignedStaff.some(staffMemberId => staffMemberId.toString() === staffId.toString());
+};
+
+// Reason a scan made at `scannedAt` cannot be recorded, or null if it can
+const getScanError = (ticket, { action, scannedAt }) => {
+  if (!SCAN_ACTIONS.includes(action)) {
+    return `Unknown scan action "${action}"`;
+  }
+
+  if (ticket.status !== 'active') {
+    return `Ticket is ${ticket.status}. Cannot scan inactive tickets.`;
+  }
+
+  if (action === 'entry' && scannedAt < new Date(ticket.eventId.startDateTime)) {
+    return 'Event has not started yet';
+  }
+
+  if (scannedAt > new Date(ticket.eventId.endDateTime)) {
+    return 'Event has already ended';
+  }
+
+  return null;
+};
+
+// Entries and exits recorded for a ticket, oldest first. Tickets scanned
+// before the history was kept get one built from their admission and exit.
+const getScanHistory = (verification = {}) => {
+  if (verification.history?.length) {
+    return [...verification.history].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+  }
+
+  const history = [];
+  if (verification.scannedAt) {
+    history.push({
+      action: 'entry',
+      scannedAt: verification.scannedAt,
+      staffId: verification.scannedBy,
+      gate: verification.entryGate
+    });
+  }
+  if (verification.exitTime) {
+    history.push({ action: 'exit', scannedAt: verification.exitTime });
+  }
+
+  return history;
+};
+
+// Play a ticket's history through the event's entry policy, which applies
+// to each zone separately. An entry into a zone the ticket has no access to,
+// or one the policy forbids, is flagged with the reason but still moves the
+// ticket in or out, since the scanner let the person through.
+// Returns the history with violations and the verification fields that
+// follow from it.
+const replayHistory = (policy, history, zoneDenial = () => null) => {
+  // Position in each zone, keyed by zone id ('' for events without zones)
+  const zones = new Map();
+  const zoneState = (zoneId) => {
+    const key = zoneId ? zoneId.toString() : '';
+    if (!zones.has(key)) {
+      zones.set(key, { isInside: false, entryCount: 0, lastScanAt: null });
+    }
+    return zones.get(key);
+  };
+
+  let entryCount = 0;
+  let lastScanAt = null;
+  let firstEntry = null;
+  let lastEntry = null;
+  let lastExit = null;
+
+  const replayed = history.map(movement => {
+    const state = zoneState(movement.zoneId);
+    const violation = (movement.action === 'entry' && zoneDenial(movement.zoneId)) ||
+      getEntryDenial(policy, state, movement);
+
+    if (movement.action === 'entry') {
+      state.entryCount++;
+      state.isInside = true;
+      entryCount++;
+      firstEntry = firstEntry || movement;
+      lastEntry = movement;
+    } else {
+      state.isInside = false;
+      if (!violation) lastExit = movement;
+    }
+    state.lastScanAt = movement.scannedAt;
+    lastScanAt = movement.scannedAt;
+
+    return { ...movement, violation: violation || undefined };
+  });
+
+  const positions = [...zones.entries()];
+
+  return {
+    history: replayed,
+    fields: {
+      isScanned: entryCount > 0,
+      scannedAt: firstEntry?.scannedAt || null,
+      scannedBy: firstEntry?.staffId || null,
+      entryGate: firstEntry?.gate || null,
+      entryTime: lastEntry?.scannedAt || null,
+      exitTime: lastExit?.scannedAt || null,
+      entryCount,
+      isInside: positions.some(([, state]) => state.isInside),
+      insideZones: positions.filter(([key, state]) => key && state.isInside).map(([key]) => key),
+      lastScanAt
+    }
+  };
+};
+
+// Times recordScan re-reads a ticket that another scan changed under it
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Record an entry or exit scan at a gate (as returned by resolveScanGate)
+// against the event's entry policy and zone access. `ticket.eventId` must be
+// populated with the event's zones and ticket types.
+// Online scans are decided on the spot: a scan the policy forbids is denied
+// and leaves the ticket as it was. Offline scans already happened at the
+// door, so they are always added to the history; one that broke the policy
+// is reported as a violation. The ticket's state is rebuilt from its sorted
+// history, so offline scans arriving late or out of order end up the same.
+// A scanId is only ever applied once.
+// Returns { result, message, verification } where result is one of
+// accepted, denied, violation or already_synced.
+const recordScan = async (ticket, {
+  action = 'entry',
+  scannedAt = new Date(),
+  staffId,
+  gate,
+  source = 'online',
+  method = 'scan',
+  idVerified,
+  policy = DEFAULT_ENTRY_POLICY,
+  scanId = crypto.randomUUID()
+}) => {
+  const movement = {
+    scanId,
+    action,
+    scannedAt,
+    staffId,
+    gate: gate?.name,
+    gateId: gate?.gateId,
+    zoneId: gate?.zoneId,
+    source,
+    method,
+    idVerified
+  };
+  const zoneDenial = (zoneId) => getZoneDenial(ticket.eventId, ticket, zoneId);
+
+  for (let attempt = 0; attempt < MAX_RECORD_ATTEMPTS; attempt++) {
+    const current = await Ticket.findById(ticket._id).select('verification').lean();
+    const verification = current?.verification || {};
+
+    if (verification.scanIds?.includes(scanId)) {
+      return { result: 'already_synced', message: 'Scan was already recorded', verification };
+    }
+
+    const { history, fields } = replayHistory(policy, [...getScanHistory(verification), movement]
+      .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt)), zoneDenial);
+    const violation = history.find(entry => entry.scanId === scanId).violation;
+
+    if (violation && source === 'online') {
+      await Ticket.updateOne(
+        { _id: ticket._id },
+        { $inc: { 'verification.scanCount': 1 }, $push: { 'verification.scanIds': scanId } }
+      );
+      return { result: 'denied', message: violation, verification };
+    }
+
+    const $set = { 'verification.history': history };
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`verification.${field}`] = value;
+    }
+
+    // Only applies if no other scan was recorded since the ticket was read
+    const recorded = await Ticket.updateOne(
+      { _id: ticket._id, 'verification.scanCount': verification.scanCount || { $in: [0, null] } },
+      { $set, $inc: { 'verification.scanCount': 1 }, $push: { 'verification.scanIds': scanId } }
+    );
+
+    if (recorded.modifiedCount === 1) {
+      const updated = { ...verification, ...fields, history, scanCount: (verification.scanCount || 0) + 1 };
+
+      publishAttendanceEvent(ticket.eventId, action === 'entry' ? 'check_in' : 'exit', {
+        ticketId: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        holderName: getHolderName(ticket),
+        ticketType: ticket.ticketTypeName,
+        gate: gate?.name || null,
+        zoneId: gate?.zoneId || null,
+        source,
+        method,
+        scannedAt,
+        violation: violation || null
+      });
+
+      if (violation) {
+        return { result: 'violation', message: violation, verification: updated };
+      }
+
+      return {
+        result: 'accepted',
+        message: action === 'entry' ? 'Entry recorded' : 'Exit recorded',
+        verification: updated
+      };
+    }
+  }
+
+  throw new Error('Ticket is being scanned elsewhere. Please scan again.');
+};
+
+// Check and record a scan made while connected, by QR code or by manual
+// check-in, logging the attempt to the scan audit log. Applies every rule in
+// turn: staff assignment and permission, ticket status and event timing,
+// gate, zone access and entry policy. `ticket` comes from findScannedTicket
+// (or is populated the same way); `permissions` are the staff member's
+// permissions at its event, from getStaffPermissions.
+// Returns { allowed, statusCode, message, result, gate, entryPolicy,
+// verification }; verification is only set once the scan got to the policy.
+const processOnlineScan = async (ticket, {
+  action = 'entry',
+  staffId,
+  gateId,
+  gate: gateLabel,
+  deviceId,
+  method = 'scan',
+  idVerified,
+  permissions = [],
+  scannedAt = new Date(),
+  scanId = crypto.randomUUID()
+}) => {
+  const event = ticket.eventId;
+  let gate = null;
+
+  const finish = async (scan) => {
+    await logScanEvent({
+      eventId: event._id,
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      staffId,
+      deviceId,
+      gate: gate?.name || gateLabel,
+      gateId: gate?.gateId,
+      zoneId: gate?.zoneId,
+      action,
+      source: 'online',
+      method,
+      idVerified,
+      scanId,
+      outcome: scan.result,
+      reason: scan.reason || scan.message,
+      scannedAt
+    });
+
+    return { ...scan, gate };
+  };
+
+  const reject = (statusCode, message, reason) => finish({ allowed: false, statusCode, result: 'rejected', message, reason });
+
+  if (!isAssignedStaff(event, staffId)) {
+    return reject(403, 'You are not assigned to this event', 'Staff member is not assigned to this event');
+  }
+
+  const permission = METHOD_PERMISSIONS[method];
+  if (!permissions.includes(permission)) {
+    return reject(403, `You do not have the ${permission} permission at this event`);
+  }
+
+  const scanError = getScanError(ticket, { action, scannedAt });
+  if (scanError) {
+    return reject(400, scanError);
+  }
+
+  // Events with gates need to know where the scan happened
+  const resolved = resolveScanGate(event, { gateId, gate: gateLabel }, staffId);
+  if (resolved.error) {
+    return reject(resolved.statusCode, resolved.error);
+  }
+  gate = resolved.gate;
+
+  const entryPolicy = getEntryPolicy(event);
+  const { result, message, verification: recorded } = await recordScan(ticket, {
+    action,
+    scannedAt,
+    staffId,
+    gate,
+    method,
+    idVerified,
+    policy: entryPolicy,
+    scanId
+  });
+
+  // The full list of applied scan IDs is internal bookkeeping
+  const { scanIds, ...verification } = recorded;
+
+  return finish({
+    allowed: result !== 'denied',
+    statusCode: result === 'denied' ? 400 : 200,
+    result,
+    message,
+    entryPolicy,
+    verification
+  });
+};
+
+// Validate and apply one scan uploaded by an offline device, logging the
+// attempt to the scan audit log.
+// Returns a report entry { scanId, ticketNumber, result, message }.
+const applyOfflineScan = async (scan, { eventId, staffId, deviceId, now = new Date() }) => {
+  const report = { scanId: scan.scanId, ticketNumber: scan.ticketNumber, result: 'rejected' };
+  const action = scan.action || 'entry';
+  const scannedAt = new Date(scan.scannedAt);
+  const hasValidTime = Boolean(scan.scannedAt) && !isNaN(scannedAt.getTime());
+  let ticket = null;
+  let gate = null;
+
+  // `reason` overrides the message in the log when there is more detail
+  const finish = async (entry, reason = entry.message) => {
+    await logScanEvent({
+      eventId,
+      ticketId: ticket?._id,
+      ticketNumber: entry.ticketNumber,
+      staffId,
+      deviceId,
+      gate: gate?.name || scan.gate,
+      gateId: gate?.gateId,
+      zoneId: gate?.zoneId,
+      action,
+      source: 'offline',
+      scanId: scan.scanId && String(scan.scanId),
+      outcome: entry.result,
+      reason,
+      scannedAt: hasValidTime ? scannedAt : now
+    });
+
+    return entry;
+  };
+
+  if (!scan.scanId) {
+    return finish({ ...report, message: 'Scan is missing a scanId' });
+  }
+
+  if (!hasValidTime) {
+    return finish({ ...report, message: 'Scan is missing a valid scannedAt time' });
+  }
+
+  if (scannedAt.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    return finish({ ...report, message: 'Scan time is in the future. Check the device clock.' });
+  }
+
+  const found = await findScannedTicket({ ...scan, eventId });
+  if (found.error) {
+    const reason = found.reason ? `${found.error} (${found.reason})` : found.error;
+    return finish({ ...report, message: found.error }, reason);
+  }
+
+  ticket = found.ticket;
+  report.ticketNumber = ticket.ticketNumber;
+
+  const scanError = getScanError(ticket, { action, scannedAt });
+  if (scanError) {
+    return finish({ ...report, message: scanError });
+  }
+
+  const resolved = resolveScanGate(ticket.eventId, scan, staffId);
+  if (resolved.error) {
+    return finish({ ...report, message: resolved.error });
+  }
+  gate = resolved.gate;
+
+  const { result, message } = await recordScan(ticket, {
+    action,
+    scannedAt,
+    staffId,
+    gate,
+    source: 'offline',
+    policy: getEntryPolicy(ticket.eventId),
+    scanId: String(scan.scanId)
+  });
+  return finish({ ...report, result, message });
+};
+
+module.exports = {
+  SCAN_ACTIONS,
+  SCAN_EVENT_FIELDS,
+  applyOfflineScan,
+  findScannedTicket,
+  getScanError,
+  isAssignedStaff,
+  processOnlineScan,
+  recordScan
+};
@@ -0,0 +1,154 @@
+const Payment = require('../models/Payment');
+const SeatHold = require('../models/SeatHold');
+const { convertHeldSeats, holdSeats, releaseHeldSeats } = require('./capacityService');
+const { releasePromoRedemption } = require('./promoCodeService');
+
+// How long a checkout may keep seats while waiting for payment
+const HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES) || 10;
+
+// End an active hold and give its seats back. Returns false if the hold was
+// already converted, released or expired.
+const endHold = async (hold, status = 'released') => {
+  const ended = await SeatHold.findOneAndUpdate(
+    { _id: hold._id, status: 'active' },
+    { status, releasedAt: new Date() },
+    { new: true }
+  );
+
+  if (!ended) {
+    return false;
+  }
+
+  await releaseHeldSeats(ended.eventId, ended.quantity, ended.ticketTypeId);
+  return true;
+};
+
+// Expire holds whose payment is still pending past the hold's TTL.
+// Their payments are cancelled so they can no longer be verified, and any
+// promo code use they reserved is given back.
+const expireHolds = async ({ eventId } = {}) => {
+  const filter = { status: 'active', expiresAt: { $lte: new Date() } };
+  if (eventId) filter.eventId = eventId;
+
+  const holds = await SeatHold.find(filter);
+  let expired = 0;
+
+  for (const hold of holds) {
+    const cancelled = await Payment.updateOne(
+      { paymentId: hold.paymentId, status: 'pending' },
+      {
+        status: 'cancelled',
+        error: {
+          code: 'HOLD_EXPIRED',
+          message: 'Your seat hold expired before payment was completed. Please start checkout again.'
+        }
+      }
+    );
+
+    // A payment that is being processed or has completed keeps its hold.
+    // Processing payments that never finish are settled by the payment
+    // reconciler (paymentService), which releases the hold.
+    if (cancelled.modifiedCount === 0) {
+      const payment = await Payment.findOne({ paymentId: hold.paymentId }).select('status');
+      if (payment && ['processing', 'completed'].includes(payment.status)) {
+        continue;
+      }
+    }
+
+    await releasePromoRedemption({ paymentId: hold.paymentId });
+
+    if (await endHold(hold, 'expired')) {
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+// Hold seats for a checkout. Any earlier unpaid checkout by the same attendee
+// for the event is cancelled so one person cannot pile up holds.
+// Returns null if the event does not have enough seats left.
+const createHold = async ({ eventId, userId, paymentId, ticketTypeId = null, quantity = 1 }) => {
+  await expireHolds({ eventId });
+
+  const previousHolds = await SeatHold.find({ eventId, userId, status: 'active' });
+
+  for (const hold of previousHolds) {
+    const cancelled = await Payment.updateOne(
+      { paymentId: hold.paymentId, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    if (cancelled.modifiedCount === 1) {
+      await endHold(hold, 'released');
+      await releasePromoRedemption({ paymentId: hold.paymentId });
+    }
+  }
+
+  if (!(await holdSeats(eventId, quantity, ticketTypeId))) {
+    return null;
+  }
+
+  try {
+    return await SeatHold.create({
+      eventId,
+      userId,
+      paymentId,
+      ticketTypeId,
+      quantity,
+      expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+    });
+  } catch (error) {
+    await releaseHeldSeats(eventId, quantity, ticketTypeId);
+    throw error;
+  }
+};
+
+// Release the hold for a payment that failed or was abandoned
+const releaseHoldForPayment = async (paymentId) => {
+  const hold = await SeatHold.findOne({ paymentId, status: 'active' });
+  return hold ? endHold(hold, 'released') : false;
+};
+
+// Turn the hold for a completed payment into sold seats.
+// Returns false if there is no active hold to convert.
+const convertHoldForPayment = async (paymentId) => {
+  const hold = await SeatHold.findOneAndUpdate(
+    { paymentId, status: 'active' },
+    { status: 'converted', convertedAt: new Date() },
+    { new: true }
+  );
+
+  if (!hold) {
+    return false;
+  }
+
+  return convertHeldSeats(hold.eventId, hold.quantity, hold.ticketTypeId);
+};
+
+// Periodically expire stale holds so their seats go back on sale
+const startHoldSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireHolds();
+      if (expired > 0) {
+        console.log(`⏱️  Released ${expired} expired seat hold(s)`);
+      }
+    } catch (error) {
+      console.error('Seat hold sweeper error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  convertHoldForPayment,
+  createHold,
+  endHold,
+  expireHolds,
+  releaseHoldForPayment,
+  startHoldSweeper
+};
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const StaffInvitation = require('../models/StaffInvitation');
+const User = require('../models/User');
+const { parseStaffPermissions } = require('./staffPermissionService');
+
+// Staff work an event once they are in Event.assignedStaff. Each staff
+// member's User.staffProfile.assignedEvents mirrors that list, so every
+// change to an assignment goes through this module to keep both in step.
+
+const INVITATION_TTL_DAYS = 7;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Mark invitations whose time ran out before anyone answered
+const expireInvitations = async (filter = {}) => {
+  await StaffInvitation.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+// Multipart forms send the staff list as a JSON string.
+// Returns { staffIds } or { error }.
+const parseStaffIds = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { staffIds: [] };
+  }
+
+  let staffIds = input;
+
+  if (typeof input === 'string') {
+    try {
+      staffIds = input.trim().startsWith('[') ? JSON.parse(input) : [input];
+    } catch (error) {
+      return { error: 'Invalid assigned staff format' };
+    }
+  }
+
+  if (!Array.isArray(staffIds)) {
+    return { error: 'Assigned staff must be a list of user IDs' };
+  }
+
+  return { staffIds };
+};
+
+// Check that every id belongs to an active event_staff account.
+// Returns null if they all do, or the reason one does not.
+const getStaffIdsError = async (staffIds = []) => {
+  const ids = [...new Set(staffIds.filter(Boolean).map(idOf))];
+  if (ids.length === 0) return null;
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Assigned staff must be user IDs';
+  }
+
+  const users = await User.find({ _id: { $in: ids } }).select('email selectedRole isActive staffProfile.isActive');
+  const found = new Map(users.map(user => [idOf(user), user]));
+
+  for (const id of ids) {
+    const user = found.get(id);
+
+    if (!user || !user.isActive) {
+      return `No active user with id ${id}`;
+    }
+
+    if (user.selectedRole !== 'event_staff') {
+      return `${user.email} is not a staff account`;
+    }
+
+    if (user.staffProfile?.isActive === false) {
+      return `${user.email} is not taking staff assignments`;
+    }
+  }
+
+  return null;
+};
+
+// Bring staffProfile.assignedEvents in line after an event's assignedStaff
+// changed from `previousIds` to `nextIds`
+const syncAssignedEvents = async (eventId, previousIds = [], nextIds = []) => {
+  const previous = new Set(previousIds.filter(Boolean).map(idOf));
+  const next = new Set(nextIds.filter(Boolean).map(idOf));
+
+  const added = [...next].filter(id => !previous.has(id));
+  const removed = [...previous].filter(id => !next.has(id));
+
+  if (added.length > 0) {
+    await User.updateMany({ _id: { $in: added } }, { $addToSet: { 'staffProfile.assignedEvents': eventId } });
+  }
+
+  if (removed.length > 0) {
+    await User.updateMany({ _id: { $in: removed } }, { $pull: { 'staffProfile.assignedEvents': eventId } });
+  }
+};
+
+// Invite someone by email to work an event.
+// Returns { invitation } or { error, statusCode }.
+const inviteStaff = async (event, hostId, { email, message, permissions } = {}) => {
+  const address = String(email || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(address)) {
+    return { error: 'Please provide a valid email address', statusCode: 400 };
+  }
+
+  let parsedPermissions;
+  if (permissions !== undefined && permissions !== null) {
+    const parsed = parseStaffPermissions(permissions);
+    if (parsed.error) return { error: parsed.error, statusCode: 400 };
+    parsedPermissions = parsed.permissions;
+  }
+
+  const user = await User.findOne({ email: address }).select('selectedRole isActive');
+
+  if (user && user.selectedRole !== 'event_staff') {
+    return { error: `${address} is not a staff account`, statusCode: 400 };
+  }
+
+  if (user && event.assignedStaff.some(staffId => idOf(staffId) === idOf(user))) {
+    return { error: `${address} is already assigned to this event`, statusCode: 409 };
+  }
+
+  await expireInvitations({ eventId: event._id, email: address });
+
+  const existing = await StaffInvitation.findOne({ eventId: event._id, email: address, status: 'pending' });
+  if (existing) {
+    return { error: `${address} already has an open invitation to this event`, statusCode: 409 };
+  }
+
+  try {
+    const invitation = await StaffInvitation.create({
+      eventId: event._id,
+      invitedBy: hostId,
+      email: address,
+      staffId: user?._id,
+      message,
+      permissions: parsedPermissions,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { invitation };
+  } catch (error) {
+    // Another request invited the same email at the same time
+    if (error.code === 11000) {
+      return { error: `${address} already has an open invitation to this event`, statusCode: 409 };
+    }
+    throw error;
+  }
+};
+
+// Open invitations addressed to a staff member's email, newest first
+const findPendingInvitations = async (user) => {
+  await expireInvitations({ email: user.email.toLowerCase() });
+
+  return StaffInvitation.find({ email: user.email.toLowerCase(), status: 'pending' })
+    .populate('eventId', 'title startDateTime endDateTime location status')
+    .populate('invitedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 });
+};
+
+// Accept or decline an invitation addressed to `user`.
+// Returns { invitation, event } or { error, statusCode }.
+const respondToInvitation = async (invitationId, user, accept) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    return { error: 'Invitation not found', statusCode: 404 };
+  }
+
+  const invitation = await StaffInvitation.findById(invitationId);
+
+  if (!invitation || invitation.email !== user.email.toLowerCase()) {
+    return { error: 'Invitation not found', statusCode: 404 };
+  }
+
+  if (invitation.status === 'pending' && invitation.expiresAt <= new Date()) {
+    await expireInvitations({ _id: invitation._id });
+    return { error: 'This invitation has expired', statusCode: 400 };
+  }
+
+  if (accept && user.selectedRole !== 'event_staff') {
+    return { error: 'Only staff accounts can accept staff invitations', statusCode: 403 };
+  }
+
+  // Only one answer is recorded, however many requests arrive
+  const answered = await StaffInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { status: accept ? 'accepted' : 'declined', staffId: user._id, respondedAt: new Date() },
+    { new: true }
+  );
+
+  if (!answered) {
+    return { error: `This invitation is already ${invitation.status}`, statusCode: 400 };
+  }
+
+  if (!accept) {
+    return { invitation: answered, event: null };
+  }
+
+  const event = await Event.findByIdAndUpdate(
+    invitation.eventId,
+    { $addToSet: { assignedStaff: user._id } },
+    { new: true }
+  ).select('title startDateTime endDateTime location');
+
+  if (!event) {
+    answered.status = 'revoked';
+    answered.revokedAt = new Date();
+    await answered.save();
+    return { error: 'The event no longer exists', statusCode: 404 };
+  }
+
+  await syncAssignedEvents(event._id, [], [user._id]);
+
+  if (answered.permissions) {
+    await setStaffPermissions(event._id, user._id, answered.permissions);
+  }
+
+  return { invitation: answered, event };
+};
+
+// Set what a staff member may do at an event; null puts them back on their
+// account permissions. Returns false if they are not assigned to the event.
+const setStaffPermissions = async (eventId, staffId, permissions) => {
+  const update = permissions
+    ? { $set: { 'staffAssignments.$.permissions': permissions } }
+    : { $unset: { 'staffAssignments.$.permissions': 1 } };
+
+  const updated = await Event.updateOne(
+    { _id: eventId, assignedStaff: staffId, 'staffAssignments.staffId': staffId },
+    update
+  );
+  if (updated.matchedCount > 0) return true;
+
+  if (!permissions) {
+    return Boolean(await Event.exists({ _id: eventId, assignedStaff: staffId }));
+  }
+
+  // No gate assignment yet, so add one that allows every gate
+  const added = await Event.updateOne(
+    { _id: eventId, assignedStaff: staffId, 'staffAssignments.staffId': { $ne: staffId } },
+    { $push: { staffAssignments: { staffId, gateIds: [], permissions } } }
+  );
+  return added.matchedCount > 0;
+};
+
+// Withdraw an open invitation
+const revokeInvitation = async (eventId, invitationId) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) return null;
+
+  return StaffInvitation.findOneAndUpdate(
+    { _id: invitationId, eventId, status: 'pending' },
+    { status: 'revoked', revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Take a staff member off an event, along with their gate assignment.
+// Returns false if they were not assigned to it.
+const removeStaff = async (event, staffId) => {
+  if (!event.assignedStaff.some(id => idOf(id) === idOf(staffId))) {
+    return false;
+  }
+
+  await Event.updateOne(
+    { _id: event._id },
+    { $pull: { assignedStaff: staffId, staffAssignments: { staffId } } }
+  );
+  await syncAssignedEvents(event._id, [staffId], []);
+
+  await StaffInvitation.updateMany(
+    { eventId: event._id, staffId, status: 'accepted' },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+
+  return true;
+};
+
+// Clear every staff link to an event that is being deleted
+const releaseEventStaff = async (event) => {
+  await syncAssignedEvents(event._id, event.assignedStaff, []);
+  await StaffInvitation.updateMany(
+    { eventId: event._id, status: { $in: ['pending', 'accepted'] } },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  findPendingInvitations,
+  getStaffIdsError,
+  inviteStaff,
+  parseStaffIds,
+  releaseEventStaff,
+  removeStaff,
+  respondToInvitation,
+  revokeInvitation,
+  setStaffPermissions,
+  syncAssignedEvents
+};
@@ -0,0 +1,74 @@
+// What a staff member may do at an event. Hosts can set permissions for
+// each staff member per event (Event.staffAssignments[].permissions), so a
+// lead can see attendee details while a volunteer only scans. Without a
+// per-event setting the staff member's account permissions
+// (User.staffProfile.permissions) apply.
+
+const STAFF_PERMISSIONS = {
+  scan_ticket: 'Scan QR codes, online and offline',
+  check_in_attendee: 'Check attendees in and out by hand',
+  view_event_attendees: 'Search attendees and follow attendance',
+  view_attendee_pii: 'See attendee email addresses and phone numbers',
+  add_ticket_note: 'Add notes to tickets',
+  view_scan_log: 'See the scan audit log',
+  sell_tickets: 'Sell tickets at the door',
+  print_badges: 'Print attendee name badges',
+  report_incidents: 'File and follow up incident reports'
+};
+
+// Permissions for staff whose account has none recorded
+const DEFAULT_STAFF_PERMISSIONS = ['scan_ticket', 'check_in_attendee', 'view_event_attendees', 'add_ticket_note', 'print_badges', 'report_incidents'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Multipart forms send lists as JSON strings.
+// Returns { permissions } or { error }.
+const parseStaffPermissions = (input) => {
+  let permissions = input;
+
+  if (typeof input === 'string') {
+    try {
+      permissions = input.trim().startsWith('[') ? JSON.parse(input) : input.split(',');
+    } catch (error) {
+      return { error: 'Invalid permissions format' };
+    }
+  }
+
+  if (!Array.isArray(permissions)) {
+    return { error: 'Permissions must be a list' };
+  }
+
+  permissions = [...new Set(permissions.map(permission => String(permission).trim()).filter(Boolean))];
+
+  const unknown = permissions.find(permission => !STAFF_PERMISSIONS[permission]);
+  if (unknown) {
+    return { error: `Unknown staff permission "${unknown}"` };
+  }
+
+  return { permissions };
+};
+
+// Permissions a staff member has at an event. `event` needs staffAssignments
+// and `user` staffProfile.
+const getStaffPermissions = (event, user) => {
+  const assignment = (event?.staffAssignments || []).find(candidate => idOf(candidate.staffId) === idOf(user));
+
+  if (Array.isArray(assignment?.permissions)) {
+    return assignment.permissions;
+  }
+
+  const accountPermissions = user.staffProfile?.permissions;
+  return accountPermissions?.length ? accountPermissions : DEFAULT_STAFF_PERMISSIONS;
+};
+
+const hasStaffPermission = (event, user, permission) => {
+  return getStaffPermissions(event, user).includes(permission);
+};
+
+module.exports = {
+  DEFAULT_STAFF_PERMISSIONS,
+  STAFF_PERMISSIONS,
+  getStaffPermissions,
+  hasStaffPermission,
+  parseStaffPermissions
+};
@@ -0,0 +1,132 @@
+const PDFDocument = require('pdfkit');
+
+// Ticket PDFs are rendered entirely from data we hold, so they can be
+// produced offline (email attachments, kiosks) without fetching anything.
+
+const PAGE_WIDTH = 420;
+const PAGE_HEIGHT = 595;
+const MARGIN = 30;
+const BANNER_HEIGHT = 140;
+const QR_SIZE = 170;
+const BRAND_COLOR = '#4A90E2';
+// Largest embedded banner drawn; bigger ones get the plain header
+const MAX_BANNER_BYTES = 2 * 1024 * 1024;
+
+// Decode a base64 data URL (as stored in Ticket.qrCodeUrl) into a Buffer
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:image\/(png|jpe?g);base64,(.+)$/.exec(dataUrl || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+};
+
+// Banner image data, if it is embedded as a data URL. bannerImageUrl is set
+// by hosts, so it is never read as a path on this server. Remote banners
+// (e.g. Cloudinary) fall back to a drawn header.
+const loadBanner = (bannerImageUrl) => {
+  const embedded = decodeDataUrl(bannerImageUrl);
+  return embedded && embedded.length <= MAX_BANNER_BYTES ? embedded : null;
+};
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+const formatVenue = (location = {}) => {
+  const cityLine = [location.city, location.state, location.zipCode].filter(Boolean).join(', ');
+  return [location.venue, location.address, cityLine].filter(Boolean);
+};
+
+const drawBanner = (doc, event) => {
+  const banner = loadBanner(event.bannerImageUrl);
+
+  if (banner) {
+    try {
+      doc.image(banner, 0, 0, { cover: [PAGE_WIDTH, BANNER_HEIGHT], align: 'center', valign: 'center' });
+      return;
+    } catch (error) {
+      // Unsupported image format, draw the plain header instead
+    }
+  }
+
+  doc.rect(0, 0, PAGE_WIDTH, BANNER_HEIGHT).fill(BRAND_COLOR);
+  doc.fillColor('#FFFFFF')
+    .font('Helvetica-Bold')
+    .fontSize(22)
+    .text(event.title, MARGIN, BANNER_HEIGHT / 2 - 14, {
+      width: PAGE_WIDTH - MARGIN * 2,
+      align: 'center',
+      height: BANNER_HEIGHT / 2,
+      ellipsis: true
+    });
+};
+
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const drawField = (doc, label, value) => {
+  doc.fillColor('#888888').font('Helvetica').fontSize(8).text(label.toUpperCase(), { width: CONTENT_WIDTH });
+  doc.fillColor('#222222').font('Helvetica-Bold').fontSize(11).text(value || '-', { width: CONTENT_WIDTH });
+  doc.moveDown(0.5);
+};
+
+// Render a ticket as a single-page PDF. `ticket` must have eventId
+// populated; `holderName` is the name printed on the ticket.
+// Resolves to the PDF as a Buffer.
+const renderTicketPdf = (ticket, { holderName } = {}) => {
+  return new Promise((resolve, reject) => {
+    const event = ticket.eventId;
+    const doc = new PDFDocument({
+      size: [PAGE_WIDTH, PAGE_HEIGHT],
+      margin: 0,
+      info: {
+        Title: `${event.title} - Ticket ${ticket.ticketNumber}`,
+        Subject: 'Event ticket'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawBanner(doc, event);
+
+    doc.x = MARGIN;
+    doc.y = BANNER_HEIGHT + 20;
+
+    doc.fillColor('#222222').font('Helvetica-Bold').fontSize(16)
+      .text(event.title, { width: CONTENT_WIDTH });
+    doc.moveDown(0.6);
+
+    drawField(doc, 'Date', formatDateTime(event.startDateTime));
+    drawField(doc, 'Venue', formatVenue(event.location).join('\n'));
+    drawField(doc, 'Attendee', holderName);
+    drawField(doc, 'Ticket', [ticket.ticketNumber, ticket.ticketTypeName].filter(Boolean).join('  ·  '));
+
+    const qrCode = decodeDataUrl(ticket.qrCodeUrl);
+    const qrY = Math.max(doc.y + 5, PAGE_HEIGHT - QR_SIZE - 60);
+
+    if (qrCode) {
+      doc.image(qrCode, (PAGE_WIDTH - QR_SIZE) / 2, qrY, { width: QR_SIZE, height: QR_SIZE });
+    }
+
+    doc.fillColor('#888888').font('Helvetica').fontSize(8)
+      .text('Present this QR code at the entrance.', MARGIN, qrY + QR_SIZE + 10, {
+        width: CONTENT_WIDTH,
+        align: 'center'
+      });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  decodeDataUrl,
+  renderTicketPdf
+};
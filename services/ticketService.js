@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const { getAvailableSeats } = require('./capacityService');
+const { signTicketToken } = require('./qrTokenService');
+
+// Generate a human readable ticket number. The random suffix keeps numbers
+// unique when a group order issues several tickets in the same millisecond.
+const generateTicketNumber = () => {
+  return `TCK${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Return the reason the event cannot be booked right now, or null if it can
+const getBookingError = (event) => {
+  if (event.status !== 'published') {
+    return 'Event is not available for booking';
+  }
+
+  if (new Date(event.startDateTime) <= new Date()) {
+    return 'Cannot book tickets for events that have already started';
+  }
+
+  if (getAvailableSeats(event) <= 0) {
+    return 'Event is sold out';
+  }
+
+  return null;
+};
+
+// Name of the person a ticket is for: the named guest, or the booking
+// account's holder. Expects attendeeId to be populated with the user's name.
+const getHolderName = (ticket) => {
+  if (ticket.guest?.name) {
+    return ticket.guest.name;
+  }
+
+  const attendee = ticket.attendeeId;
+  return attendee?.firstName ? `${attendee.firstName} ${attendee.lastName}` : '';
+};
+
+// Ticket statuses that hold a place at the event and count towards attendance
+const ATTENDING_STATUSES = ['active', 'used'];
+
+// Query condition for tickets that have been checked in at the door
+const CHECKED_IN_FILTER = { 'verification.isScanned': true };
+
+// Whether a ticket has been checked in at the door
+const isCheckedIn = (ticket) => Boolean(ticket.verification?.isScanned);
+
+// Check-in state of a ticket as shown to hosts, staff and attendees.
+// Expects verification.scannedBy to be populated when a name is wanted.
+const getCheckIn = (ticket) => {
+  const verification = ticket.verification || {};
+
+  return {
+    isCheckedIn: isCheckedIn(ticket),
+    checkInTime: verification.scannedAt || null,
+    checkedInBy: verification.scannedBy || null,
+    entryGate: verification.entryGate || null,
+    exitTime: verification.exitTime || null,
+    scanCount: verification.scanCount || 0
+  };
+};
+
+// Render the QR code for a ticket: a signed token scanners can verify
+// without a database lookup. Returns { qrCodeUrl, qrKeyId }.
+const renderQrCode = async ({ eventId, ticketNumber, qrCodeData }) => {
+  const { token, keyId } = signTicketToken({ eventId, ticketNumber, qrCodeData });
+  const qrCodeUrl = await QRCode.toDataURL(token);
+
+  return { qrCodeUrl, qrKeyId: keyId };
+};
+
+// Create an active ticket with its QR code. The caller must already have
+// reserved the seat (claimSeats or a converted seat hold) and should release
+// it again if this throws.
+const issueTicket = async ({
+  eventId,
+  attendeeId,
+  paymentId,
+  pricePaid = 0,
+  discountAmount = 0,
+  promoCode = null,
+  paymentStatus = 'completed',
+  attendeeInfo = {},
+  ticketType = null,
+  orderId = null,
+  guest = null,
+  salesChannel = 'online'
+}) => {
+  const ticketNumber = generateTicketNumber();
+
+  // Validation code stored with the ticket; the QR token embeds its prefix
+  const qrCodeData = crypto.randomBytes(32).toString('hex');
+
+  const { qrCodeUrl, qrKeyId } = await renderQrCode({ eventId, ticketNumber, qrCodeData });
+
+  const ticket = new Ticket({
+    eventId,
+    attendeeId,
+    ticketTypeId: ticketType?._id,
+    ticketTypeName: ticketType?.name,
+    orderId,
+    guest: guest?.name || guest?.email ? { name: guest.name, email: guest.email } : undefined,
+    ticketNumber,
+    qrCodeUrl,
+    qrCodeData,
+    qrKeyId,
+    paymentId,
+    pricePaid,
+    discountAmount,
+    promoCode,
+    paymentStatus,
+    salesChannel,
+    status: 'active',
+    attendeeInfo
+  });
+
+  await ticket.save();
+
+  return ticket;
+};
+
+module.exports = {
+  ATTENDING_STATUSES,
+  CHECKED_IN_FILTER,
+  generateTicketNumber,
+  getBookingError,
+  getCheckIn,
+  getHolderName,
+  isCheckedIn,
+  issueTicket,
+  renderQrCode
+};
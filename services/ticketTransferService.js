@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const TicketTransfer = require('../models/TicketTransfer');
+const { renderQrCode } = require('./ticketService');
+
+// Ticket holders can hand a ticket to someone else by email. The recipient
+// accepts with their own account, the ticket moves to them with a freshly
+// issued QR code, and the old code stops scanning: its signed token carries
+// a prefix of the old qrCodeData, which no longer matches the ticket.
+
+// Used for events created before transfer policies existed
+const DEFAULT_TRANSFER_POLICY = {
+  allowed: true,
+  cutoffHours: 0,
+  maxTransfers: null
+};
+
+// How long a recipient has to accept
+const TRANSFER_TTL_HOURS = 72;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const getTransferPolicy = (event) => {
+  return typeof event.transferPolicy?.allowed === 'boolean' ? event.transferPolicy : DEFAULT_TRANSFER_POLICY;
+};
+
+// Parse a transfer policy sent by a host. Multipart forms send it as a JSON
+// string. Returns { transferPolicy } or { error }.
+const parseTransferPolicy = (input) => {
+  let policy = input;
+
+  if (typeof input === 'string') {
+    try {
+      policy = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid transfer policy format' };
+    }
+  }
+
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Invalid transfer policy format' };
+  }
+
+  const allowed = policy.allowed === undefined ? true : policy.allowed === true || policy.allowed === 'true';
+
+  const cutoffHours = Number(policy.cutoffHours || 0);
+  if (!(cutoffHours >= 0)) {
+    return { error: 'Transfer cutoff cannot be negative' };
+  }
+
+  let maxTransfers = null;
+  if (policy.maxTransfers !== undefined && policy.maxTransfers !== null && policy.maxTransfers !== '') {
+    maxTransfers = Number(policy.maxTransfers);
+
+    if (!Number.isInteger(maxTransfers) || maxTransfers < 1) {
+      return { error: 'Maximum transfers must be a whole number of at least 1' };
+    }
+  }
+
+  return { transferPolicy: { allowed, cutoffHours, maxTransfers } };
+};
+
+// When transfers for an event close
+const getTransferDeadline = (event) => {
+  const { cutoffHours } = getTransferPolicy(event);
+  return new Date(new Date(event.startDateTime).getTime() - (cutoffHours || 0) * 60 * 60 * 1000);
+};
+
+// Reason a ticket cannot be transferred right now, or null if it can.
+// `event` needs status, startDateTime and transferPolicy.
+const getTransferError = (ticket, event, now = new Date()) => {
+  const policy = getTransferPolicy(event);
+
+  if (!policy.allowed) {
+    return 'The organizer does not allow tickets for this event to be transferred';
+  }
+
+  if (event.status !== 'published') {
+    return 'Event is not available';
+  }
+
+  if (ticket.status !== 'active') {
+    return `Ticket is ${ticket.status}`;
+  }
+
+  if (ticket.verification?.isScanned) {
+    return 'Ticket has already been used to enter the event';
+  }
+
+  if (now >= getTransferDeadline(event)) {
+    return policy.cutoffHours
+      ? `Transfers close ${policy.cutoffHours} hour(s) before the event starts`
+      : 'Tickets cannot be transferred once the event has started';
+  }
+
+  if (policy.maxTransfers && (ticket.transferHistory || []).length >= policy.maxTransfers) {
+    return `This ticket has already been transferred the maximum of ${policy.maxTransfers} time(s)`;
+  }
+
+  return null;
+};
+
+// Mark transfers whose time ran out before the recipient answered
+const expireTransfers = async (filter = {}) => {
+  await TicketTransfer.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+// User who paid for a ticket: whoever gave it away first, or the holder if it
+// was never transferred
+const getPurchaserId = (ticket) => {
+  return ticket.transferHistory?.[0]?.fromUserId || ticket.attendeeId?._id || ticket.attendeeId;
+};
+
+// Offer a ticket to someone by email. `ticket` must be held by `user` and
+// have eventId populated. Returns { transfer } or { error, statusCode }.
+const startTransfer = async (ticket, user, { email, message } = {}) => {
+  const address = String(email || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(address)) {
+    return { error: 'Please provide a valid email address', statusCode: 400 };
+  }
+
+  if (address === user.email.toLowerCase()) {
+    return { error: 'You already hold this ticket', statusCode: 400 };
+  }
+
+  const event = ticket.eventId;
+  const transferError = getTransferError(ticket, event);
+  if (transferError) {
+    return { error: transferError, statusCode: 400 };
+  }
+
+  await expireTransfers({ ticketId: ticket._id });
+
+  const existing = await TicketTransfer.findOne({ ticketId: ticket._id, status: 'pending' });
+  if (existing) {
+    return { error: `This ticket is already being transferred to ${existing.toEmail}`, statusCode: 409 };
+  }
+
+  // The offer never outlives the transfer window
+  const ttlEnd = Date.now() + TRANSFER_TTL_HOURS * 60 * 60 * 1000;
+  const expiresAt = new Date(Math.min(ttlEnd, getTransferDeadline(event).getTime()));
+
+  try {
+    const transfer = await TicketTransfer.create({
+      ticketId: ticket._id,
+      eventId: event._id,
+      ticketNumber: ticket.ticketNumber,
+      fromUserId: user._id,
+      toEmail: address,
+      message,
+      expiresAt
+    });
+
+    return { transfer };
+  } catch (error) {
+    // Another request started a transfer of the same ticket at the same time
+    if (error.code === 11000) {
+      return { error: 'This ticket is already being transferred', statusCode: 409 };
+    }
+    throw error;
+  }
+};
+
+// Withdraw a holder's open transfer of a ticket.
+// Returns the cancelled transfer, or null if there was none.
+const cancelTransfer = async (ticketId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) return null;
+
+  return TicketTransfer.findOneAndUpdate(
+    { ticketId, fromUserId: userId, status: 'pending' },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+};
+
+// Open transfers addressed to a user, and every transfer they started
+const findTransfersForUser = async (user) => {
+  const email = user.email.toLowerCase();
+  await expireTransfers({ $or: [{ toEmail: email }, { fromUserId: user._id }] });
+
+  const [incoming, outgoing] = await Promise.all([
+    TicketTransfer.find({ toEmail: email, status: 'pending' })
+      .populate('eventId', 'title startDateTime endDateTime location')
+      .populate('fromUserId', 'firstName lastName email')
+      .sort({ createdAt: -1 }),
+    TicketTransfer.find({ fromUserId: user._id })
+      .populate('eventId', 'title startDateTime')
+      .sort({ createdAt: -1 })
+      .limit(50)
+  ]);
+
+  return { incoming, outgoing };
+};
+
+// An event's transfers, most recent first, for its host. `status` filters
+// by a comma separated list of statuses.
+const findEventTransfers = async (eventId, { status } = {}) => {
+  await expireTransfers({ eventId });
+
+  const filter = { eventId };
+  if (status) filter.status = { $in: status.split(',') };
+
+  return TicketTransfer.find(filter)
+    .populate('fromUserId', 'firstName lastName email')
+    .populate('toUserId', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .limit(500);
+};
+
+// Move a ticket to the recipient of an accepted transfer with a new QR code.
+// Returns the ticket, or null if it was used or cancelled meanwhile.
+const reissueTicket = async (transfer, user) => {
+  const ticket = await Ticket.findById(transfer.ticketId).select('eventId ticketNumber');
+  if (!ticket) return null;
+
+  const qrCodeData = crypto.randomBytes(32).toString('hex');
+  const { qrCodeUrl, qrKeyId } = await renderQrCode({
+    eventId: ticket.eventId,
+    ticketNumber: ticket.ticketNumber,
+    qrCodeData
+  });
+
+  return Ticket.findOneAndUpdate(
+    {
+      _id: transfer.ticketId,
+      attendeeId: transfer.fromUserId,
+      status: 'active',
+      'verification.isScanned': { $ne: true }
+    },
+    {
+      $set: {
+        attendeeId: user._id,
+        guest: { name: `${user.firstName} ${user.lastName}`, email: user.email },
+        qrCodeData,
+        qrCodeUrl,
+        qrKeyId
+      },
+      // Details the previous holder gave are theirs, not the recipient's
+      $unset: { attendeeInfo: 1 },
+      $push: {
+        transferHistory: {
+          transferId: transfer._id,
+          fromUserId: transfer.fromUserId,
+          toUserId: user._id,
+          transferredAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Accept or decline a transfer addressed to `user`.
+// Returns { transfer, ticket } or { error, statusCode }.
+const respondToTransfer = async (transferId, user, accept) => {
+  if (!mongoose.Types.ObjectId.isValid(transferId)) {
+    return { error: 'Transfer not found', statusCode: 404 };
+  }
+
+  const transfer = await TicketTransfer.findById(transferId).populate('eventId', 'status startDateTime transferPolicy');
+
+  if (!transfer || transfer.toEmail !== user.email.toLowerCase()) {
+    return { error: 'Transfer not found', statusCode: 404 };
+  }
+
+  if (transfer.status === 'pending' && transfer.expiresAt <= new Date()) {
+    await expireTransfers({ _id: transfer._id });
+    return { error: 'This transfer has expired', statusCode: 400 };
+  }
+
+  if (accept) {
+    if (user.selectedRole !== 'event_attendee') {
+      return { error: 'Only attendee accounts can accept tickets', statusCode: 403 };
+    }
+
+    const ticket = await Ticket.findById(transfer.ticketId).select('status verification.isScanned transferHistory');
+    const transferError = ticket ? getTransferError(ticket, transfer.eventId) : 'Ticket no longer exists';
+    if (transferError) {
+      return { error: transferError, statusCode: 400 };
+    }
+  }
+
+  // Only one answer is recorded, however many requests arrive
+  const answered = await TicketTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'pending' },
+    { status: accept ? 'accepted' : 'declined', toUserId: user._id, respondedAt: new Date() },
+    { new: true }
+  );
+
+  if (!answered) {
+    return { error: `This transfer is already ${transfer.status}`, statusCode: 400 };
+  }
+
+  if (!accept) {
+    return { transfer: answered, ticket: null };
+  }
+
+  const ticket = await reissueTicket(answered, user);
+
+  if (!ticket) {
+    answered.status = 'failed';
+    await answered.save();
+    return { error: 'The ticket was used or cancelled before the transfer completed', statusCode: 409 };
+  }
+
+  console.log(`🔁 Ticket ${ticket.ticketNumber} transferred to ${user.email}`);
+
+  return { transfer: answered, ticket };
+};
+
+module.exports = {
+  DEFAULT_TRANSFER_POLICY,
+  cancelTransfer,
+  findEventTransfers,
+  findTransfersForUser,
+  getPurchaserId,
+  getTransferError,
+  getTransferPolicy,
+  parseTransferPolicy,
+  respondToTransfer,
+  startTransfer
+};
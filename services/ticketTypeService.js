@@ -0,0 +1,176 @@
+const { getAvailableSeats } = require('./capacityService');
+
+// Fields a host may set on a ticket type; sold/held are managed by bookings
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'quantity', 'salesStart', 'salesEnd', 'isActive', 'zoneAccess'];
+
+const pickEditable = (type) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (type[field] !== undefined) acc[field] = type[field];
+    return acc;
+  }, {});
+};
+
+// Parse ticket types sent by a host. Multipart forms send them as a JSON
+// string. Returns { ticketTypes } or { error }.
+const parseTicketTypes = (input) => {
+  let ticketTypes = input;
+
+  if (typeof input === 'string') {
+    try {
+      ticketTypes = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid ticket types format' };
+    }
+  }
+
+  if (!Array.isArray(ticketTypes)) {
+    return { error: 'Ticket types must be a list' };
+  }
+
+  for (const type of ticketTypes) {
+    if (!type.name || type.price === undefined || !type.quantity) {
+      return { error: 'Each ticket type needs a name, price and quantity' };
+    }
+
+    if (type.salesStart && type.salesEnd && new Date(type.salesEnd) <= new Date(type.salesStart)) {
+      return { error: `Sales for "${type.name}" must end after they start` };
+    }
+  }
+
+  return {
+    ticketTypes: ticketTypes.map(type => ({
+      ...(type._id && { _id: type._id }),
+      ...pickEditable(type)
+    }))
+  };
+};
+
+// Apply a host's edited list of ticket types to the event's current ones.
+// Existing types keep their sold/held counters; a type that has bookings
+// cannot be removed or shrunk below them. Returns { ticketTypes } or { error }.
+const mergeTicketTypes = (existingTypes = [], incomingTypes) => {
+  const existingById = new Map(existingTypes.map(type => [type._id.toString(), type]));
+  const keptIds = new Set();
+  const ticketTypes = [];
+
+  for (const incoming of incomingTypes) {
+    const existing = incoming._id && existingById.get(incoming._id.toString());
+
+    if (!existing) {
+      ticketTypes.push(pickEditable(incoming));
+      continue;
+    }
+
+    const booked = (existing.sold || 0) + (existing.held || 0);
+    if (incoming.quantity !== undefined && Number(incoming.quantity) < booked) {
+      return { error: `"${existing.name}" already has ${booked} tickets booked or held` };
+    }
+
+    keptIds.add(existing._id.toString());
+    ticketTypes.push({
+      ...existing.toObject(),
+      ...pickEditable(incoming)
+    });
+  }
+
+  for (const existing of existingTypes) {
+    if (!keptIds.has(existing._id.toString()) && (existing.sold > 0 || existing.held > 0)) {
+      return { error: `"${existing.name}" has bookings and cannot be removed. Deactivate it instead.` };
+    }
+  }
+
+  return { ticketTypes };
+};
+
+// Whether a ticket type can be bought right now
+const isOnSale = (ticketType, now = new Date()) => {
+  if (!ticketType.isActive) return false;
+  if (ticketType.salesStart && now < new Date(ticketType.salesStart)) return false;
+  if (ticketType.salesEnd && now > new Date(ticketType.salesEnd)) return false;
+  return true;
+};
+
+// Find the ticket type a booking is for. Events without ticket types use the
+// event's own pricing and resolve to null. Returns { ticketType } or { error }.
+const resolveTicketType = (event, ticketTypeId) => {
+  const ticketTypes = event.ticketTypes || [];
+
+  if (ticketTypes.length === 0) {
+    return { ticketType: null };
+  }
+
+  let ticketType;
+
+  if (ticketTypeId) {
+    ticketType = ticketTypes.find(type => type._id.toString() === ticketTypeId.toString());
+  } else {
+    // A single type on sale can be picked without asking
+    const onSale = ticketTypes.filter(type => isOnSale(type));
+    if (onSale.length !== 1) {
+      return { error: 'Please choose a ticket type' };
+    }
+    ticketType = onSale[0];
+  }
+
+  if (!ticketType) {
+    return { error: 'Ticket type not found for this event' };
+  }
+
+  if (!isOnSale(ticketType)) {
+    return { error: `${ticketType.name} tickets are not on sale` };
+  }
+
+  if (getAvailableSeats(event, ticketType) <= 0) {
+    return { error: `${ticketType.name} tickets are sold out` };
+  }
+
+  return { ticketType };
+};
+
+// Price of one ticket of the given type (or of the event if it has no types)
+const getUnitPrice = (event, ticketType) => {
+  if (ticketType) {
+    return ticketType.price;
+  }
+
+  return event.pricing?.isFree ? 0 : event.pricing.price;
+};
+
+// Ticket types with their price and availability, for attendee views
+const describeTicketTypes = (event) => {
+  const now = new Date();
+
+  return (event.ticketTypes || [])
+    .filter(type => type.isActive)
+    .map(type => {
+      const availableTickets = getAvailableSeats(event, type);
+
+      return {
+        _id: type._id,
+        name: type.name,
+        description: type.description,
+        price: type.price,
+        currency: event.pricing?.currency || 'USD',
+        quantity: type.quantity,
+        soldTickets: type.sold,
+        availableTickets,
+        isSoldOut: availableTickets <= 0,
+        isOnSale: isOnSale(type, now),
+        salesStart: type.salesStart,
+        salesEnd: type.salesEnd,
+        // Names of the restricted zones the type gets into
+        zoneAccess: (type.zoneAccess || [])
+          .map(zoneId => (event.zones || []).find(zone => zone._id.equals(zoneId))?.name)
+          .filter(Boolean)
+      };
+    });
+};
+
+module.exports = {
+  describeTicketTypes,
+  getUnitPrice,
+  isOnSale,
+  mergeTicketTypes,
+  parseTicketTypes,
+  resolveTicketType
+};
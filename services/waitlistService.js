@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getAvailableSeats, holdSeats, releaseHeldSeats } = require('./capacityService');
+const { HOLD_MINUTES, endHold } = require('./seatHoldService');
+const { isOnSale } = require('./ticketTypeService');
+
+// Waitlists for sold out events. Whenever seats come free (a cancellation,
+// a lapsed checkout, a host raising capacity) promoteWaitlist offers them to
+// the longest waiting attendees. An offer reserves the seats with a SeatHold
+// for OFFER_MINUTES; the attendee books them through the normal booking or
+// payment flow, which picks the offer up. Offers nobody claims expire and
+// the seats move on to the next person.
+
+// How long an attendee has to claim offered seats
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60;
+
+// Most entries looked at in one promotion run
+const MAX_OFFERS_PER_RUN = 50;
+
+// Entries still in line for seats
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Payment id recorded on an offer's hold until it is claimed
+const offerPaymentId = (entry) => `WAITLIST_${entry._id}`;
+
+const sameTicketType = (a, b) => (a ? a.toString() : '') === (b ? b.toString() : '');
+
+// Place of a waiting entry in its event's queue, starting at 1
+const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await WaitlistEntry.countDocuments({
+    eventId: entry.eventId,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+// Put an attendee on an event's waitlist. `quantity` must already be
+// validated (parseOrderRequest). Only sold out events and ticket types take
+// a waitlist. Returns { entry, position } or { error, statusCode }.
+const joinWaitlist = async (event, userId, { ticketTypeId, quantity = 1 } = {}) => {
+  if (event.status !== 'published') {
+    return { error: 'Event is not available for booking', statusCode: 400 };
+  }
+
+  if (new Date(event.startDateTime) <= new Date()) {
+    return { error: 'Cannot join the waitlist for an event that has already started', statusCode: 400 };
+  }
+
+  const ticketTypes = event.ticketTypes || [];
+  let ticketType = null;
+
+  if (ticketTypes.length > 0) {
+    ticketType = ticketTypeId
+      ? ticketTypes.find(type => type._id.toString() === ticketTypeId.toString())
+      : ticketTypes.length === 1 ? ticketTypes[0] : null;
+
+    if (!ticketType) {
+      return { error: ticketTypeId ? 'Ticket type not found for this event' : 'Please choose a ticket type', statusCode: 400 };
+    }
+
+    if (!isOnSale(ticketType)) {
+      return { error: `${ticketType.name} tickets are not on sale`, statusCode: 400 };
+    }
+  }
+
+  if (getAvailableSeats(event, ticketType) >= quantity) {
+    return { error: 'Tickets are still available. Book them directly.', statusCode: 400 };
+  }
+
+  const existing = await WaitlistEntry.findOne({ eventId: event._id, userId, status: { $in: OPEN_STATUSES } });
+  if (existing) {
+    return { error: 'You are already on the waitlist for this event', statusCode: 409 };
+  }
+
+  const entry = await WaitlistEntry.create({
+    eventId: event._id,
+    userId,
+    ticketTypeId: ticketType?._id,
+    ticketTypeName: ticketType?.name,
+    quantity
+  });
+
+  return { entry, position: await getWaitlistPosition(entry) };
+};
+
+// Reserve seats for a waiting entry and offer them.
+// Returns the offered entry, or null if the seats are not there.
+const offerSeats = async (entry) => {
+  if (!(await holdSeats(entry.eventId, entry.quantity, entry.ticketTypeId))) {
+    return null;
+  }
+
+  const offeredAt = new Date();
+  const expiresAt = new Date(offeredAt.getTime() + OFFER_MINUTES * 60 * 1000);
+
+  let hold;
+  try {
+    hold = await SeatHold.create({
+      eventId: entry.eventId,
+      userId: entry.userId,
+      paymentId: offerPaymentId(entry),
+      ticketTypeId: entry.ticketTypeId,
+      quantity: entry.quantity,
+      expiresAt
+    });
+  } catch (error) {
+    await releaseHeldSeats(entry.eventId, entry.quantity, entry.ticketTypeId);
+    throw error;
+  }
+
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'offered', offer: { holdId: hold._id, offeredAt, expiresAt } },
+    { new: true }
+  );
+
+  // The attendee left, or another run offered them seats first
+  if (!offered) {
+    await endHold(hold);
+    return null;
+  }
+
+  console.log(`🪑 Offered ${entry.quantity} waitlisted seat(s) for event ${entry.eventId} until ${expiresAt.toISOString()}`);
+  return offered;
+};
+
+// Expire offers whose claim window has passed and give their seats back.
+// Returns the number of offers expired.
+const expireOffers = async ({ eventId } = {}) => {
+  const filter = { status: 'offered', 'offer.expiresAt': { $lte: new Date() } };
+  if (eventId) filter.eventId = eventId;
+
+  const entries = await WaitlistEntry.find(filter);
+  let expired = 0;
+
+  for (const entry of entries) {
+    const ended = await WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { status: 'expired' });
+    if (ended.modifiedCount === 0) continue;
+
+    // The hold sweeper may already have ended it
+    await endHold({ _id: entry.offer.holdId }, 'expired');
+    expired++;
+  }
+
+  return expired;
+};
+
+// Offer any open seats at an event to the people waiting, oldest first.
+// People asking for more seats than are open are passed over for now and
+// keep their place. Returns the entries offered seats.
+const promoteWaitlist = async (eventId) => {
+  await expireOffers({ eventId });
+
+  const event = await Event.findById(eventId).select('status startDateTime capacity ticketsSold ticketsHeld ticketTypes');
+
+  // Nothing more will come free once the event is over, cancelled or has
+  // started
+  if (!event || ['cancelled', 'completed'].includes(event.status) || new Date(event.startDateTime) <= new Date()) {
+    await WaitlistEntry.updateMany({ eventId, status: 'waiting' }, { status: 'closed' });
+    return [];
+  }
+
+  // Unpublished for now (e.g. back in draft); people keep their place until
+  // it is published again
+  if (event.status !== 'published') {
+    return [];
+  }
+
+  if (getAvailableSeats(event) === 0) {
+    return [];
+  }
+
+  const waiting = await WaitlistEntry.find({ eventId, status: 'waiting' })
+    .sort({ createdAt: 1 })
+    .limit(MAX_OFFERS_PER_RUN);
+
+  const offers = [];
+  for (const entry of waiting) {
+    const offered = await offerSeats(entry);
+    if (offered) offers.push(offered);
+  }
+
+  return offers;
+};
+
+// promoteWaitlist for callers that have just freed seats; a failure is
+// reported but never fails what freed them
+const promoteWaitlistQuietly = async (eventId) => {
+  try {
+    await promoteWaitlist(eventId);
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+  }
+};
+
+// The attendee's unexpired offer for an event, if they have one
+const findActiveOffer = (eventId, userId) => {
+  return WaitlistEntry.findOne({
+    eventId,
+    userId,
+    status: 'offered',
+    'offer.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Count the seats an offer holds as open on this in-memory copy of the
+// event, so the attendee it was made to can book them. Nothing is saved.
+const includeOfferSeats = (event, offer) => {
+  event.ticketsHeld = Math.max((event.ticketsHeld || 0) - offer.quantity, 0);
+
+  const ticketType = (event.ticketTypes || []).find(type => sameTicketType(type._id, offer.ticketTypeId));
+  if (ticketType) {
+    ticketType.held = Math.max((ticketType.held || 0) - offer.quantity, 0);
+  }
+};
+
+// Move an offer's seats onto a checkout. The hold takes `paymentId` and the
+// normal checkout time limit; seats beyond `quantity` go back to the event.
+// Returns the hold, or null if the offer does not cover the booking or has
+// lapsed.
+const claimOffer = async (offer, { paymentId, ticketTypeId, quantity }) => {
+  if (!sameTicketType(offer.ticketTypeId, ticketTypeId) || quantity > offer.quantity) {
+    return null;
+  }
+
+  const now = new Date();
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: offer._id, status: 'offered', 'offer.expiresAt': { $gt: now } },
+    { status: 'claimed', claimedAt: now },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const hold = await SeatHold.findOneAndUpdate(
+    { _id: offer.offer.holdId, paymentId: offerPaymentId(offer), status: 'active' },
+    { paymentId, quantity, expiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000) },
+    { new: true }
+  );
+
+  // The hold lapsed just as the offer was claimed
+  if (!hold) {
+    await WaitlistEntry.updateOne({ _id: offer._id }, { status: 'expired' });
+    return null;
+  }
+
+  if (quantity < offer.quantity) {
+    await releaseHeldSeats(offer.eventId, offer.quantity - quantity, offer.ticketTypeId);
+    await promoteWaitlistQuietly(offer.eventId);
+  }
+
+  return hold;
+};
+
+// Take an attendee off a waitlist. Seats they were offered go to the next
+// person. Returns false if the entry is not theirs or already finished.
+const leaveWaitlist = async (entryId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) return false;
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, userId, status: { $in: OPEN_STATUSES } },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+  if (!entry) return false;
+
+  if (entry.status === 'offered') {
+    await endHold({ _id: entry.offer.holdId }, 'released');
+    await promoteWaitlistQuietly(entry.eventId);
+  }
+
+  return true;
+};
+
+// An attendee's open and recent waitlist entries, with queue positions
+const findMyWaitlistEntries = async (userId) => {
+  const entries = await WaitlistEntry.find({ userId })
+    .populate('eventId', 'title startDateTime location status')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  return Promise.all(entries.map(async (entry) => ({
+    ...entry.toObject(),
+    position: await getWaitlistPosition(entry)
+  })));
+};
+
+// Waitlist size per event: people waiting, the seats they want and open
+// offers. Keyed by event id.
+const countWaitlists = async (eventIds) => {
+  const groups = await WaitlistEntry.aggregate([
+    { $match: { eventId: { $in: eventIds.map(id => new mongoose.Types.ObjectId(id)) }, status: { $in: OPEN_STATUSES } } },
+    {
+      $group: {
+        _id: { eventId: '$eventId', status: '$status' },
+        entries: { $sum: 1 },
+        seats: { $sum: '$quantity' }
+      }
+    }
+  ]);
+
+  return groups.reduce((acc, { _id, entries, seats }) => {
+    const key = _id.eventId.toString();
+    if (!acc[key]) acc[key] = { waiting: 0, waitingSeats: 0, offered: 0 };
+
+    if (_id.status === 'waiting') {
+      acc[key].waiting += entries;
+      acc[key].waitingSeats += seats;
+    } else {
+      acc[key].offered += entries;
+    }
+
+    return acc;
+  }, {});
+};
+
+// Periodically expire unclaimed offers and offer seats freed by anything
+// that does not promote the waitlist itself (e.g. lapsed checkouts)
+const startWaitlistSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireOffers();
+      if (expired > 0) {
+        console.log(`⏱️  Expired ${expired} unclaimed waitlist offer(s)`);
+      }
+
+      const eventIds = await WaitlistEntry.distinct('eventId', { status: 'waiting' });
+      for (const eventId of eventIds) {
+        await promoteWaitlist(eventId);
+      }
+    } catch (error) {
+      console.error('Waitlist sweeper error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  OFFER_MINUTES,
+  claimOffer,
+  countWaitlists,
+  findActiveOffer,
+  findMyWaitlistEntries,
+  includeOfferSeats,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteWaitlist,
+  promoteWaitlistQuietly,
+  startWaitlistSweeper
+};
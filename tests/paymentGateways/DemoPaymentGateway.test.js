@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const DemoPaymentGateway = require('../../services/paymentGateways/DemoPaymentGateway');
+
+const sign = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+describe('DemoPaymentGateway webhooks', () => {
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.completed', data: { orderId: 'order_DEMO1' } });
+
+  it('accepts a body signed with the webhook secret', () => {
+    const gateway = new DemoPaymentGateway({ webhookSecret: 'configured-secret' });
+    const headers = { 'x-demo-signature': sign('configured-secret', rawBody) };
+
+    expect(gateway.verifyWebhookSignature({ rawBody, headers })).toBe(true);
+  });
+
+  it('rejects a body signed with another secret', () => {
+    const gateway = new DemoPaymentGateway({ webhookSecret: 'configured-secret' });
+    const headers = { 'x-demo-signature': sign('demo-webhook-secret', rawBody) };
+
+    expect(gateway.verifyWebhookSignature({ rawBody, headers })).toBe(false);
+  });
+
+  it('rejects every webhook when no secret is configured', () => {
+    const gateway = new DemoPaymentGateway({});
+    const headers = { 'x-demo-signature': sign('demo-webhook-secret', rawBody) };
+
+    expect(gateway.verifyWebhookSignature({ rawBody, headers })).toBe(false);
+  });
+});
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const http = require('http');
+const { getPaymentGateway, PaymentGatewayError } = require('../../services/paymentGateways');
+const RazorpayGateway = require('../../services/paymentGateways/RazorpayGateway');
+
+const KEY_ID = 'rzp_test_stub';
+const KEY_SECRET = 'stub-key-secret';
+const WEBHOOK_SECRET = 'stub-webhook-secret';
+
+// Local stand-in for the Razorpay HTTP API. Tests register a handler per
+// "METHOD /path"; every request is recorded so tests can check what the
+// driver sent.
+const stub = {
+  server: null,
+  routes: {},
+  requests: [],
+
+  on(method, path, handler) {
+    this.routes[`${method} ${path}`] = handler;
+  },
+
+  reset() {
+    this.routes = {};
+    this.requests = [];
+  }
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const razorpayError = (code, description) => ({ error: { code, description } });
+
+const sign = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+let gateway;
+
+beforeAll(async () => {
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: req.url.split('?')[0],
+        headers: req.headers,
+        body: body ? JSON.parse(body) : undefined
+      };
+      stub.requests.push(request);
+
+      const handler = stub.routes[`${request.method} ${request.path}`];
+      if (!handler) {
+        return sendJson(res, 404, razorpayError('BAD_REQUEST_ERROR', 'The requested URL was not found on the server.'));
+      }
+
+      const [statusCode, response] = handler(request);
+      sendJson(res, statusCode, response);
+    });
+  });
+
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+
+  process.env.RAZORPAY_KEY_ID = KEY_ID;
+  process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+  process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.RAZORPAY_API_URL = `http://127.0.0.1:${stub.server.address().port}`;
+
+  gateway = getPaymentGateway('razorpay');
+});
+
+afterAll(async () => {
+  await new Promise(resolve => stub.server.close(resolve));
+});
+
+beforeEach(() => {
+  stub.reset();
+});
+
+describe('RazorpayGateway', () => {
+  it('is chosen by the stored gateway name as well as the driver key', () => {
+    expect(getPaymentGateway('Razorpay')).toBe(gateway);
+    expect(gateway.getCheckoutConfig()).toEqual({ keyId: KEY_ID });
+  });
+
+  describe('createOrder', () => {
+    it('creates an order in subunits and returns it in major units', async () => {
+      stub.on('POST', '/v1/orders', ({ body }) => [200, {
+        id: 'order_123',
+        entity: 'order',
+        amount: body.amount,
+        currency: body.currency,
+        receipt: body.receipt,
+        status: 'created'
+      }]);
+
+      const order = await gateway.createOrder({
+        amount: 499.99,
+        currency: 'INR',
+        receipt: 'PAY_1',
+        notes: { eventId: 'evt_1' }
+      });
+
+      expect(order).toMatchObject({ orderId: 'order_123', amount: 499.99, currency: 'INR', status: 'pending' });
+
+      const [request] = stub.requests;
+      expect(request.body).toEqual({ amount: 49999, currency: 'INR', receipt: 'PAY_1', notes: { eventId: 'evt_1' } });
+
+      const credentials = Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64');
+      expect(request.headers.authorization).toBe(`Basic ${credentials}`);
+    });
+
+    it('raises a 400 PaymentGatewayError when Razorpay rejects the order', async () => {
+      stub.on('POST', '/v1/orders', () => [400, razorpayError('BAD_REQUEST_ERROR', 'Order amount less than minimum amount allowed')]);
+
+      const error = await gateway.createOrder({ amount: 0.5, currency: 'INR', receipt: 'PAY_2' }).catch(err => err);
+
+      expect(error).toBeInstanceOf(PaymentGatewayError);
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('BAD_REQUEST_ERROR');
+      expect(error.message).toBe('Order amount less than minimum amount allowed');
+    });
+
+    it('raises a 502 PaymentGatewayError when Razorpay fails', async () => {
+      stub.on('POST', '/v1/orders', () => [500, razorpayError('SERVER_ERROR', 'We are facing some trouble')]);
+
+      const error = await gateway.createOrder({ amount: 10, currency: 'INR', receipt: 'PAY_3' }).catch(err => err);
+
+      expect(error).toBeInstanceOf(PaymentGatewayError);
+      expect(error.statusCode).toBe(502);
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('accepts the signature Razorpay checkout returns', () => {
+      const signature = sign(KEY_SECRET, 'order_123|pay_456');
+
+      expect(gateway.verifySignature({ orderId: 'order_123', paymentId: 'pay_456', signature })).toBe(true);
+    });
+
+    it('rejects a signature for another payment or made with another key', () => {
+      const otherPayment = sign(KEY_SECRET, 'order_123|pay_789');
+      const otherKey = sign('not-the-key-secret', 'order_123|pay_456');
+
+      expect(gateway.verifySignature({ orderId: 'order_123', paymentId: 'pay_456', signature: otherPayment })).toBe(false);
+      expect(gateway.verifySignature({ orderId: 'order_123', paymentId: 'pay_456', signature: otherKey })).toBe(false);
+      expect(gateway.verifySignature({ orderId: 'order_123', paymentId: 'pay_456', signature: 'short' })).toBe(false);
+    });
+
+    it('rejects missing fields', () => {
+      expect(gateway.verifySignature({ orderId: 'order_123', paymentId: 'pay_456' })).toBe(false);
+      expect(gateway.verifySignature({})).toBe(false);
+    });
+  });
+
+  describe('capturePayment', () => {
+    it('captures an authorized payment', async () => {
+      stub.on('GET', '/v1/payments/pay_456', () => [200, { id: 'pay_456', status: 'authorized', amount: 49999 }]);
+      stub.on('POST', '/v1/payments/pay_456/capture', ({ body }) => [200, {
+        id: 'pay_456',
+        status: 'captured',
+        amount: body.amount,
+        currency: body.currency
+      }]);
+
+      const result = await gateway.capturePayment({ paymentId: 'pay_456', amount: 499.99, currency: 'INR' });
+
+      expect(result).toMatchObject({ paymentId: 'pay_456', status: 'completed' });
+      expect(stub.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+        'GET /v1/payments/pay_456',
+        'POST /v1/payments/pay_456/capture'
+      ]);
+      expect(stub.requests[1].body).toEqual({ amount: 49999, currency: 'INR' });
+    });
+
+    it('does not capture a payment the account already auto-captured', async () => {
+      stub.on('GET', '/v1/payments/pay_456', () => [200, { id: 'pay_456', status: 'captured', amount: 49999 }]);
+
+      const result = await gateway.capturePayment({ paymentId: 'pay_456', amount: 499.99, currency: 'INR' });
+
+      expect(result.status).toBe('completed');
+      expect(stub.requests).toHaveLength(1);
+    });
+
+    it('reports a failed payment with the bank error', async () => {
+      stub.on('GET', '/v1/payments/pay_456', () => [200, {
+        id: 'pay_456',
+        status: 'failed',
+        error_code: 'BAD_REQUEST_ERROR',
+        error_description: 'Payment was declined by the bank'
+      }]);
+
+      const result = await gateway.capturePayment({ paymentId: 'pay_456', amount: 499.99, currency: 'INR' });
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toEqual({ code: 'BAD_REQUEST_ERROR', message: 'Payment was declined by the bank' });
+    });
+
+    it('raises a PaymentGatewayError when Razorpay refuses the capture', async () => {
+      stub.on('GET', '/v1/payments/pay_456', () => [200, { id: 'pay_456', status: 'authorized', amount: 49999 }]);
+      stub.on('POST', '/v1/payments/pay_456/capture', () => [400, razorpayError(
+        'BAD_REQUEST_ERROR',
+        'Capture amount must be equal to the amount authorized'
+      )]);
+
+      const error = await gateway.capturePayment({ paymentId: 'pay_456', amount: 10, currency: 'INR' }).catch(err => err);
+
+      expect(error).toBeInstanceOf(PaymentGatewayError);
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toBe('Capture amount must be equal to the amount authorized');
+    });
+
+    it('raises GATEWAY_UNREACHABLE when Razorpay cannot be reached', async () => {
+      const offline = new RazorpayGateway({ keyId: KEY_ID, keySecret: KEY_SECRET, apiUrl: 'http://127.0.0.1:1' });
+
+      const error = await offline.capturePayment({ paymentId: 'pay_456', amount: 10, currency: 'INR' }).catch(err => err);
+
+      expect(error).toBeInstanceOf(PaymentGatewayError);
+      expect(error.code).toBe('GATEWAY_UNREACHABLE');
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('refunds part of a payment in subunits', async () => {
+      stub.on('POST', '/v1/payments/pay_456/refund', ({ body }) => [200, {
+        id: 'rfnd_1',
+        payment_id: 'pay_456',
+        amount: body.amount,
+        status: 'processed'
+      }]);
+
+      const refund = await gateway.refundPayment({ paymentId: 'pay_456', amount: 250, notes: { reason: 'cancelled' } });
+
+      expect(refund).toMatchObject({ refundId: 'rfnd_1', amount: 250, status: 'completed' });
+      expect(stub.requests[0].body).toEqual({ amount: 25000, notes: { reason: 'cancelled' } });
+    });
+
+    it('reports a refund Razorpay could not process', async () => {
+      stub.on('POST', '/v1/payments/pay_456/refund', ({ body }) => [200, {
+        id: 'rfnd_2',
+        amount: body.amount,
+        status: 'failed'
+      }]);
+
+      const refund = await gateway.refundPayment({ paymentId: 'pay_456', amount: 250 });
+
+      expect(refund.status).toBe('failed');
+    });
+
+    it('raises a PaymentGatewayError when the refund is rejected', async () => {
+      stub.on('POST', '/v1/payments/pay_456/refund', () => [400, razorpayError(
+        'BAD_REQUEST_ERROR',
+        'The refund amount provided is greater than amount captured'
+      )]);
+
+      const error = await gateway.refundPayment({ paymentId: 'pay_456', amount: 99999 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(PaymentGatewayError);
+      expect(error.statusCode).toBe(400);
+    });
+  });
+
+  describe('fetchPaymentStatus', () => {
+    it('maps Razorpay statuses to Payment statuses', async () => {
+      stub.on('GET', '/v1/payments/pay_456', () => [200, { id: 'pay_456', status: 'refunded' }]);
+
+      await expect(gateway.fetchPaymentStatus('pay_456')).resolves.toMatchObject({ paymentId: 'pay_456', status: 'refunded' });
+    });
+  });
+
+  describe('webhooks', () => {
+    const body = {
+      event: 'payment.captured',
+      payload: {
+        payment: { entity: { id: 'pay_456', order_id: 'order_123', status: 'captured' } }
+      }
+    };
+    const rawBody = JSON.stringify(body);
+
+    it('accepts a body signed with the webhook secret', () => {
+      const headers = { 'x-razorpay-signature': sign(WEBHOOK_SECRET, rawBody) };
+
+      expect(gateway.verifyWebhookSignature({ rawBody, headers })).toBe(true);
+    });
+
+    it('rejects a tampered body, a wrong secret or a missing signature', () => {
+      const headers = { 'x-razorpay-signature': sign(WEBHOOK_SECRET, rawBody) };
+      const tampered = rawBody.replace('pay_456', 'pay_789');
+
+      expect(gateway.verifyWebhookSignature({ rawBody: tampered, headers })).toBe(false);
+      expect(gateway.verifyWebhookSignature({
+        rawBody,
+        headers: { 'x-razorpay-signature': sign(KEY_SECRET, rawBody) }
+      })).toBe(false);
+      expect(gateway.verifyWebhookSignature({ rawBody, headers: {} })).toBe(false);
+    });
+
+    it('normalises a captured payment event', () => {
+      const event = gateway.parseWebhookEvent({ body, headers: { 'x-razorpay-event-id': 'evt_1' } });
+
+      expect(event).toMatchObject({
+        eventId: 'evt_1',
+        type: 'payment.completed',
+        gatewayOrderId: 'order_123',
+        gatewayPaymentId: 'pay_456'
+      });
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Ticket = require('../../models/Ticket');
+const { orderTicketView } = require('../../services/orderService');
+
+const purchaserId = new mongoose.Types.ObjectId();
+const recipientId = new mongoose.Types.ObjectId();
+
+const buildTicket = (attendeeId) => new Ticket({
+  eventId: new mongoose.Types.ObjectId(),
+  attendeeId,
+  ticketNumber: 'TKT-1001',
+  qrCodeData: 'b'.repeat(64),
+  qrCodeUrl: 'data:image/png;base64,cmVpc3N1ZWQ=',
+  status: 'active'
+});
+
+describe('orderTicketView', () => {
+  it('shows the purchaser the QR code of a ticket they still hold', () => {
+    const view = orderTicketView(buildTicket(purchaserId), purchaserId);
+
+    expect(view.qrCodeUrl).toBe('data:image/png;base64,cmVpc3N1ZWQ=');
+    expect(view.transferred).toBeUndefined();
+  });
+
+  it('hides the reissued QR code from the purchaser after a transfer', () => {
+    const view = orderTicketView(buildTicket(recipientId), purchaserId);
+
+    expect(view.ticketNumber).toBe('TKT-1001');
+    expect(view.transferred).toBe(true);
+    expect(view).not.toHaveProperty('qrCodeUrl');
+    expect(view).not.toHaveProperty('qrCodeData');
+  });
+
+  it('compares holders given as populated users', () => {
+    const ticket = buildTicket(recipientId).toObject();
+    ticket.attendeeId = { _id: recipientId, firstName: 'Sam' };
+
+    expect(orderTicketView(ticket, recipientId).qrCodeUrl).toBeDefined();
+    expect(orderTicketView(ticket, purchaserId)).not.toHaveProperty('qrCodeUrl');
+  });
+});
@@ -0,0 +1,94 @@
+process.env.QR_SIGNING_KEYS = 'k1:first-master-key,k2:second-master-key';
+
+const crypto = require('crypto');
+const {
+  activeKeyId,
+  getEventPublicKeys,
+  isTicketToken,
+  signTicketToken,
+  verifyTicketToken
+} = require('../../services/qrTokenService');
+
+const ticket = {
+  eventId: '64b7f0c2a1b2c3d4e5f60718',
+  ticketNumber: 'TKT-1001',
+  qrCodeData: 'a'.repeat(64)
+};
+
+// Replace one dot separated part of a token
+const withPart = (token, index, value) => {
+  const parts = token.split('.');
+  parts[index] = value;
+  return parts.join('.');
+};
+
+describe('qrTokenService', () => {
+  it('verifies a token it signed', () => {
+    const { token, keyId } = signTicketToken(ticket);
+
+    expect(keyId).toBe('ET2.k2');
+    expect(keyId).toBe(activeKeyId);
+    expect(verifyTicketToken(token)).toMatchObject({
+      valid: true,
+      kid: 'k2',
+      eventId: ticket.eventId,
+      ticketNumber: ticket.ticketNumber
+    });
+  });
+
+  it('gives scanners public keys that verify the token', () => {
+    const { token } = signTicketToken(ticket);
+    const [, kid, payload, signature] = token.split('.');
+    const keys = getEventPublicKeys(ticket.eventId);
+
+    expect(Object.keys(keys)).toEqual(['k1', 'k2']);
+
+    const publicKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: keys[kid] }, format: 'jwk' });
+    expect(publicKey.type).toBe('public');
+    expect(crypto.verify(null, Buffer.from(`${kid}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  it('uses a different key pair for each event', () => {
+    const otherEvent = getEventPublicKeys('64b7f0c2a1b2c3d4e5f60719');
+
+    expect(otherEvent.k2).not.toBe(getEventPublicKeys(ticket.eventId).k2);
+  });
+
+  it('rejects a token signed for another event', () => {
+    const { token } = signTicketToken(ticket);
+    const { token: other } = signTicketToken({ ...ticket, eventId: '64b7f0c2a1b2c3d4e5f60719' });
+
+    expect(verifyTicketToken(withPart(token, 3, other.split('.')[3]))).toEqual({ valid: false, error: 'bad_signature' });
+  });
+
+  it('rejects retired HMAC tokens', () => {
+    const payload = Buffer.from(JSON.stringify({ e: ticket.eventId, t: ticket.ticketNumber, v: 'a'.repeat(16) })).toString('base64url');
+    const token = `ET1.k2.${payload}.c2lnbmF0dXJl`;
+
+    expect(isTicketToken(token)).toBe(true);
+    expect(verifyTicketToken(token)).toEqual({ valid: false, error: 'retired' });
+  });
+
+  it('rejects a token whose payload was changed', () => {
+    const { token } = signTicketToken(ticket);
+    const payload = Buffer.from(JSON.stringify({ e: ticket.eventId, t: 'TKT-9999', v: 'a'.repeat(16) })).toString('base64url');
+
+    expect(verifyTicketToken(withPart(token, 2, payload))).toEqual({ valid: false, error: 'bad_signature' });
+  });
+
+  it.each(['constructor', 'toString', '__proto__', 'hasOwnProperty', 'missing'])(
+    'treats kid %s as an unknown key instead of throwing',
+    (kid) => {
+      const { token } = signTicketToken(ticket);
+
+      expect(verifyTicketToken(withPart(token, 1, kid))).toEqual({ valid: false, error: 'unknown_key' });
+    }
+  );
+
+  it('rejects claims that are not strings', () => {
+    const { token } = signTicketToken(ticket);
+    const payload = Buffer.from(JSON.stringify({ e: ticket.eventId, t: { $gt: '' }, v: 'a'.repeat(16) })).toString('base64url');
+
+    expect(verifyTicketToken(withPart(token, 2, payload))).toEqual({ valid: false, error: 'malformed' });
+  });
+});